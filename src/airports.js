@@ -0,0 +1,135 @@
+/**
+ * Airport timezone table
+ *
+ * IATA code → IANA timezone for the airports Southwest serves. Used to turn a
+ * flight's local departure time into an exact check-in instant without
+ * hand-calculating UTC offsets (and getting DST wrong).
+ */
+
+export const AIRPORT_TIMEZONES = {
+    ABQ: 'America/Denver',
+    ALB: 'America/New_York',
+    AMA: 'America/Chicago',
+    ATL: 'America/New_York',
+    AUA: 'America/Aruba',
+    AUS: 'America/Chicago',
+    BDL: 'America/New_York',
+    BHM: 'America/Chicago',
+    BNA: 'America/Chicago',
+    BOI: 'America/Boise',
+    BOS: 'America/New_York',
+    BUF: 'America/New_York',
+    BUR: 'America/Los_Angeles',
+    BWI: 'America/New_York',
+    BZE: 'America/Belize',
+    BZN: 'America/Denver',
+    CHS: 'America/New_York',
+    CLE: 'America/New_York',
+    CLT: 'America/New_York',
+    CMH: 'America/New_York',
+    COS: 'America/Denver',
+    CRP: 'America/Chicago',
+    CUN: 'America/Cancun',
+    CVG: 'America/New_York',
+    DAL: 'America/Chicago',
+    DCA: 'America/New_York',
+    DEN: 'America/Denver',
+    DSM: 'America/Chicago',
+    DTW: 'America/Detroit',
+    ECP: 'America/Chicago',
+    ELP: 'America/Denver',
+    EUG: 'America/Los_Angeles',
+    FAT: 'America/Los_Angeles',
+    FLL: 'America/New_York',
+    GCM: 'America/Cayman',
+    GEG: 'America/Los_Angeles',
+    GRR: 'America/Detroit',
+    GSP: 'America/New_York',
+    HDN: 'America/Denver',
+    HNL: 'Pacific/Honolulu',
+    HOU: 'America/Chicago',
+    HRL: 'America/Chicago',
+    IAD: 'America/New_York',
+    ICT: 'America/Chicago',
+    IND: 'America/Indiana/Indianapolis',
+    ISP: 'America/New_York',
+    ITO: 'Pacific/Honolulu',
+    JAN: 'America/Chicago',
+    JAX: 'America/New_York',
+    KOA: 'Pacific/Honolulu',
+    LAS: 'America/Los_Angeles',
+    LAX: 'America/Los_Angeles',
+    LBB: 'America/Chicago',
+    LGA: 'America/New_York',
+    LGB: 'America/Los_Angeles',
+    LIH: 'Pacific/Honolulu',
+    LIR: 'America/Costa_Rica',
+    LIT: 'America/Chicago',
+    MAF: 'America/Chicago',
+    MBJ: 'America/Jamaica',
+    MCI: 'America/Chicago',
+    MCO: 'America/New_York',
+    MDW: 'America/Chicago',
+    MEM: 'America/Chicago',
+    MHT: 'America/New_York',
+    MIA: 'America/New_York',
+    MKE: 'America/Chicago',
+    MSP: 'America/Chicago',
+    MSY: 'America/Chicago',
+    MTJ: 'America/Denver',
+    MYR: 'America/New_York',
+    NAS: 'America/Nassau',
+    OAK: 'America/Los_Angeles',
+    OGG: 'Pacific/Honolulu',
+    OKC: 'America/Chicago',
+    OMA: 'America/Chicago',
+    ONT: 'America/Los_Angeles',
+    ORF: 'America/New_York',
+    PBI: 'America/New_York',
+    PDX: 'America/Los_Angeles',
+    PHL: 'America/New_York',
+    PHX: 'America/Phoenix',
+    PIT: 'America/New_York',
+    PNS: 'America/Chicago',
+    PSP: 'America/Los_Angeles',
+    PUJ: 'America/Santo_Domingo',
+    PVD: 'America/New_York',
+    PVR: 'America/Bahia_Banderas',
+    RDU: 'America/New_York',
+    RIC: 'America/New_York',
+    RNO: 'America/Los_Angeles',
+    ROC: 'America/New_York',
+    RSW: 'America/New_York',
+    SAN: 'America/Los_Angeles',
+    SAT: 'America/Chicago',
+    SAV: 'America/New_York',
+    SBA: 'America/Los_Angeles',
+    SDF: 'America/Kentucky/Louisville',
+    SEA: 'America/Los_Angeles',
+    SFO: 'America/Los_Angeles',
+    SJC: 'America/Los_Angeles',
+    SJD: 'America/Mazatlan',
+    SJO: 'America/Costa_Rica',
+    SJU: 'America/Puerto_Rico',
+    SLC: 'America/Denver',
+    SMF: 'America/Los_Angeles',
+    SNA: 'America/Los_Angeles',
+    SRQ: 'America/New_York',
+    STL: 'America/Chicago',
+    STS: 'America/Los_Angeles',
+    TPA: 'America/New_York',
+    TUL: 'America/Chicago',
+    TUS: 'America/Phoenix',
+    VPS: 'America/Chicago',
+};
+
+/**
+ * Look up the IANA timezone for an airport.
+ *
+ * @param {string} iataCode - Three-letter airport code (case-insensitive)
+ * @returns {string|null} IANA timezone, or null if the airport is unknown
+ */
+export function resolveAirportTimezone(iataCode) {
+    if (!iataCode) return null;
+    return AIRPORT_TIMEZONES[String(iataCode).trim().toUpperCase()] || null;
+}
@@ -0,0 +1,80 @@
+/**
+ * Apify platform adapter
+ *
+ * Runs the check-in flow as the Apify actor: artifacts and results go to the
+ * run's default key-value store and dataset, proxies come from Apify Proxy,
+ * and follow-up runs are Apify schedules (only on the platform itself).
+ * Expired artifacts are deleted from the stores of the actor's earlier runs.
+ */
+
+import { Actor } from 'apify';
+
+// Runs and keys fetched per API call when deleting old artifacts
+const PAGE_SIZE = 100;
+
+/**
+ * Delete artifact records older than `before` from the default key-value
+ * stores of this actor's earlier, finished runs.
+ *
+ * @returns {Promise<{ runs: number, records: number }>}
+ */
+async function purgeRunArtifacts(client, actorId, { before, isArtifact }) {
+    let runs = 0;
+    let records = 0;
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { items } = await client.actor(actorId).runs().list({ offset, limit: PAGE_SIZE, desc: true });
+        const expired = items.filter((run) => run.finishedAt && new Date(run.startedAt).getTime() < before && run.defaultKeyValueStoreId);
+        for (const run of expired) {
+            const store = client.keyValueStore(run.defaultKeyValueStoreId);
+            const keys = [];
+            let exclusiveStartKey;
+            do {
+                // The store may already be gone with the platform's data retention
+                const page = await store.listKeys({ limit: PAGE_SIZE, exclusiveStartKey }).catch(() => null);
+                if (!page) break;
+                keys.push(...page.items.map((item) => item.key).filter(isArtifact));
+                exclusiveStartKey = page.isTruncated ? page.nextExclusiveStartKey : undefined;
+            } while (exclusiveStartKey);
+
+            for (const key of keys) await store.deleteRecord(key);
+            if (keys.length > 0) runs++;
+            records += keys.length;
+        }
+        if (items.length < PAGE_SIZE) break;
+    }
+    return { runs, records };
+}
+
+/**
+ * Platform for `runCheckin()` backed by the Apify SDK. Call after
+ * `Actor.init()`.
+ *
+ * @returns {import('./checkin.js').Platform}
+ */
+export function createApifyPlatform() {
+    const atHome = Actor.isAtHome();
+    const { actorId, defaultKeyValueStoreId } = Actor.getEnv();
+
+    return {
+        name: 'apify',
+        runId: process.env.ACTOR_RUN_ID || null,
+        actorId: actorId || null,
+        scheduler: atHome ? Actor.apifyClient : null,
+        setValue: (key, value, options) => Actor.setValue(key, value, options),
+        pushData: (item) => Actor.pushData(item),
+        openKeyValueStore: (name) => Actor.openKeyValueStore(name),
+        openDataset: (name) => Actor.openDataset(name),
+        createProxyConfiguration: (options) => Actor.createProxyConfiguration(options),
+        onMigrating: (handler) => Actor.on('migrating', handler),
+        // The container port, reachable from outside through the run's container URL
+        webServer: { port: Actor.config.get('containerPort'), url: Actor.config.get('containerUrl') },
+        // Earlier runs' stores are only reachable on the platform
+        purgeArtifacts: (options) => (atHome && actorId
+            ? purgeRunArtifacts(Actor.apifyClient, actorId, options)
+            : Promise.resolve({ runs: 0, records: 0 })),
+        // Links to artifacts in the Apify console when running on the platform
+        artifactLink: (key) => (atHome && defaultKeyValueStoreId
+            ? `https://api.apify.com/v2/key-value-stores/${defaultKeyValueStoreId}/records/${key}`
+            : key),
+    };
+}
@@ -0,0 +1,2105 @@
+import { PlaywrightCrawler } from 'crawlee';
+import { normalizeReservations, storeKey } from './reservations.js';
+import {
+    DEFAULT_ITINERARY_OPTIONS,
+    describeLegs,
+    followUpInput,
+    followUpScheduleName,
+    followUpStartAt,
+    MANIFEST_KEY,
+    scheduleFollowUp,
+    splitLegs,
+} from './itinerary.js';
+import { classifyCheckinPage, Outcome, OUTCOME_ERRORS } from './classifier.js';
+import {
+    DEFAULT_TIME_SYNC_OPTIONS,
+    probeDateHeader,
+    probeInterval,
+    selectEstimate,
+    syncDateHeader,
+    syncNtp,
+} from './time-sync.js';
+import { startSimulator } from './simulator.js';
+import { createNotifier, formatResultNotification } from './notify.js';
+import {
+    checkOpenTime,
+    DEFAULT_PREFLIGHT_OPTIONS,
+    parseTripDetails,
+    PreflightStatus,
+    preflightStatus,
+    TRIP_PAGE_PATH,
+} from './preflight.js';
+import {
+    createCoordinator,
+    Decision,
+    decisionDeadline,
+    DEFAULT_COORDINATION_OPTIONS,
+    InstanceState,
+    keyValueStoreBackend,
+    memoryBackend,
+} from './coordination.js';
+import { captureCheckinRequest, DEFAULT_REPLAY_OPTIONS, fireReplayBurst } from './replay.js';
+import { watchCheckinRequest } from './submit-timing.js';
+import { DEFAULT_PROXY_OPTIONS, pickFastestProxy, toPlaywrightProxy } from './proxy.js';
+import { DEFAULT_RACE_OPTIONS, fireRace, openRaceLanes } from './race.js';
+import {
+    ControlAction,
+    ControlError,
+    CONTROL_TOKEN_KEY,
+    DEFAULT_CONTROL_OPTIONS,
+    generateControlToken,
+    startControlServer,
+} from './control.js';
+import {
+    ARTIFACT_KEY_PATTERN,
+    createArtifactKeeper,
+    createRedactor,
+    DEFAULT_PRIVACY_OPTIONS,
+    redactConsole,
+    redactResult,
+    screenshotMask,
+    scrubHtml,
+} from './privacy.js';
+import { validateInput } from './validation.js';
+import {
+    ACCEPTED_OUTCOMES,
+    clickSubmitControl,
+    DEFAULT_RETRY_POLICY,
+    inspectFormState,
+    retryUntilFinal,
+    RetryTrigger,
+} from './retry.js';
+import {
+    DEFAULT_PRELOAD_LEAD_SECONDS,
+    handlerTimeoutSecs,
+    idleUntil,
+    openRunState,
+    RunPhase,
+} from './run-state.js';
+import {
+    DEFAULT_SELECTOR_PROFILE,
+    fieldSelector,
+    locateFormFields,
+    mergeSelectorProfile,
+    readFormFields,
+    verifyFilledValues,
+} from './selector-profile.js';
+import { createTimeline, exportTimeline, TimelinePhase } from './timeline.js';
+import {
+    appendHistory,
+    DEFAULT_TIMING_HISTORY_OPTIONS,
+    formatHistoryReport,
+    landingOf,
+    learnSubmitOffset,
+    loadHistory,
+    planSubmitOffset,
+    summarizeHistory,
+} from './timing-history.js';
+
+/**
+ * Southwest Airlines Auto Check-In (High-Precision Version)
+ *
+ * The check-in flow as a library: `runCheckin(input, platform)` runs one
+ * input from validation to results. Storage, proxies and platform services
+ * come from the `platform` adapter (see local-platform.js and
+ * apify-platform.js), so the same flow runs as the Apify actor (src/main.js)
+ * and from the `swcheckin` CLI (src/cli.js).
+ * 
+ * Precision Enhancements:
+ * - Multi-server NTP + Southwest Date-header sync with error bounds
+ * - RTT correction for network latency
+ * - In-browser setTimeout() for click scheduling (eliminates DevTools protocol delay)
+ * - Submit time measured from the check-in request on the wire, with its error bound
+ * - Optional direct request replay of the captured check-in API call
+ * - Dry-run mode against a bundled local Southwest simulator
+ * - Outcome and failure notifications (webhook, Slack, email, ntfy/Pushover)
+ * - Primary/backup coordination through a shared key-value store
+ * - Residential proxy for preload, fastest datacenter exit for submit
+ * - Browserless idling until the preload lead time; resumes after migrations
+ * - Pre-flight verification of each reservation and its flight schedule
+ * - Follow-up check-ins for the later legs of round-trip and multi-leg itineraries
+ * - Submit offset learned from cross-run timing history
+ * - Structured event timeline (JSON Lines + Chrome trace) across all phases
+ * - Names and confirmation numbers masked in logs, results, screenshots and HTML dumps
+ * - Continuous drift monitoring
+ * - Micro-retry loop
+ * - Comprehensive telemetry
+ * - Multiple reservations per run, each in its own browser context
+ * 
+ * Target precision: ±100ms
+ */
+
+// Fixed viewport and UA for consistency (also applied to the submit-proxy context)
+const VIEWPORT = { width: 1920, height: 1080 };
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept-Language': 'en-US,en;q=0.9',
+};
+
+// Never start a proxy switch closer than this to the submit time
+const MIN_PROXY_SWITCH_MS = 10000;
+// The in-page click busy-waits on performance.now() for this last stretch
+const CLICK_SPIN_MS = 20;
+// Added to the result deadline a submitting primary publishes for its backup
+// (calibration, page loads)
+const SUBMIT_RESULT_GRACE_MS = 5000;
+
+// Reservations opening within this long of the earliest one share a browser
+const WAVE_MERGE_MS = 5 * 60 * 1000;
+// A persisted clock sync younger than this is reused after a restart
+const CLOCK_REUSE_MS = 10 * 60 * 1000;
+
+/**
+ * Storage, proxies and platform services for a run.
+ *
+ * @typedef {object} Platform
+ * @property {string} name - `apify` or `local`
+ * @property {string|null} runId - Identifies this run to a primary/backup peer
+ * @property {string|null} actorId - Actor that follow-up schedules start (Apify only)
+ * @property {object|null} scheduler - Apify client for follow-up schedules, or null
+ * @property {(key: string, value: unknown, options?: { contentType?: string }) => Promise<void>} setValue - Run artifact (`null` deletes it)
+ * @property {(item: object|object[]) => Promise<void>} pushData - Run result
+ * @property {(name?: string) => Promise<{ getValue: Function, setValue: Function }>} openKeyValueStore - Run store, or a named one that outlives runs
+ * @property {(name: string) => Promise<{ pushData: Function }>} openDataset - Named dataset that outlives runs
+ * @property {(options: object) => Promise<object|undefined>} createProxyConfiguration - One `proxy` phase entry
+ * @property {(handler: () => Promise<void>) => void} onMigrating - Called before the process is moved
+ * @property {{ port: number, url: string|null }|null} webServer - Port the control server listens on by default
+ * @property {(options: { before: number, isArtifact: (key: string) => boolean }) => Promise<{ runs: number, records: number }>} purgeArtifacts - Delete artifacts of earlier runs
+ * @property {(key: string) => string} artifactLink - Where a user finds an artifact
+ */
+
+/**
+ * Run the check-in flow for one input.
+ *
+ * @param {object} input - Actor input (see .actor/input_schema.json)
+ * @param {Platform} platform
+ * @returns {Promise<object[]|object>} One result per reservation, or the timing history summary in report mode
+ */
+export async function runCheckin(input, platform) {
+    // Local simulator started in dry-run mode; closed however the run ends
+    let simulator = null;
+    // Live status and control endpoint; closed however the run ends
+    let controlServer = null;
+    // Outcome/failure notifications; also used by the fatal error path
+    let notifier = null;
+    // Structured event timeline; exported however the run ends
+    let timeline = null;
+    // Masks names and confirmation numbers once the reservations are known
+    let redactor = createRedactor([], { redact: false });
+    // The timeline, as exported on migration and at the end
+    const exportRedactedTimeline = () => exportTimeline(timeline, (key, value, options) => platform.setValue(key, redactor.value(value), options));
+    let restoreConsole = () => {};
+
+    try {
+        // Throws an InputValidationError naming every bad run-wide field
+        validateInput(input);
+
+        notifier = createNotifier(input.notifications);
+
+        // Cross-run timing history: where past submits landed and how they fared
+        const timingHistoryOptions = { ...DEFAULT_TIMING_HISTORY_OPTIONS, ...input.timingHistory };
+        const timingHistoryStore = timingHistoryOptions.enabled || input.mode === 'report'
+            ? await platform.openKeyValueStore(timingHistoryOptions.storeName)
+            : null;
+        const timingHistory = timingHistoryStore ? await loadHistory(timingHistoryStore) : [];
+
+        // Report mode: summarize the history instead of checking in
+        if (input.mode === 'report') {
+            const summary = summarizeHistory(timingHistory);
+            console.log(formatHistoryReport(summary, learnSubmitOffset(timingHistory, timingHistoryOptions)));
+            await platform.pushData(summary);
+            await platform.setValue('OUTPUT', summary);
+            return summary;
+        }
+
+        // Privacy: redaction of the log and results, screenshot masking, HTML
+        // scrubbing and which artifacts are kept
+        const privacyOptions = { ...DEFAULT_PRIVACY_OPTIONS, ...input.privacy };
+        const reservations = normalizeReservations(input, { maskKeys: privacyOptions.redact });
+        redactor = createRedactor(reservations, {
+            redact: privacyOptions.redact,
+            entries: Array.isArray(input.reservations) ? [input, ...input.reservations] : [input],
+        });
+        restoreConsole = redactConsole(redactor);
+        // Notifications leave the run: redacted like the log
+        const sendNotification = notifier.notify;
+        notifier = { ...notifier, notify: (notification) => sendNotification(redactor.value(notification)) };
+        // Deletes old artifacts alongside the run; awaited before it ends
+        const purge = privacyOptions.artifactMaxAgeDays === null || privacyOptions.artifactMaxAgeDays === undefined
+            ? null
+            : platform.purgeArtifacts({
+                before: Date.now() - privacyOptions.artifactMaxAgeDays * 86400000,
+                isArtifact: (key) => ARTIFACT_KEY_PATTERN.test(key),
+            })
+                .then(({ runs, records }) => console.log(`🧹 Deleted ${records} artifact(s) older than ${privacyOptions.artifactMaxAgeDays} day(s) from ${runs} earlier run(s)`))
+                .catch((e) => console.log('⚠️  Could not delete old artifacts (non-critical):', e.message));
+    
+        // Redundant trigger support: Backup instance submits +1s later for safety
+        const isBackup = (input.coordination?.role ?? (process.env.IS_BACKUP === 'true' ? 'BACKUP' : 'PRIMARY')) === 'BACKUP';
+        const backupOffset = isBackup ? 1000 : 0;
+        const instanceType = isBackup ? 'BACKUP' : 'PRIMARY';
+        const instanceId = platform.runId || `local-${process.pid}`;
+
+        // With `coordination` set, primary and backup share state through a named
+        // key-value store: the backup stands down on primary success and takes
+        // over on primary failure or a stale heartbeat
+        const coordinationOptions = input.coordination ? { ...DEFAULT_COORDINATION_OPTIONS, ...input.coordination } : null;
+        let coordinationBackend = null;
+        if (coordinationOptions) {
+            coordinationBackend = coordinationOptions.backend === 'memory'
+                ? memoryBackend()
+                : keyValueStoreBackend(await platform.openKeyValueStore(coordinationOptions.storeName));
+        }
+
+        // Submit mode: 'click' (default) schedules the button click in the page;
+        // 'replay' fires the captured check-in API request directly
+        const submitMode = input.submitMode === 'replay' ? 'replay' : 'click';
+        const replayOptions = { ...DEFAULT_REPLAY_OPTIONS, ...input.replay };
+        // Race (click submit only): more preloaded contexts click at staggered
+        // offsets after T-0 and the first accepted one wins
+        const raceOptions = { ...DEFAULT_RACE_OPTIONS, ...input.race };
+        const raceOffsets = [...raceOptions.offsetsMs].sort((a, b) => a - b);
+        const raceEnabled = raceOptions.enabled === true && submitMode === 'click' && raceOffsets.length > 0;
+        if (raceOptions.enabled === true && submitMode !== 'click') {
+            console.log('⚠️  race is for click submit only; replay mode fires its own staggered shots (replay.offsetsMs)');
+        }
+        // Post-submit retries: window, backoff curve, max attempts and jitter
+        const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...input.retry };
+        // Form field matchers; `selectorProfile` replaces them per field
+        const selectorProfile = mergeSelectorProfile(DEFAULT_SELECTOR_PROFILE, input.selectorProfile);
+        // Pre-flight: verify each reservation and its flight well before the opening;
+        // `mode: 'preflight'` runs only that and stops
+        const preflightOptions = { ...DEFAULT_PREFLIGHT_OPTIONS, ...input.preflight };
+        const preflightOnly = input.mode === 'preflight';
+        // Later legs of an itinerary are checked in by follow-up runs; `leg` is set
+        // in the input of such a run
+        const itineraryOptions = { ...DEFAULT_ITINERARY_OPTIONS, ...input.itinerary };
+        const followUpLeg = input.leg ?? null;
+
+        // Dry run: rehearse the whole flow against the bundled local simulator,
+        // which answers "too early" until each reservation's checkinOpensAt
+        const dryRun = input.dryRun === true;
+        if (dryRun) {
+            simulator = await startSimulator({
+                ...input.simulator,
+                reservations: {
+                    ...Object.fromEntries(reservations.filter((r) => !r.error).map((r) => [r.confirmationNumber, {
+                        firstName: r.firstName,
+                        lastName: r.lastName,
+                        opensAt: r.checkinOpensAt,
+                    }])),
+                    ...input.simulator?.reservations,
+                },
+            });
+            console.log(`🧪 DRY RUN: using local Southwest simulator at ${simulator.url}`);
+        }
+
+        // Rehearsals learn from rehearsals only, live runs from live runs
+        const learnedOffset = timingHistoryOptions.enabled
+            ? learnSubmitOffset(timingHistory, { ...timingHistoryOptions, dryRun })
+            : { source: 'default', reason: 'timing history disabled', samples: 0, defaultOffsetMs: timingHistoryOptions.defaultOffsetMs };
+
+        // Every Southwest URL (page, time sync, pre-warm, calibration) follows the base URL
+        const baseUrl = (simulator?.url ?? input.targetBaseUrl ?? 'https://www.southwest.com').replace(/\/+$/, '');
+        const checkinPageUrl = `${baseUrl}/air/check-in/index.html`;
+        const tripPageUrl = `${baseUrl}${TRIP_PAGE_PATH}`;
+
+        console.log(`Starting Southwest check-in (High-Precision Mode) [${instanceType}]: ${reservations.length} reservation(s)`, {
+            backupOffset: backupOffset > 0 ? `+${backupOffset}ms` : 'none',
+            instanceId,
+            coordination: coordinationOptions ? coordinationOptions.storeName : 'none',
+            submitMode,
+            race: raceEnabled ? raceOffsets.map((offset) => `T+${offset}ms`).join(', ') : 'off',
+            submitOffset: learnedOffset.source === 'history'
+                ? `arrival T+${learnedOffset.arrivalTargetMs.toFixed(0)}ms (${learnedOffset.reason}, ${learnedOffset.samples} runs)`
+                : `T+${learnedOffset.defaultOffsetMs}ms (${learnedOffset.reason})`,
+            baseUrl,
+            dryRun,
+        });
+        for (const reservation of reservations) {
+            console.log(`  • [${reservation.key}]`, {
+                confirmationNumber: reservation.confirmationNumber,
+                firstName: reservation.firstName,
+                lastName: reservation.lastName,
+                checkinOpensAt: reservation.checkinOpensAt,
+                ...(reservation.schedule?.source === 'departure' && {
+                    derivedFrom: `${reservation.schedule.departureLocal} ${reservation.schedule.originAirport} (${reservation.schedule.timeZone}) -${reservation.schedule.offsetHours}h`,
+                }),
+            });
+        }
+
+        if (followUpLeg) {
+            console.log(`🧳 Follow-up run for leg ${followUpLeg.leg}/${followUpLeg.legs}${followUpLeg.flights?.length ? ` (flights ${followUpLeg.flights.join(', ')})` : ''}, scheduled by run ${followUpLeg.parentRunId ?? 'unknown'}`);
+            // The schedule that started this run fires yearly; it has done its job
+            if (followUpLeg.scheduleId && platform.scheduler) {
+                await platform.scheduler.schedule(followUpLeg.scheduleId).delete()
+                    .then(() => console.log(`✓ Deleted schedule ${followUpLeg.scheduleId}`))
+                    .catch((e) => console.log(`⚠️  Could not delete schedule ${followUpLeg.scheduleId} (non-critical):`, e.message));
+            }
+        }
+
+        // Phases, sync results, drift history and finished results survive
+        // migrations and restarts in the RUN-STATE record
+        const runState = await openRunState(await platform.openKeyValueStore());
+        const resumedPhases = new Map(reservations.map((reservation) => [reservation.key, runState.phaseOf(reservation.key)]));
+        if (runState.resumed) {
+            console.log(`♻️  Resuming after restart #${runState.state.restarts}:`, Object.fromEntries(resumedPhases));
+        }
+        platform.onMigrating(async () => {
+            console.log('🚚 Migration imminent, persisting run state...');
+            await runState.save();
+            if (timeline) await exportRedactedTimeline();
+        });
+
+        // Target the opening implied by the flight on the trip page
+        const correctOpening = (reservation, openTime) => {
+            reservation.schedule = {
+                source: 'trip-page',
+                configuredCheckinOpensAt: reservation.checkinOpensAt,
+                flightNumber: openTime.flight.flightNumber,
+                departureLocal: openTime.flight.departureLocal,
+                originAirport: openTime.flight.origin,
+                departureAt: openTime.departureAt,
+                timeZone: openTime.timeZone,
+                offsetHours: openTime.offsetHours,
+            };
+            reservation.checkinOpensAt = openTime.expectedOpensAt;
+        };
+        // A correction made by the pre-flight before a restart still applies
+        for (const reservation of reservations) {
+            const report = runState.preflightOf(reservation.key);
+            if (report?.corrected) {
+                correctOpening(reservation, report.openTime);
+                console.log(`♻️  [${reservation.key}] Pre-flight moved the opening to ${reservation.checkinOpensAt} before the restart`);
+            }
+        }
+
+        // One result record per reservation, all pushed to the dataset at the end
+        const results = new Map();
+        for (const reservation of reservations) {
+            const finished = runState.resultOf(reservation.key);
+            if (finished) {
+                results.set(reservation.key, finished);
+                continue;
+            }
+            results.set(reservation.key, {
+                success: false,
+                outcome: null,
+                boardingPosition: null,
+                passengers: [],
+                flightNumber: null,
+                gate: null,
+                confirmationNumber: reservation.confirmationNumber,
+                checkinOpensAt: reservation.checkinOpensAt,
+                schedule: reservation.schedule,
+                dryRun,
+                preflight: runState.preflightOf(reservation.key),
+                leg: followUpLeg && { leg: followUpLeg.leg, legs: followUpLeg.legs },
+                itinerary: runState.preflightOf(reservation.key)?.itinerary ?? null,
+                performedBy: null,
+                coordination: null,
+                actualSubmitTime: null,
+                timingOffset: null,
+                timingOffsetUncertaintyMs: null,
+                timestamp: new Date().toISOString(),
+                error: reservation.error,
+                errors: reservation.errors,
+                screenshots: [],
+                telemetry: {
+                    ntpSyncSucceeded: false,
+                    localDriftMs: null,
+                    clockUncertaintyMs: null,
+                    southwestRTT: null,
+                    syncMethod: null,
+                    driftChecks: [...runState.driftChecksOf(reservation.key)],
+                },
+            });
+        }
+
+        // Time sync state shared by every reservation in this run
+        const timeSyncOptions = { ...DEFAULT_TIME_SYNC_OPTIONS, ...input.timeSync };
+        const clock = {
+            ntpSyncSucceeded: false,
+            localDriftMs: 0,
+            uncertaintyMs: Infinity,
+            syncMethod: null,
+            southwestRTT: null,
+            lastNTPSync: 0,
+            syncs: [],
+        };
+        timeline = createTimeline({ clockOffsetMs: () => clock.localDriftMs });
+        timeline.event(null, TimelinePhase.RUN, 'run-start', { instanceType, instanceId, submitMode, dryRun, reservations: reservations.map((r) => r.key) });
+
+        // Current clock error bound, or null if the clock was never synced
+        const clockUncertaintyMs = () => (Number.isFinite(clock.uncertaintyMs) ? Math.round(clock.uncertaintyMs * 10) / 10 : null);
+
+        // Full clock sync: every NTP server plus Southwest Date-header bisection,
+        // keeping whichever estimate has the tighter error bound
+        async function syncClock({ enforceThreshold = false } = {}) {
+            clock.lastNTPSync = Date.now();
+            const endSync = timeline.span(null, TimelinePhase.RUN, 'clock-sync');
+            console.log(`🕐 Syncing clock (${timeSyncOptions.ntpServers.length} NTP servers × ${timeSyncOptions.samplesPerServer} samples + Southwest Date header)...`);
+
+            const ntp = await syncNtp({
+                servers: timeSyncOptions.ntpServers,
+                samplesPerServer: timeSyncOptions.samplesPerServer,
+                timeoutMs: timeSyncOptions.ntpTimeoutMs,
+            });
+            if (ntp.ok) {
+                console.log(`✓ NTP: offset ${ntp.offsetMs.toFixed(1)}ms ±${ntp.uncertaintyMs.toFixed(1)}ms from ${ntp.samples.length} samples (${ntp.rejected} outliers rejected)`);
+            } else {
+                console.log('⚠️  NTP sync failed on every server:', ntp.errors.map((e) => `${e.server}: ${e.error}`).join('; '));
+            }
+
+            const southwest = await syncDateHeader({
+                url: `${baseUrl}/`,
+                probes: timeSyncOptions.southwestProbes,
+                timeoutMs: timeSyncOptions.southwestTimeoutMs,
+            });
+            if (southwest.ok) {
+                clock.southwestRTT = southwest.samples[southwest.samples.length - 1].rttMs;
+                console.log(`⏱️  Southwest Date header: offset ${southwest.offsetMs.toFixed(1)}ms ±${southwest.uncertaintyMs.toFixed(1)}ms from ${southwest.samples.length} probes`);
+            } else {
+                console.log('⚠️  Southwest time sync failed:', southwest.errors.map((e) => e.error).join('; '));
+            }
+
+            const best = selectEstimate(ntp, southwest);
+            clock.ntpSyncSucceeded = ntp.ok;
+            clock.localDriftMs = best ? Math.round(best.offsetMs) : 0;
+            clock.uncertaintyMs = best ? best.uncertaintyMs : Infinity;
+            clock.syncMethod = best ? best.source : 'none';
+            clock.syncs.push({
+                timestamp: new Date().toISOString(),
+                chosen: clock.syncMethod,
+                offsetMs: clock.localDriftMs,
+                uncertaintyMs: clock.uncertaintyMs,
+                ntp,
+                southwest,
+            });
+            console.log(`✓ Clock offset: ${clock.localDriftMs}ms ±${clock.uncertaintyMs.toFixed(1)}ms (source: ${clock.syncMethod})`);
+            endSync({ source: clock.syncMethod, offsetMs: clock.localDriftMs, uncertaintyMs: Number.isFinite(clock.uncertaintyMs) ? clock.uncertaintyMs : null });
+
+            // Summaries only: the raw samples stay in this run's telemetry
+            await runState.setClock({
+                ntpSyncSucceeded: clock.ntpSyncSucceeded,
+                localDriftMs: clock.localDriftMs,
+                uncertaintyMs: Number.isFinite(clock.uncertaintyMs) ? clock.uncertaintyMs : null,
+                syncMethod: clock.syncMethod,
+                southwestRTT: clock.southwestRTT,
+                lastNTPSync: clock.lastNTPSync,
+                syncs: clock.syncs.map(({ ntp, southwest, ...summary }) => summary),
+            });
+
+            if (clock.uncertaintyMs > timeSyncOptions.maxUncertaintyMs) {
+                const message = `Clock uncertainty ±${clock.uncertaintyMs.toFixed(1)}ms exceeds the ±${timeSyncOptions.maxUncertaintyMs}ms threshold`;
+                if (enforceThreshold && timeSyncOptions.failOnExcessUncertainty) {
+                    throw new Error(`${message} (timeSync.failOnExcessUncertainty is set)`);
+                }
+                console.log(`🚨🚨🚨 ${message} — submit timing may be off by that much! 🚨🚨🚨`);
+            }
+        }
+
+        // Initialize time sync (once, shared by all reservations), unless a
+        // sync from before a restart is still fresh
+        const savedClock = runState.state.clock;
+        if (savedClock && savedClock.uncertaintyMs !== null && Date.now() - savedClock.lastNTPSync < CLOCK_REUSE_MS) {
+            Object.assign(clock, savedClock);
+            console.log(`♻️  Reusing clock sync from before the restart: ${clock.localDriftMs}ms ±${clock.uncertaintyMs.toFixed(1)}ms (source: ${clock.syncMethod})`);
+        } else {
+            await syncClock({ enforceThreshold: true });
+        }
+    
+        // Dual Proxy Configuration
+        // - Residential for preload (mimics real user behavior)
+        // - Datacenter for submit (low latency, sub-50ms)
+        // Either phase can be set to null in the `proxy` input to run it without a proxy
+        // (skipped in dry runs: Apify proxies cannot reach the local simulator)
+        const proxyOptions = { ...DEFAULT_PROXY_OPTIONS, ...input.proxy };
+        const preloadProxy = dryRun || !proxyOptions.preload
+            ? undefined
+            : await platform.createProxyConfiguration(proxyOptions.preload);
+    
+        const submitProxy = dryRun || !proxyOptions.submit
+            ? undefined
+            : await platform.createProxyConfiguration(proxyOptions.submit);
+
+        const reservationsByKey = new Map(reservations.map((reservation) => [reservation.key, reservation]));
+
+        // Live status and control actions over HTTP (see control.js). Each
+        // reservation's handler registers what it can do while it runs.
+        const controlOptions = { ...DEFAULT_CONTROL_OPTIONS, ...input.control };
+        const controls = new Map();
+        const controlStatus = () => redactor.value({
+            runId: instanceId,
+            instanceType,
+            dryRun,
+            now: new Date(Date.now() + clock.localDriftMs).toISOString(),
+            clock: {
+                offsetMs: clock.localDriftMs,
+                uncertaintyMs: clockUncertaintyMs(),
+                syncMethod: clock.syncMethod,
+                lastSyncAt: clock.syncs.at(-1)?.timestamp ?? null,
+            },
+            reservations: reservations.map((reservation) => {
+                const result = results.get(reservation.key);
+                return {
+                    key: reservation.key,
+                    phase: runState.phaseOf(reservation.key),
+                    checkinOpensAt: reservation.checkinOpensAt,
+                    msUntilOpening: reservation.checkinOpensAt
+                        ? Math.round(new Date(reservation.checkinOpensAt).getTime() - (Date.now() + clock.localDriftMs))
+                        : null,
+                    ...controls.get(reservation.key)?.status(),
+                    success: result.success,
+                    outcome: result.outcome,
+                    error: result.error,
+                    screenshots: result.screenshots.map((key) => ({ key, link: platform.artifactLink(key) })),
+                };
+            }),
+        });
+        // Every action, carried out or refused, goes to the telemetry of the
+        // reservations it concerns and to the timeline
+        const performControlAction = async (action, params) => {
+            const entry = { at: new Date(Date.now() + clock.localDriftMs).toISOString(), action, params, ok: false, response: null, error: null };
+            let keys = [];
+            try {
+                if (action === ControlAction.RESYNC) {
+                    // Run-wide: the clock is shared by every reservation
+                    keys = reservations.map((reservation) => reservation.key);
+                    const submitting = reservations.find((reservation) => runState.phaseOf(reservation.key) === RunPhase.SUBMITTING);
+                    if (submitting) throw new ControlError(`${submitting.key} is submitting; not touching the clock now`, 409);
+                    await syncClock();
+                    entry.response = { offsetMs: clock.localDriftMs, uncertaintyMs: clockUncertaintyMs(), syncMethod: clock.syncMethod };
+                } else {
+                    // The reservation key or its confirmation number; optional with one reservation
+                    const named = params.reservation === undefined ? null : String(params.reservation).toUpperCase();
+                    const reservation = named === null
+                        ? (reservations.length === 1 ? reservations[0] : null)
+                        : reservations.find((r) => r.key.toUpperCase() === named || r.confirmationNumber === named);
+                    if (!reservation) {
+                        throw new ControlError(named === null
+                            ? `Name the reservation: one of ${reservations.map((r) => r.key).join(', ')}`
+                            : `Unknown reservation "${params.reservation}"`, named === null ? 400 : 404);
+                    }
+                    keys = [reservation.key];
+                    const control = controls.get(reservation.key);
+                    if (!control) throw new ControlError(`${reservation.key} is not running (phase ${runState.phaseOf(reservation.key)})`, 409);
+                    entry.response = await control.perform(action, params);
+                }
+                entry.ok = true;
+                return entry.response;
+            } catch (error) {
+                entry.error = error.message;
+                throw error;
+            } finally {
+                for (const key of keys) {
+                    const { telemetry } = results.get(key);
+                    telemetry.controlActions = [...(telemetry.controlActions ?? []), entry];
+                }
+                timeline.event(keys.length === 1 ? keys[0] : null, TimelinePhase.RUN, 'control-action', entry);
+                console.log(`🎛️  Control action ${action}${keys.length === 1 ? ` [${keys[0]}]` : ''}: ${entry.ok ? 'done' : `refused (${entry.error})`}`);
+            }
+        };
+        if (controlOptions.enabled === true) {
+            const port = controlOptions.port ?? platform.webServer?.port ?? null;
+            const token = controlOptions.token ?? generateControlToken();
+            if (port === null) {
+                console.log('⚠️  control.enabled is set but there is no port to listen on; set control.port');
+            } else {
+                try {
+                    // Kept out of the log: the record is only readable with access to the run's storage
+                    if (!controlOptions.token) await platform.setValue(CONTROL_TOKEN_KEY, { token });
+                    controlServer = await startControlServer({
+                        port,
+                        host: controlOptions.host,
+                        token,
+                        status: controlStatus,
+                        perform: performControlAction,
+                        onRejected: (rejected) => timeline.event(null, TimelinePhase.RUN, 'control-rejected', rejected),
+                    });
+                    // Behind the container port, the platform's URL is the one reachable from outside
+                    const url = controlOptions.port === null && platform.webServer?.url ? platform.webServer.url : controlServer.url;
+                    console.log(`🎛️  Control server on ${url}: GET /status, POST /actions/{${Object.values(ControlAction).join(',')}}`);
+                    if (!controlOptions.token) console.log(`🔑 Control token generated for this run: see the ${CONTROL_TOKEN_KEY} record`);
+                } catch (e) {
+                    console.log('⚠️  Could not start the control server (non-critical):', e.message);
+                }
+            }
+        }
+        const runnable = reservations.filter((reservation) => !reservation.error && resumedPhases.get(reservation.key) !== RunPhase.DONE);
+        for (const reservation of reservations.filter((r) => r.error)) {
+            console.log(`⚠️  [${reservation.key}] Skipping: ${reservation.error}`);
+        }
+        for (const reservation of reservations.filter((r) => !r.error && resumedPhases.get(r.key) === RunPhase.DONE)) {
+            console.log(`♻️  [${reservation.key}] Already finished before the restart, not submitting again`);
+        }
+
+        // Locate each field by id/name/label/aria/placeholder (see selector-profile.js),
+        // fill it and check the value stuck; the check-in and trip pages share the fields
+        const fillForm = async (page, reservation, { print, events, phase = TimelinePhase.PRELOAD }) => {
+            await page.waitForSelector('form, input[name="confirmationNumber"]', { 
+                timeout: 10000,
+                state: 'visible'
+            });
+
+            await page.waitForTimeout(1000);
+
+            print(`Filling form fields (selector profile "${selectorProfile.name}")...`);
+            const located = await page.evaluate(locateFormFields, selectorProfile);
+            if (located.errors.length > 0) {
+                throw new Error(`Check-in form fields not located: ${located.errors.join('; ')}`);
+            }
+            events.event(phase, 'fields-located', { profile: located.profile, via: Object.fromEntries(Object.entries(located.fields).map(([field, { via }]) => [field, via])) });
+
+            const { confirmationNumber, firstName, lastName } = reservation;
+            const values = { confirmationNumber, firstName, lastName };
+            for (const [field, value] of Object.entries(values)) {
+                const input = page.locator(fieldSelector(field));
+                await input.scrollIntoViewIfNeeded();
+                await input.click();
+                await input.fill(value);
+                print(`✓ Filled ${field} (${located.fields[field].via})`);
+                await page.waitForTimeout(500);
+            }
+
+            // A script or mask may have rewritten or moved what was typed
+            const mismatches = verifyFilledValues(values, await page.evaluate(readFormFields));
+            if (mismatches.length > 0) {
+                throw new Error(`Form values did not stick: ${mismatches.map((m) => `${m.field} is "${m.actual ?? ''}", expected "${m.expected}"`).join('; ')}`);
+            }
+            events.event(phase, 'form-filled');
+            return located;
+        };
+
+        // Screenshots, page dumps and raw responses are kept per the artifact policy
+        const artifacts = createArtifactKeeper({ policy: privacyOptions.artifacts, setValue: platform.setValue });
+        const saveScreenshot = async (page, reservation, result, name, options) => {
+            if (privacyOptions.artifacts === 'none') return;
+            const screenshot = await page.screenshot({
+                ...options,
+                ...(privacyOptions.maskScreenshots && { mask: screenshotMask(page, redactor), maskColor: '#000000' }),
+            });
+            const key = storeKey(reservation, name);
+            if (await artifacts.save(reservation.key, key, screenshot, { contentType: 'image/png' })) {
+                result.screenshots.push(key);
+            }
+        };
+
+        // One crawler per wave (see below); the handler timeout is set per wave
+        const crawlerOptions = {
+            proxyConfiguration: preloadProxy,  // Start with residential
+            launchContext: {
+                // Separate browser context (cookies, storage) per reservation
+                useIncognitoPages: true,
+                launchOptions: {
+                    headless: true,
+                    args: [
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                        '--disable-dev-shm-usage',
+                    ],
+                },
+            },
+            preNavigationHooks: [
+                async ({ page }) => {
+                    await page.setViewportSize(VIEWPORT);
+                    await page.setExtraHTTPHeaders(BROWSER_HEADERS);
+                },
+            ],
+            requestHandler: async ({ request, page: preloadPage }) => {
+                const reservation = reservationsByKey.get(request.userData.reservationKey);
+                const result = results.get(reservation.key);
+                const { confirmationNumber } = reservation;
+                const checkinOpensAtMs = new Date(reservation.checkinOpensAt).getTime();
+
+                // Prefix every line with the reservation so concurrent logs stay readable
+                const print = (...args) => console.log(`[${reservation.key}]`, ...args);
+                const events = timeline.forReservation(reservation.key);
+
+                // A request queued by the process before a restart is replaced by this one's
+                if (request.userData.attempt !== runState.state.restarts) {
+                    print('Skipping request queued before the restart');
+                    return;
+                }
+
+                const resumedPhase = resumedPhases.get(reservation.key);
+                if ([RunPhase.PRELOAD, RunPhase.WAITING, RunPhase.SUBMITTING].includes(resumedPhase)) {
+                    result.telemetry.resumedFrom = resumedPhase;
+                    print(`♻️  Interrupted during ${resumedPhase} before the restart; preloading again${resumedPhase === RunPhase.SUBMITTING ? ' (the earlier submit may already have gone through)' : ''}`);
+                }
+
+                // Replaced by a page on the submit proxy shortly before the deadline
+                let page = preloadPage;
+                let submitContext = null;
+                // Extra race lanes, opened during the wait (null: not yet)
+                let raceLanes = null;
+
+                // The backup drops its offset when it takes over from a failed primary
+                let submitOffset = backupOffset;
+                // Send offset after the opening: learned from history (refined with the
+                // calibrated RTT in PHASE 3) or the default +100ms; in a race, the first lane's
+                let plannedOffsetMs = raceEnabled
+                    ? raceOffsets[0]
+                    : planSubmitOffset(learnedOffset, learnedOffset.medianHalfRttMs ?? 0, timingHistoryOptions);
+                const coordinator = coordinationBackend && createCoordinator({
+                    backend: coordinationBackend,
+                    // Not the key: masked keys (xxxx23) can be shared by two reservations
+                    scope: `${reservation.scope}-${checkinOpensAtMs}`,
+                    role: instanceType,
+                    instanceId,
+                    heartbeatIntervalMs: coordinationOptions.heartbeatIntervalMs,
+                    staleAfterMs: coordinationOptions.staleAfterMs,
+                    now: () => Date.now() + clock.localDriftMs,
+                });
+
+                // Also used to refill the form after a dry retrieval
+                const fillCheckinForm = async () => {
+                    result.telemetry.formFields = await fillForm(page, reservation, { print, events });
+                };
+
+                // Browser-side request/response times, put on the timeline from PHASE 3 on
+                let networkPage = null;
+                let networkPhase = TimelinePhase.SUBMIT;
+                const recordBrowserRequest = async (request) => {
+                    if (!['document', 'xhr', 'fetch'].includes(request.resourceType())) return;
+                    const timing = request.timing();
+                    const data = { method: request.method(), url: request.url(), resourceType: request.resourceType() };
+                    const phase = networkPhase;
+                    if (timing.requestStart >= 0) {
+                        events.event(phase, 'request-sent', data, { atMs: timing.startTime + timing.requestStart, source: 'browser' });
+                    }
+                    if (timing.responseStart >= 0) {
+                        const response = await request.response().catch(() => null);
+                        events.event(phase, 'response-received', { ...data, status: response?.status() ?? null }, { atMs: timing.startTime + timing.responseStart, source: 'browser' });
+                    } else {
+                        events.event(phase, 'request-failed', { ...data, error: request.failure()?.errorText ?? null }, { source: 'browser' });
+                    }
+                };
+
+                // Timing offset with the clock-source uncertainty next to it
+                const formatOffset = ({ timingOffset, timingOffsetUncertaintyMs, telemetry }) => `${timingOffset > 0 ? '+' : ''}${timingOffset}ms`
+                    + (timingOffsetUncertaintyMs === null ? '' : ` ±${timingOffsetUncertaintyMs.toFixed(1)}ms`)
+                    + ` (clock: ${telemetry.submitTiming?.clockSource ?? clock.syncMethod}, measured: ${telemetry.submitTiming?.source ?? 'n/a'})`;
+
+                // Same submit control lookup as the scheduled click in PHASE 3
+                const clickSubmitButton = async () => {
+                    const clickInfo = await page.evaluate(clickSubmitControl);
+                    if (clickInfo.error) throw new Error(clickInfo.error);
+                    return clickInfo;
+                };
+
+                // Move the preloaded session (cookies, local storage) into a new
+                // context on the fastest submit proxy exit and refill the form there
+                const switchToSubmitProxy = async () => {
+                    const endSwitch = events.span(TimelinePhase.WAIT, 'proxy-switch');
+                    print(`⚡ Latency-testing ${proxyOptions.candidates} submit proxy session(s)...`);
+                    const pick = await pickFastestProxy(submitProxy, {
+                        sessionPrefix: `sw_${reservation.key}`,
+                        candidates: proxyOptions.candidates,
+                        url: `${baseUrl}/`,
+                        probes: proxyOptions.probesPerCandidate,
+                        timeoutMs: proxyOptions.probeTimeoutMs,
+                    });
+                    result.telemetry.submitProxy = { candidates: pick.candidates, chosen: pick.chosen, switchedAt: null, error: null };
+                    for (const candidate of pick.candidates) {
+                        print(`   ${candidate.proxy ?? candidate.sessionId}: ${candidate.healthy
+                            ? `median ${candidate.medianMs}ms (${candidate.rttsMs.join(', ')}ms)`
+                            : `unhealthy (${candidate.errors.join('; ')})`}`);
+                    }
+                    if (!pick.proxyUrl) {
+                        endSwitch({ error: 'no healthy session' });
+                        throw new Error('No healthy submit proxy session');
+                    }
+
+                    const storageState = await preloadPage.context().storageState();
+                    submitContext = await preloadPage.context().browser().newContext({
+                        storageState,
+                        proxy: toPlaywrightProxy(pick.proxyUrl),
+                        viewport: VIEWPORT,
+                        extraHTTPHeaders: BROWSER_HEADERS,
+                    });
+                    try {
+                        page = await submitContext.newPage();
+                        await page.goto(checkinPageUrl, {
+                            waitUntil: 'domcontentloaded',
+                            timeout: 30000,
+                        });
+                        await fillCheckinForm();
+                    } catch (e) {
+                        // The preload page is still filled in; submit from there
+                        page = preloadPage;
+                        await submitContext.close().catch(() => {});
+                        submitContext = null;
+                        endSwitch({ proxy: pick.chosen.proxy, error: e.message });
+                        throw e;
+                    }
+
+                    result.telemetry.submitProxy.switchedAt = new Date().toISOString();
+                    endSwitch({ proxy: pick.chosen.proxy, medianMs: pick.chosen.medianMs });
+                    print(`✓ Session moved to submit proxy ${pick.chosen.proxy} (median ${pick.chosen.medianMs}ms)`);
+                };
+
+                // One more context per race lane after the first, each on its own
+                // submit proxy session with the form filled
+                const openLanes = async () => {
+                    const endOpen = events.span(TimelinePhase.WAIT, 'race-lanes');
+                    print(`🏁 Opening ${raceOffsets.length - 1} race lane(s)...`);
+                    raceLanes = await openRaceLanes(preloadPage, {
+                        count: raceOffsets.length - 1,
+                        proxyConfiguration: submitProxy ?? preloadProxy,
+                        sessionPrefix: `sw_${reservation.key}`,
+                        contextOptions: { viewport: VIEWPORT, extraHTTPHeaders: BROWSER_HEADERS },
+                        prepare: async (lanePage) => {
+                            await lanePage.goto(checkinPageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                            await fillForm(lanePage, reservation, { print, events, phase: TimelinePhase.WAIT });
+                        },
+                    });
+                    for (const lane of raceLanes) {
+                        print(`   lane ${lane.index} (+${raceOffsets[lane.index]}ms): ${lane.error ? `failed (${lane.error})` : `ready on ${lane.proxy ?? 'no proxy'}`}`);
+                    }
+                    endOpen({ lanes: raceLanes.map(({ index, proxy, error }) => ({ lane: index, proxy, error })) });
+                };
+
+                // Set through the control endpoint: stop before submitting, or a
+                // target offset that calibration and history leave alone
+                let abortRequest = null;
+                let offsetPinned = false;
+                // The wait loop's sleeps end early when an action changes the plan
+                let wakeWait = () => {};
+                const pause = (ms) => new Promise((resolve) => {
+                    const timer = setTimeout(resolve, ms);
+                    wakeWait = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                const nowMs = () => Date.now() + clock.localDriftMs;
+                let controlScreenshots = 0;
+                controls.set(reservation.key, {
+                    status: () => {
+                        const submitAt = checkinOpensAtMs + plannedOffsetMs + submitOffset;
+                        return {
+                            submitAt: new Date(submitAt).toISOString(),
+                            msUntilSubmit: Math.round(submitAt - nowMs()),
+                            plannedOffsetMs,
+                            submitOffset,
+                            offsetSource: offsetPinned ? 'control' : raceEnabled ? 'race' : learnedOffset.source,
+                            lastDriftCheck: result.telemetry.driftChecks.at(-1) ?? null,
+                            proxy: submitContext ? result.telemetry.submitProxy.chosen.proxy : preloadProxy ? 'preload' : null,
+                            raceLanes: raceLanes && raceLanes.map(({ index, proxy, error }) => ({ lane: index, offsetMs: raceOffsets[index], proxy, error })),
+                            abortRequested: abortRequest,
+                        };
+                    },
+                    perform: async (action, params) => {
+                        const phase = runState.phaseOf(reservation.key);
+                        const beforeSubmit = [RunPhase.IDLE, RunPhase.PRELOAD, RunPhase.WAITING].includes(phase);
+                        if (action === ControlAction.ABORT) {
+                            if (!beforeSubmit) throw new ControlError(`Too late to abort (phase ${phase})`, 409);
+                            abortRequest = { at: new Date(nowMs()).toISOString(), reason: params.reason ?? null };
+                            wakeWait();
+                            return { aborted: true };
+                        }
+                        if (action === ControlAction.SUBMIT_NOW) {
+                            if (phase !== RunPhase.WAITING) throw new ControlError(`Can only submit now while waiting (phase ${phase})`, 409);
+                            plannedOffsetMs = Math.round(nowMs() - checkinOpensAtMs - submitOffset);
+                            offsetPinned = true;
+                            wakeWait();
+                            return { plannedOffsetMs };
+                        }
+                        if (action === ControlAction.ADJUST_OFFSET) {
+                            const offsetMs = Number(params.offsetMs);
+                            if (params.offsetMs === undefined || !Number.isFinite(offsetMs) || Math.abs(offsetMs) > controlOptions.maxOffsetMs) {
+                                throw new ControlError(`offsetMs must be a number of ms after T-0 within ±${controlOptions.maxOffsetMs}`);
+                            }
+                            if (!beforeSubmit) throw new ControlError(`Too late to change the offset (phase ${phase})`, 409);
+                            if (checkinOpensAtMs + offsetMs + submitOffset <= nowMs()) {
+                                throw new ControlError(`T${offsetMs >= 0 ? '+' : ''}${offsetMs}ms has passed; use submit-now`, 409);
+                            }
+                            plannedOffsetMs = Math.round(offsetMs);
+                            offsetPinned = true;
+                            wakeWait();
+                            print(`🎛️  Submit offset set to T${plannedOffsetMs >= 0 ? '+' : ''}${plannedOffsetMs}ms through the control endpoint`);
+                            return { plannedOffsetMs, submitAt: new Date(checkinOpensAtMs + plannedOffsetMs + submitOffset).toISOString() };
+                        }
+                        if (action === ControlAction.SCREENSHOT) {
+                            // Keep the browser free for the submit itself
+                            if (!beforeSubmit) throw new ControlError(`No screenshots while ${phase}`, 409);
+                            if (privacyOptions.artifacts === 'none') throw new ControlError('The artifact policy is "none"', 409);
+                            const name = `screenshot-control-${++controlScreenshots}`;
+                            await saveScreenshot(page, reservation, result, name, { fullPage: false });
+                            const key = storeKey(reservation, name);
+                            return { key, link: platform.artifactLink(key) };
+                        }
+                        throw new ControlError(`Unsupported action "${action}"`, 404);
+                    },
+                });
+
+                // Heartbeats run on a timer from registration to the end, so
+                // page loads, proxy switches and the submit don't look like a crash
+                let stopHeartbeats = () => {};
+                try {
+                    if (coordinator) {
+                        await coordinator.register();
+                        stopHeartbeats = coordinator.keepAlive((e) => print('⚠️  Coordination heartbeat failed (non-critical):', e.message));
+                        result.coordination = { role: instanceType, instanceId, action: null, reason: null, peer: null };
+                        print(`🤝 Registered as ${instanceType} (${instanceId}) in store "${coordinationOptions.storeName}"`);
+                    }
+
+                    // PHASE 1: Load page and fill form
+                    print('═══ PHASE 1: Loading and filling form ═══');
+                    await runState.setPhase(reservation.key, RunPhase.PRELOAD);
+                    const endPreload = events.span(TimelinePhase.PRELOAD, 'preload', { url: checkinPageUrl });
+                    await page.goto(checkinPageUrl, {
+                        waitUntil: 'domcontentloaded',
+                        timeout: 30000,
+                    });
+
+                    await page.waitForTimeout(2000);
+
+                    await saveScreenshot(page, reservation, result, 'screenshot-initial', { fullPage: false });
+                    print('✓ Page loaded');
+                    events.event(TimelinePhase.PRELOAD, 'page-loaded');
+
+                    await fillCheckinForm();
+
+                    await page.waitForTimeout(1000);
+
+                    await saveScreenshot(page, reservation, result, 'screenshot-form-filled', { fullPage: false });
+                    print('✓ Form filled completely');
+
+                    // Replay mode: dry retrieval to capture the check-in API request
+                    let replayTemplate = null;
+                    if (submitMode === 'replay') {
+                        print('🎬 Dry retrieval: capturing check-in API request for replay...');
+                        try {
+                            const capture = await captureCheckinRequest(page, {
+                                urlPattern: replayOptions.urlPattern,
+                                timeoutMs: replayOptions.captureTimeoutMs,
+                                trigger: clickSubmitButton,
+                            });
+                            replayTemplate = capture.template;
+                            result.telemetry.replay = {
+                                captured: { url: capture.template.url, method: capture.template.method },
+                                dryRunStatus: capture.dryRun.status,
+                                dryRunOutcome: capture.dryRun.classification.outcome,
+                            };
+                            print(`✓ Captured ${capture.template.method} ${capture.template.url} (dry run: HTTP ${capture.dryRun.status}, ${capture.dryRun.classification.outcome})`);
+                            events.event(TimelinePhase.PRELOAD, 'request-captured', result.telemetry.replay);
+
+                            // The dry retrieval moved the page on; reload and refill so
+                            // the click path is still ready as a fallback
+                            await page.goto(checkinPageUrl, {
+                                waitUntil: 'domcontentloaded',
+                                timeout: 30000,
+                            });
+                            await fillCheckinForm();
+                        } catch (e) {
+                            print('⚠️  Could not capture check-in request, falling back to click submit:', e.message);
+                            result.telemetry.replay = { captured: null, error: e.message };
+                        }
+                    }
+
+                    endPreload({ submitMode, replayCaptured: Boolean(replayTemplate) });
+
+                    // PHASE 2: Wait with continuous drift monitoring
+                    print('═══ PHASE 2: Waiting with precision timing ═══');
+                    await runState.setPhase(reservation.key, RunPhase.WAITING);
+                    const endWait = events.span(TimelinePhase.WAIT, 'wait', { checkinOpensAt: reservation.checkinOpensAt });
+                
+                    // Pre-warm Southwest session early (DNS, TLS, TCP session tickets)
+                    const msUntilCheckin = checkinOpensAtMs - Date.now();
+                    if (msUntilCheckin > 300000) { // More than 5 minutes away
+                        print('🔥 Pre-warming Southwest session (DNS, TLS, TCP)...');
+                        try {
+                            await fetch(`${baseUrl}/`, { method: 'HEAD' });
+                            print('✓ Session pre-warmed, handshake cached');
+                        } catch (e) {
+                            print('⚠️  Pre-warm failed (non-critical):', e.message);
+                        }
+                    }
+                
+                    result.telemetry.syncMethod = clock.syncMethod;
+                
+                    print(`Check-in opens at: ${new Date(checkinOpensAtMs).toISOString()}`);
+                    print(`Current time (synced): ${new Date(Date.now() + clock.localDriftMs).toISOString()}`);
+                    print(`Time sync method: ${clock.syncMethod} (±${clock.uncertaintyMs.toFixed(1)}ms)`);
+
+                    let lastDriftCheck = Date.now();
+                    let lastHeartbeat = Date.now();
+                    let lastDrift = 0;
+                    let driftCheckFailures = 0;
+                    let troubleAlerted = false;
+                    let standDown = null;
+                    let proxySwitchAttempted = !submitProxy;
+
+                    // Backup only: act on the primary's published state
+                    const applyDecision = ({ decision, peer, reason }) => {
+                        const peerSummary = peer && { instanceId: peer.instanceId, state: peer.state, outcome: peer.outcome };
+                        if (decision !== Decision.WAIT) {
+                            events.event(TimelinePhase.WAIT, 'coordination-decision', { decision, reason, peer: peerSummary });
+                        }
+                        if (decision === Decision.STAND_DOWN) {
+                            standDown = peer;
+                            Object.assign(result.coordination, { action: 'stood-down', reason, peer: peerSummary });
+                            print(`🤝 Standing down: ${reason}`);
+                        } else if (decision === Decision.TAKE_OVER && submitOffset !== 0) {
+                            submitOffset = 0;
+                            Object.assign(result.coordination, { action: 'took-over', reason, peer: peerSummary });
+                            print(`🤝 Taking over from primary: ${reason}`);
+                        } else if (decision === Decision.WAIT && peer && result.coordination.action === 'took-over') {
+                            // The primary came (back) up before our submit time
+                            submitOffset = backupOffset;
+                            Object.assign(result.coordination, { action: null, reason, peer: peerSummary });
+                            print(`🤝 Primary is back (${reason}); restoring +${backupOffset}ms backup offset`);
+                        }
+                    };
+
+                    while (!abortRequest) {
+                        // Heartbeat monitor: Log status every 2 minutes
+                        const timeSinceHeartbeat = Date.now() - lastHeartbeat;
+                        if (timeSinceHeartbeat >= 120000) { // 2 minutes
+                            const msRemaining = (checkinOpensAtMs + submitOffset) - (Date.now() + clock.localDriftMs);
+
+                            const issues = [];
+                            if (clock.uncertaintyMs > timeSyncOptions.maxUncertaintyMs) {
+                                issues.push(`clock uncertainty ±${clock.uncertaintyMs.toFixed(1)}ms exceeds ±${timeSyncOptions.maxUncertaintyMs}ms`);
+                            }
+                            if (Math.abs(lastDrift) > 100) {
+                                issues.push(`drift of ${lastDrift}ms at last check`);
+                            }
+                            if (driftCheckFailures >= 3) {
+                                issues.push(`${driftCheckFailures} consecutive drift checks failed`);
+                            }
+
+                            if (issues.length > 0) {
+                                print(`💔 Heartbeat: DEGRADED (${issues.join('; ')}), ${Math.floor(msRemaining / 1000)}s until submit`);
+                                if (!troubleAlerted && notifier.enabled) {
+                                    // Don't hold up the wait loop on slow channels
+                                    troubleAlerted = true;
+                                    notifier.notify({
+                                        title: `⚠️ ${confirmationNumber}: check-in run degraded`,
+                                        message: `${issues.join('\n')}\n${Math.floor(msRemaining / 1000)}s until submit [${instanceType}]`,
+                                        level: 'error',
+                                    });
+                                }
+                            } else {
+                                print(`💓 Heartbeat: System healthy, ${Math.floor(msRemaining / 1000)}s until submit`);
+                            }
+                            events.event(TimelinePhase.WAIT, 'heartbeat', { status: issues.length > 0 ? 'degraded' : 'running', issues, msRemaining });
+
+                            await platform.setValue(storeKey(reservation, 'heartbeat'), redactor.text(JSON.stringify({
+                                timestamp: new Date().toISOString(),
+                                status: issues.length > 0 ? 'degraded' : 'running',
+                                issues,
+                                msRemaining,
+                                instanceType,
+                                confirmationNumber,
+                                driftMs: clock.localDriftMs,
+                            })), { contentType: 'application/json' });
+                            lastHeartbeat = Date.now();
+                        }
+                    
+                        // Check the synced clock against a Southwest Date header every 15 seconds
+                        const timeSinceLastCheck = Date.now() - lastDriftCheck;
+                        if (timeSinceLastCheck >= 15000) {
+                            try {
+                                const probe = await probeDateHeader(`${baseUrl}/`, timeSyncOptions.southwestTimeoutMs);
+                                const { lo, hi } = probeInterval(probe);
+                                // How far our offset lies outside what this probe allows (0 = consistent)
+                                const drift = clock.localDriftMs < lo
+                                    ? clock.localDriftMs - lo
+                                    : Math.max(0, clock.localDriftMs - hi);
+                            
+                                const driftCheck = {
+                                    timestamp: new Date().toISOString(),
+                                    drift,
+                                    rtt: probe.rttMs,
+                                };
+                                result.telemetry.driftChecks.push(driftCheck);
+                                await runState.recordDrift(reservation.key, driftCheck);
+                                events.event(TimelinePhase.WAIT, 'drift-check', { driftMs: drift, rttMs: probe.rttMs, offsetMs: clock.localDriftMs });
+                                lastDrift = drift;
+                                driftCheckFailures = 0;
+                            
+                                if (Math.abs(drift) > 100) {
+                                    print(`⚠️  Significant drift detected: ${drift}ms, resyncing...`);
+                                    await syncClock();
+                                }
+                            } catch (e) {
+                                driftCheckFailures++;
+                                print('⚠️  Drift check failed (non-critical):', e.message);
+                            }
+                        
+                            lastDriftCheck = Date.now();
+                        }
+                    
+                        // Full re-sync every 10 minutes for very long waits
+                        // (shared clock: whichever reservation gets here first re-syncs for all)
+                        const timeSinceNTPSync = Date.now() - clock.lastNTPSync;
+                        if (timeSinceNTPSync >= 600000) { // 10 minutes
+                            print('🕐 Performing periodic clock re-sync (10min elapsed)...');
+                            await syncClock();
+                            print(`✓ Re-sync complete. New offset: ${clock.localDriftMs}ms ±${clock.uncertaintyMs.toFixed(1)}ms`);
+                        }
+
+                        const currentTime = Date.now() + clock.localDriftMs;
+                        const msUntilCheckin = checkinOpensAtMs - currentTime;
+                    
+                        // Calculate time until our target submit time
+                        // Primary: T+offset (100ms by default), Backup: 1000ms later (safety margin)
+                        const msUntilSubmit = (checkinOpensAtMs + plannedOffsetMs + submitOffset) - currentTime;
+                    
+                        if (msUntilSubmit <= 0) {
+                            print(`🎯 Target submit time reached! (T+${plannedOffsetMs}ms)`);
+                            events.event(TimelinePhase.WAIT, 'target-reached', { plannedOffsetMs, submitOffset });
+                            break;
+                        }
+
+                        // Keep store round-trips out of the final approach
+                        if (coordinator && isBackup && msUntilSubmit > 2000) {
+                            try {
+                                applyDecision(await coordinator.decide());
+                            } catch (e) {
+                                print('⚠️  Coordination update failed (non-critical):', e.message);
+                            }
+                            if (standDown) break;
+                        }
+
+                        if (!proxySwitchAttempted && msUntilSubmit <= proxyOptions.switchLeadMs) {
+                            proxySwitchAttempted = true;
+                            if (msUntilSubmit < MIN_PROXY_SWITCH_MS) {
+                                print('⚠️  Too close to submit time to switch proxies, submitting from the preload proxy');
+                                result.telemetry.submitProxy = { chosen: null, error: 'too close to submit time' };
+                            } else {
+                                try {
+                                    await switchToSubmitProxy();
+                                } catch (e) {
+                                    print('⚠️  Could not move to the submit proxy, submitting from the preload proxy:', e.message);
+                                    result.telemetry.submitProxy = { ...result.telemetry.submitProxy, error: e.message };
+                                }
+                            }
+                            continue;
+                        }
+
+                        if (raceEnabled && !raceLanes && msUntilSubmit <= raceOptions.leadMs) {
+                            raceLanes = [];
+                            if (msUntilSubmit < MIN_PROXY_SWITCH_MS) {
+                                print('⚠️  Too close to submit time to open race lanes, submitting from one page');
+                            } else {
+                                try {
+                                    await openLanes();
+                                } catch (e) {
+                                    print('⚠️  Could not open race lanes, submitting from one page:', e.message);
+                                }
+                            }
+                            continue;
+                        }
+
+                        if (msUntilSubmit <= 5000) {
+                            // Within 5 seconds - poll frequently
+                            if (msUntilSubmit % 1000 < 200) {
+                                print(`⏱️  ${(msUntilSubmit / 1000).toFixed(1)}s until submit (T+${plannedOffsetMs}ms)...`);
+                            }
+                            await pause(100);
+                        } else if (msUntilSubmit <= 60000) {
+                            // Within 1 minute - poll every second
+                            print(`⏱️  ${Math.floor(msUntilSubmit / 1000)}s until submit...`);
+                            await pause(1000);
+                        } else {
+                            // More than 1 minute away - poll every 5 seconds
+                            const secondsRemaining = Math.floor(msUntilSubmit / 1000);
+                            print(`⏳ ${Math.floor(secondsRemaining / 60)}m ${secondsRemaining % 60}s until submit...`);
+                            await pause(5000);
+                        }
+                    }
+
+                    // The backup's submit time has come: if the primary is mid-submit,
+                    // give it until its published result deadline (at least
+                    // decisionWaitMs) to report before submitting a second time
+                    if (coordinator && isBackup && !standDown && !abortRequest) {
+                        const waitFrom = Date.now() + clock.localDriftMs;
+                        while (!standDown && result.coordination.action !== 'took-over') {
+                            const decision = await coordinator.decide().catch((e) => ({ decision: Decision.TAKE_OVER, peer: null, reason: `store unreachable: ${e.message}` }));
+                            const waitUntil = decisionDeadline(decision.peer, { fromMs: waitFrom, decisionWaitMs: coordinationOptions.decisionWaitMs });
+                            const waitedMs = Date.now() + clock.localDriftMs - waitFrom;
+                            if (decision.decision === Decision.WAIT && waitedMs >= waitUntil - waitFrom) {
+                                applyDecision({ ...decision, decision: Decision.TAKE_OVER, reason: `${decision.reason} after ${Math.round(waitedMs)}ms` });
+                            } else {
+                                applyDecision(decision);
+                            }
+                            if (decision.decision === Decision.WAIT && !standDown) await page.waitForTimeout(250);
+                        }
+                    }
+
+                    endWait({ standDown: Boolean(standDown), aborted: Boolean(abortRequest), plannedOffsetMs, submitOffset });
+
+                    if (abortRequest) {
+                        // A coordinating backup takes over, as after a failure
+                        result.error = `Aborted through the control endpoint${abortRequest.reason ? `: ${abortRequest.reason}` : ''}`;
+                        await coordinator?.setState(InstanceState.FAILED, { outcome: 'ABORTED' }).catch(() => {});
+                        print(`🛑 ${result.error}; not submitting`);
+                        return;
+                    }
+
+                    if (standDown) {
+                        // The primary checked in; report its result instead of submitting again
+                        result.success = true;
+                        result.outcome = standDown.outcome;
+                        result.boardingPosition = standDown.boardingPosition;
+                        result.performedBy = { instanceId: standDown.instanceId, role: standDown.role };
+                        await coordinator.setState(InstanceState.SUCCEEDED, { outcome: standDown.outcome, boardingPosition: standDown.boardingPosition, standDown: true });
+                        print(`🤝 Primary ${standDown.instanceId} checked in (${standDown.boardingPosition ?? 'no position'}); backup not submitting`);
+                        return;
+                    }
+
+                    // PHASE 3: Submit using in-browser setTimeout() for precision
+                    print('═══ PHASE 3: Submitting with in-browser scheduling ═══');
+                    if (coordinator) {
+                        // When a waiting backup can expect our result: the retry
+                        // window after the submit, plus a replay or race round before it
+                        const submitAtMs = checkinOpensAtMs + plannedOffsetMs + submitOffset;
+                        const resultWithinMs = retryPolicy.windowMs
+                            + (replayTemplate ? replayOptions.responseTimeoutMs : 0)
+                            + (raceEnabled ? raceOptions.resultTimeoutMs : 0)
+                            + SUBMIT_RESULT_GRACE_MS;
+                        coordinator.setState(InstanceState.SUBMITTING, {
+                            submitAt: new Date(submitAtMs).toISOString(),
+                            resultBy: new Date(Math.max(submitAtMs, Date.now() + clock.localDriftMs) + resultWithinMs).toISOString(),
+                        }).catch(() => {});
+                    }
+                    await runState.setPhase(reservation.key, RunPhase.SUBMITTING);
+                    networkPage = page;
+                    networkPage.on('requestfinished', recordBrowserRequest);
+                    networkPage.on('requestfailed', recordBrowserRequest);
+                    const endCalibration = events.span(TimelinePhase.SUBMIT, 'calibration');
+                
+                    // Pre-submit calibration: measure average RTT through the
+                    // page's own context, i.e. through the proxy we submit on
+                    print(`📊 Calibrating network latency (${submitContext ? 'submit proxy' : 'preload proxy'})...`);
+                    const rttSamples = [];
+                    for (let i = 0; i < 3; i++) {
+                        const start = Date.now();
+                        try {
+                            await page.request.fetch(`${baseUrl}/`, { method: 'HEAD', timeout: 5000, failOnStatusCode: false });
+                        } catch (e) {
+                            print('⚠️  Calibration request failed:', e.message.split('\n')[0]);
+                            continue;
+                        }
+                        const end = Date.now();
+                        rttSamples.push(end - start);
+                    }
+                
+                    // Use median for robustness against spikes
+                    const sortedRTT = rttSamples.sort((a, b) => a - b);
+                    const medianRTT = sortedRTT[Math.floor(sortedRTT.length / 2)] ?? null;
+                
+                    endCalibration({ samplesMs: rttSamples, medianMs: medianRTT });
+                    print(`✓ RTT samples: ${rttSamples.join(', ')}ms`);
+                    print(`✓ Median RTT: ${medianRTT}ms (more robust than mean)`);
+                    result.telemetry.calibratedRTT = medianRTT;
+                
+                    // Adaptive RTT compensation: Fine-tune submit time based on actual network latency
+                    const adaptiveOffset = Math.floor(medianRTT / 2);
+                    print(`📊 Adaptive compensation: +${adaptiveOffset}ms (half of median RTT)`);
+
+                    // With a learned arrival target, send one half RTT ahead of it
+                    if (!offsetPinned && !raceEnabled && learnedOffset.source === 'history' && medianRTT !== null) {
+                        plannedOffsetMs = planSubmitOffset(learnedOffset, adaptiveOffset, timingHistoryOptions);
+                    }
+                    result.telemetry.submitOffset = {
+                        source: offsetPinned ? 'control' : raceEnabled ? 'race' : learnedOffset.source,
+                        reason: offsetPinned ? 'set through the control endpoint' : raceEnabled ? 'race lane offsets' : learnedOffset.reason,
+                        samples: learnedOffset.samples,
+                        arrivalTargetMs: learnedOffset.arrivalTargetMs ?? null,
+                        biasMs: learnedOffset.biasMs ?? null,
+                        plannedOffsetMs,
+                    };
+                    print(`🎯 Submit offset: T+${plannedOffsetMs}ms (${offsetPinned ? 'control endpoint' : raceEnabled
+                        ? 'first race lane'
+                        : learnedOffset.source === 'history' ? `learned from ${learnedOffset.samples} runs` : learnedOffset.reason})`);
+                
+                    // Store calibrated RTT for future runs
+                    await platform.setValue(storeKey(reservation, 'calibrated-rtt'), JSON.stringify({
+                        timestamp: new Date().toISOString(),
+                        medianRTT,
+                        samples: rttSamples,
+                        adaptiveOffset,
+                    }), { contentType: 'application/json' });
+
+                    // Schedule click inside browser using setTimeout()
+                    // This eliminates the 20-60ms DevTools protocol delay
+                    const targetSubmitTime = checkinOpensAtMs + plannedOffsetMs + submitOffset;
+                
+                    print(`🎯 Target submit time: ${new Date(targetSubmitTime).toISOString()}`);
+                    print(`🎯 Instance type: ${instanceType}, Offset: ${submitOffset > 0 ? '+' + submitOffset + 'ms' : 'standard'}`);
+                
+                    // Calculate delay in Node context for consistency
+                    const currentTime = Date.now() + clock.localDriftMs;
+                    const delayMs = Math.max(0, targetSubmitTime - currentTime);
+                
+                    print(`📊 Submit will fire in ${delayMs}ms`);
+                    events.event(TimelinePhase.SUBMIT, 'submit-planned', {
+                        targetSubmitTime: new Date(targetSubmitTime).toISOString(),
+                        delayMs,
+                        plannedOffsetMs,
+                        submitOffset,
+                        mode: replayTemplate ? 'replay' : raceEnabled ? 'race' : 'click',
+                    });
+                
+                    // Store real-time drift telemetry
+                    await platform.setValue(storeKey(reservation, 'drift-telemetry'), JSON.stringify({
+                        timestamp: new Date().toISOString(),
+                        instanceType,
+                        driftChecks: result.telemetry.driftChecks,
+                        finalDrift: currentTime - Date.now(),
+                        targetSubmitTime: new Date(targetSubmitTime).toISOString(),
+                    }), { contentType: 'application/json' });
+                
+                    // Tell a waiting backup as soon as the check-in is accepted,
+                    // before the screenshot and result page; the full result
+                    // is published once classified
+                    const publishAccepted = async (found) => {
+                        if (!coordinator || !ACCEPTED_OUTCOMES.includes(found.outcome)) return;
+                        try {
+                            await coordinator.setState(InstanceState.SUCCEEDED, { outcome: found.outcome, boardingPosition: found.boardingPosition });
+                        } catch (e) {
+                            print('⚠️  Could not publish result to coordination store:', e.message);
+                        }
+                    };
+
+                    let classification = null;
+                    // First request that got an answer, for the timing history
+                    let firstResponse = null;
+                    if (replayTemplate) {
+                        print(`🎬 Replaying captured request: ${replayOptions.offsetsMs.length} shot(s) at ${replayOptions.offsetsMs.map((o) => `+${o}ms`).join(', ')}`);
+                        const burst = await fireReplayBurst(page, replayTemplate, {
+                            targetTime: targetSubmitTime,
+                            offsetsMs: replayOptions.offsetsMs,
+                            now: () => Date.now() + clock.localDriftMs,
+                            timeoutMs: replayOptions.responseTimeoutMs,
+                        });
+                        result.telemetry.replay.shots = burst.shots;
+                        result.telemetry.replay.winner = burst.winner;
+                        // Shot times are corrected; the timeline wants local ones
+                        for (const shot of burst.shots.filter((fired) => fired.sentAt !== null)) {
+                            events.event(TimelinePhase.SUBMIT, 'shot-sent', { index: shot.index, offsetMs: shot.offsetMs }, { atMs: shot.sentAt - clock.localDriftMs });
+                            if (shot.receivedAt !== null) {
+                                events.event(TimelinePhase.SUBMIT, 'shot-response', { index: shot.index, status: shot.status, outcome: shot.outcome }, { atMs: shot.receivedAt - clock.localDriftMs });
+                            }
+                        }
+                        for (const shot of burst.shots) {
+                            print(`   shot #${shot.index} (+${shot.offsetMs}ms): ${shot.skipped ? 'skipped' : shot.error || `HTTP ${shot.status} ${shot.outcome} in ${shot.receivedAt - shot.sentAt}ms`}`);
+                        }
+                        const firstShot = burst.shots.find((shot) => shot.outcome);
+                        if (firstShot) {
+                            firstResponse = { sentAt: firstShot.sentAt, targetOffsetMs: plannedOffsetMs + submitOffset + firstShot.offsetMs, outcome: firstShot.outcome };
+                        }
+
+                        if (burst.classification) {
+                            classification = burst.classification;
+                            await publishAccepted(classification);
+                            result.telemetry.submitMode = 'replay';
+                            result.actualSubmitTime = new Date(burst.winner.sentAt).toISOString();
+                            result.timingOffset = burst.winner.sentAt - checkinOpensAtMs;
+                            result.timingOffsetUncertaintyMs = clockUncertaintyMs();
+                            // Replay shots are timed in Node right before the request is handed to the browser
+                            result.telemetry.submitTiming = { source: 'replay', clockSource: clock.syncMethod, clockOffsetMs: clock.localDriftMs };
+                            print(`✓ Actual submit time: ${result.actualSubmitTime}`);
+                            print(`✓ Timing offset from T-0: ${formatOffset(result)}`);
+
+                            await artifacts.save(reservation.key, storeKey(reservation, 'final-response'), redactor.text(burst.body ?? ''), { contentType: 'text/plain' });
+                        } else {
+                            print('⚠️  No replay shot got a response, falling back to in-browser click');
+                        }
+                    }
+
+                    if (!classification) {
+                        result.telemetry.submitMode = 'click';
+
+                        // The send time of the check-in API call the click triggers
+                        // is the real submit time
+                        let clickInfo;
+                        let wire;
+                        // Offset after T-0 of the click the result comes from
+                        let firedOffsetMs = plannedOffsetMs;
+                        if (raceEnabled) {
+                            const lanes = [
+                                { index: 0, offsetMs: raceOffsets[0], page, proxy: submitContext ? result.telemetry.submitProxy.chosen.proxy : null },
+                                ...(raceLanes ?? []).filter((lane) => lane.page).map((lane) => ({
+                                    index: lane.index,
+                                    offsetMs: raceOffsets[lane.index],
+                                    page: lane.page,
+                                    proxy: lane.proxy,
+                                    close: () => lane.context.close(),
+                                })),
+                            ];
+                            print(`🏁 Racing ${lanes.length} lane(s) at ${lanes.map((lane) => `+${lane.offsetMs}ms`).join(', ')}`);
+                            const race = await fireRace(lanes, {
+                                // The first lane fires at the planned offset, the others as far after it as configured
+                                targetTime: checkinOpensAtMs + submitOffset + plannedOffsetMs - raceOffsets[0],
+                                clockOffsetMs: clock.localDriftMs,
+                                spinMs: CLICK_SPIN_MS,
+                                urlPattern: replayOptions.urlPattern,
+                                timeoutMs: raceOptions.resultTimeoutMs,
+                                pollIntervalMs: raceOptions.pollIntervalMs,
+                            });
+                            const unopened = (raceLanes ?? []).filter((lane) => !lane.page).map((lane) => ({
+                                lane: lane.index,
+                                offsetMs: raceOffsets[lane.index],
+                                proxy: lane.proxy,
+                                error: lane.error,
+                            }));
+                            result.telemetry.race = { offsetsMs: raceOffsets, winner: race.winner, lanes: [...race.lanes, ...unopened] };
+
+                            // Lane times are corrected; the timeline wants local ones
+                            for (const lane of race.lanes) {
+                                if (lane.firedAt !== null) {
+                                    events.event(TimelinePhase.SUBMIT, 'lane-fired', { lane: lane.lane, offsetMs: lane.offsetMs }, { atMs: lane.firedAt - clock.localDriftMs, source: 'browser' });
+                                }
+                                if (lane.responseAt !== null) {
+                                    events.event(TimelinePhase.SUBMIT, 'lane-response', { lane: lane.lane, status: lane.status, outcome: lane.outcome }, { atMs: lane.responseAt - clock.localDriftMs, source: 'browser' });
+                                }
+                            }
+                            events.event(TimelinePhase.SUBMIT, 'race-finished', { winner: race.winner });
+                            const sinceOpening = (at) => (at === null ? '-' : `T+${Math.round(at - checkinOpensAtMs)}ms`);
+                            for (const lane of result.telemetry.race.lanes) {
+                                print(`   lane ${lane.lane} (+${lane.offsetMs}ms${lane.proxy ? `, ${lane.proxy}` : ''}): ${lane.cancelled ? 'cancelled'
+                                    : lane.error ? `failed (${lane.error})`
+                                        : `fired ${sinceOpening(lane.firedAt)}, sent ${sinceOpening(lane.sentAt)}, answered ${sinceOpening(lane.responseAt)}, HTTP ${lane.status ?? '-'} ${lane.outcome ?? 'no outcome'}`}${lane.winner ? ' 🏆' : ''}`);
+                            }
+                            if (race.winner) {
+                                print(`🏁 Lane ${race.winner.lane} (+${race.winner.offsetMs}ms) won the race`);
+                            } else {
+                                print('⚠️  No race lane was accepted; verifying and retrying on the first lane');
+                            }
+
+                            page = race.page;
+                            firedOffsetMs = plannedOffsetMs + (race.winner?.offsetMs ?? raceOffsets[0]) - raceOffsets[0];
+                            clickInfo = race.click;
+                            wire = race.wire;
+                            if (clickInfo.error) throw new Error(clickInfo.error);
+                        } else {
+                            const submitWatch = watchCheckinRequest(page, {
+                                urlPattern: replayOptions.urlPattern,
+                                timeoutMs: replayOptions.responseTimeoutMs,
+                            });
+
+                            // Located and clicked inside the page (see retry.js)
+                            clickInfo = await page.evaluate(clickSubmitControl, { delay: delayMs, spinMs: CLICK_SPIN_MS });
+                            if (clickInfo.error) {
+                                submitWatch.stop();
+                                throw new Error(clickInfo.error);
+                            }
+
+                            events.event(TimelinePhase.SUBMIT, 'click-scheduled', { delayMs }, { atMs: clickInfo.scheduledAtMs, source: 'browser' });
+                            events.event(TimelinePhase.SUBMIT, 'click-fired', { via: clickInfo.via }, { atMs: clickInfo.clickAtMs, source: 'browser' });
+                            print(`🕐 Click scheduled at: ${clickInfo.scheduledAt}`);
+                            print(`🖱️ Actual click executed at: ${clickInfo.clickTime} (control: ${clickInfo.via}, ${clickInfo.lateByMs}ms after the target)`);
+
+                            // Without a matching request on the wire, fall back to the in-page click time
+                            wire = await submitWatch.result();
+                        }
+
+                        const toCorrectedIso = (localMs) => new Date(localMs + clock.localDriftMs).toISOString();
+                        const actualSubmitTime = (wire ? wire.sentAtMs : clickInfo.clickAtMs) + clock.localDriftMs;
+                        result.actualSubmitTime = new Date(actualSubmitTime).toISOString();
+                        result.timingOffset = Math.round(actualSubmitTime - checkinOpensAtMs);
+                        result.timingOffsetUncertaintyMs = clockUncertaintyMs();
+                        result.telemetry.submitTiming = {
+                            source: wire ? 'network' : 'click',
+                            clockSource: clock.syncMethod,
+                            clockOffsetMs: clock.localDriftMs,
+                            clickAt: toCorrectedIso(clickInfo.clickAtMs),
+                            clickLateByMs: clickInfo.lateByMs,
+                            request: wire && {
+                                url: wire.url,
+                                method: wire.method,
+                                status: wire.status,
+                                sentAt: toCorrectedIso(wire.sentAtMs),
+                                firstByteAt: wire.firstByteAtMs === null ? null : toCorrectedIso(wire.firstByteAtMs),
+                                clickToSendMs: Math.round((wire.sentAtMs - clickInfo.clickAtMs) * 1000) / 1000,
+                                ...wire.breakdown,
+                            },
+                        };
+                        events.event(TimelinePhase.SUBMIT, 'submit-measured', result.telemetry.submitTiming);
+                
+                        print(`✓ Form submitted`);
+                        if (wire) {
+                            const { request: sent } = result.telemetry.submitTiming;
+                            print(`✓ Check-in request ${sent.method} ${sent.url}: sent ${sent.clickToSendMs}ms after the click, HTTP ${sent.status ?? 'no response'}`);
+                            print(`   DNS ${sent.dnsMs ?? '-'}ms, connect ${sent.connectMs ?? '-'}ms (TLS ${sent.tlsMs ?? '-'}ms), TTFB ${sent.ttfbMs ?? '-'}ms${sent.reusedConnection ? ' (reused connection)' : ''}`);
+                        } else {
+                            print(`⚠️  No check-in request matching /${replayOptions.urlPattern}/i seen within ${replayOptions.responseTimeoutMs}ms; timing from the in-page click`);
+                        }
+                        print(`✓ Actual submit time: ${result.actualSubmitTime}`);
+                        print(`✓ Timing offset from T-0: ${formatOffset(result)}`);
+
+                        // PHASE 4: Retry until accepted, within the retry policy's window
+                        print('═══ PHASE 4: Verification and retry ═══');
+                        networkPhase = TimelinePhase.VERIFY;
+                
+                        const retried = await retryUntilFinal(retryPolicy, {
+                            inspect: async () => ({
+                                outcome: classifyCheckinPage(await page.content()).outcome,
+                                formState: await page.evaluate(inspectFormState),
+                            }),
+                            resubmit: async (trigger) => {
+                                try {
+                                    if (trigger === RetryTrigger.SESSION_EXPIRED || trigger === RetryTrigger.NAVIGATED_AWAY) {
+                                        await page.goto(checkinPageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                                    }
+                                    if (trigger !== RetryTrigger.TOO_EARLY && trigger !== RetryTrigger.PENDING) {
+                                        await fillCheckinForm();
+                                    }
+                                    await clickSubmitButton();
+                                } catch (e) {
+                                    print(`⚠️  Retry failed: ${e.message}`);
+                                    throw e;
+                                }
+                            },
+                            onRetry: (attempt) => {
+                                events.event(TimelinePhase.VERIFY, 'retry', { attempt: attempt.attempt, trigger: attempt.trigger, outcome: attempt.outcome, url: attempt.url });
+                                print(`⚠️  Retry ${attempt.attempt}/${retryPolicy.maxAttempts} at ${attempt.at}: ${attempt.trigger} (outcome ${attempt.outcome})`);
+                            },
+                            now: () => Date.now() + clock.localDriftMs,
+                            wait: (ms) => page.waitForTimeout(ms),
+                        });
+                        const retryAttempts = retried.attempts;
+                        if (retried.final) {
+                            const accepted = ACCEPTED_OUTCOMES.includes(retried.outcome);
+                            events.event(TimelinePhase.VERIFY, accepted ? 'accepted' : 'refused', { outcome: retried.outcome, checks: retried.checks });
+                            print(accepted
+                                ? `✓ Check-in request accepted (outcome: ${retried.outcome})`
+                                : `⚠️  Check-in refused (outcome: ${retried.outcome})`);
+                            if (accepted) {
+                                // A navigation in flight can make content() throw; the full result is published below anyway
+                                await page.content().then((html) => publishAccepted(classifyCheckinPage(html)), () => {});
+                            }
+                        } else {
+                            print(`⚠️  Giving up after ${retryAttempts.length} retries in ${retried.elapsedMs}ms (last: ${retried.lastTrigger}, outcome ${retried.outcome})`);
+                        }
+
+                        result.telemetry.retryCount = retryAttempts.length;
+                        result.telemetry.retryAttempts = retryAttempts;
+                        // No retry means the first answer was final (classified below)
+                        firstResponse = { sentAt: actualSubmitTime, targetOffsetMs: firedOffsetMs + submitOffset, outcome: retryAttempts[0]?.outcome ?? null };
+
+                        // Wait for final result page
+                        await page.waitForTimeout(3000);
+
+                        await saveScreenshot(page, reservation, result, 'screenshot-result', { fullPage: true });
+
+                        // PHASE 5: Extract boarding position
+                        print('═══ PHASE 5: Extracting boarding position ═══');
+                        networkPhase = TimelinePhase.RESULT;
+                
+                        const pageContent = await page.content();
+                        await artifacts.save(reservation.key, storeKey(reservation, 'final-page-html'),
+                            privacyOptions.scrubHtml ? scrubHtml(pageContent, redactor) : pageContent, { contentType: 'text/html' });
+
+                        classification = classifyCheckinPage(pageContent);
+                    }
+
+                    events.event(TimelinePhase.RESULT, 'classified', { outcome: classification.outcome, boardingPosition: classification.boardingPosition });
+                    result.outcome = classification.outcome;
+                    result.passengers = classification.passengers;
+                    result.flightNumber = classification.flightNumber;
+                    result.gate = classification.gate;
+                    result.boardingPosition = classification.boardingPosition;
+
+                    for (const passenger of classification.passengers) {
+                        print(`✓ Found boarding position: ${passenger.position}${passenger.name ? ` (${passenger.name})` : ''}`);
+                    }
+
+                    if (classification.outcome === Outcome.SUCCESS || classification.outcome === Outcome.ALREADY_CHECKED_IN) {
+                        // Either way the passengers are checked in; report the position if the page shows it
+                        result.success = true;
+                        if (!result.boardingPosition) {
+                            result.error = 'Checked in, but no boarding position shown on page';
+                        }
+                        print(`🎉 SUCCESS (${classification.outcome})! Boarding position: ${result.boardingPosition ?? 'not shown'}`);
+                    } else {
+                        result.success = false;
+                        result.error = classification.message
+                            ? `${OUTCOME_ERRORS[classification.outcome]}: ${classification.message}`
+                            : OUTCOME_ERRORS[classification.outcome];
+                        print(`⚠️  Check-in failed (${classification.outcome}): ${result.error}`);
+                    }
+
+                    if (timingHistoryStore && firstResponse) {
+                        const rttMs = medianRTT ?? clock.southwestRTT;
+                        const timingOffsetMs = firstResponse.sentAt - checkinOpensAtMs;
+                        const outcome = firstResponse.outcome ?? classification.outcome;
+                        try {
+                            await appendHistory(timingHistoryStore, {
+                                at: new Date().toISOString(),
+                                runId: instanceId,
+                                instanceType,
+                                submitMode: result.telemetry.submitMode,
+                                dryRun,
+                                targetOffsetMs: firstResponse.targetOffsetMs,
+                                timingOffsetMs,
+                                arrivalOffsetMs: rttMs === null ? null : timingOffsetMs + rttMs / 2,
+                                rttMs,
+                                landed: landingOf(outcome),
+                                firstOutcome: outcome,
+                                outcome: classification.outcome,
+                                boardingPosition: result.boardingPosition,
+                                retryCount: result.telemetry.retryCount ?? 0,
+                                clock: { offsetMs: clock.localDriftMs, uncertaintyMs: clock.uncertaintyMs, method: clock.syncMethod },
+                                proxy: result.telemetry.submitProxy?.chosen
+                                    ? { proxy: result.telemetry.submitProxy.chosen.proxy, medianMs: result.telemetry.submitProxy.chosen.medianMs }
+                                    : null,
+                            }, timingHistoryOptions.maxEntries);
+                        } catch (e) {
+                            print('⚠️  Could not record timing history (non-critical):', e.message);
+                        }
+                    }
+
+                    result.performedBy = { instanceId, role: instanceType };
+                    if (coordinator) {
+                        try {
+                            await coordinator.setState(result.success ? InstanceState.SUCCEEDED : InstanceState.FAILED, {
+                                outcome: result.outcome,
+                                boardingPosition: result.boardingPosition,
+                            });
+                        } catch (e) {
+                            print('⚠️  Could not publish result to coordination store:', e.message);
+                        }
+                    }
+
+                    // Log telemetry summary
+                    print('📊 Timing Telemetry Summary:');
+                    print(`   NTP Sync: ${clock.ntpSyncSucceeded ? '✓' : '✗'}`);
+                    print(`   Local Drift: ${clock.localDriftMs}ms ±${clock.uncertaintyMs.toFixed(1)}ms`);
+                    print(`   Southwest RTT: ${clock.southwestRTT}ms`);
+                    print(`   Calibrated RTT: ${result.telemetry.calibratedRTT?.toFixed(1)}ms`);
+                    print(`   Sync Method: ${result.telemetry.syncMethod}`);
+                    print(`   Submit Proxy: ${result.telemetry.submitProxy?.chosen ? `${result.telemetry.submitProxy.chosen.proxy} (median ${result.telemetry.submitProxy.chosen.medianMs}ms)` : 'none'}`);
+                    print(`   Submit Mode: ${result.telemetry.submitMode}`);
+                    if (result.telemetry.race) {
+                        print(`   Race: ${result.telemetry.race.winner ? `lane ${result.telemetry.race.winner.lane} (+${result.telemetry.race.winner.offsetMs}ms) won` : 'no winner'} of ${result.telemetry.race.lanes.length}`);
+                    }
+                    print(`   Drift Checks: ${result.telemetry.driftChecks.length}`);
+                    print(`   Retry Attempts: ${result.telemetry.retryCount}`);
+                    print(`   Final Timing Offset: ${formatOffset(result)}`);
+
+                } catch (error) {
+                    console.error(`[${reservation.key}] ❌ Error during check-in:`, error);
+                    result.error = error.message;
+
+                    // Let a waiting backup take over right away
+                    await coordinator?.setState(InstanceState.FAILED, { outcome: 'ERROR' }).catch(() => {});
+                
+                    try {
+                        await saveScreenshot(page, reservation, result, 'screenshot-error', { fullPage: true });
+                    } catch (e) {
+                        console.error(`[${reservation.key}] Could not capture error screenshot`);
+                    }
+                } finally {
+                    stopHeartbeats();
+                    networkPage?.off('requestfinished', recordBrowserRequest);
+                    networkPage?.off('requestfailed', recordBrowserRequest);
+                    events.event(TimelinePhase.RESULT, 'done', { success: result.success, outcome: result.outcome, error: result.error });
+                    await submitContext?.close().catch(() => {});
+                    await Promise.all((raceLanes ?? []).map((lane) => lane.context?.close().catch(() => {})));
+                    // Never submit this reservation again, even after a restart
+                    await runState.recordResult(reservation.key, result);
+                }
+            },
+            failedRequestHandler: async ({ request }, error) => {
+                // Navigation/proxy failures before the handler ran: record and move on
+                const result = results.get(request.userData.reservationKey);
+                console.error(`[${request.userData.reservationKey}] ❌ Request failed:`, error.message);
+                result.error = error.message;
+                await runState.recordResult(request.userData.reservationKey, result);
+            },
+            // Each reservation has exactly one timing-critical attempt; never re-run it
+            maxRequestRetries: 0,
+            maxConcurrency: Math.max(1, runnable.length),
+        };
+
+        const opensAtMs = (reservation) => new Date(reservation.checkinOpensAt).getTime();
+
+        // Wait for the page to show something `read` recognizes, or give up after resultTimeoutMs
+        const pollPage = async (page, read, done) => {
+            const until = Date.now() + preflightOptions.resultTimeoutMs;
+            let value;
+            do {
+                await page.waitForTimeout(500);
+                // A navigation in flight can make content() throw; read again
+                value = read(await page.content().catch(() => ''));
+            } while (!done(value) && Date.now() < until);
+            return value;
+        };
+
+        // Follow-up jobs for the legs after the current one: Apify schedules when
+        // asked for and running on the platform, manifest entries otherwise
+        const followUpMode = itineraryOptions.followUps === 'schedule' && (dryRun || !platform.scheduler || !platform.actorId)
+            ? 'manifest'
+            : itineraryOptions.followUps;
+        if (followUpMode !== itineraryOptions.followUps) {
+            console.log(`⚠️  itinerary.followUps is 'schedule', but ${dryRun ? 'this is a dry run' : `the ${platform.name} platform cannot schedule runs`}; writing follow-ups to ${MANIFEST_KEY} instead`);
+        }
+        const emitFollowUps = async (reservation, legs, print) => {
+            const followUps = [];
+            for (const leg of legs.filter((entry) => entry.role === 'follow-up')) {
+                const followUp = { leg: leg.leg, legs: legs.length, checkinOpensAt: leg.checkinOpensAt, startAt: null, mode: followUpMode, scheduleId: null, input: null, error: leg.error };
+                followUps.push(followUp);
+                if (followUpMode === 'none' || !leg.checkinOpensAt) continue;
+
+                followUp.startAt = followUpStartAt(leg.checkinOpensAt, itineraryOptions.startLeadMinutes);
+                const runInput = followUpInput(input, reservation, leg, { legs: legs.length, parentRunId: instanceId });
+                if (followUpMode === 'schedule') {
+                    try {
+                        const scheduled = await scheduleFollowUp(platform.scheduler, {
+                            actorId: platform.actorId,
+                            name: followUpScheduleName(reservation.confirmationNumber, leg.leg, leg.checkinOpensAt),
+                            startAt: followUp.startAt,
+                            input: runInput,
+                        });
+                        followUp.scheduleId = scheduled.scheduleId;
+                        print(`📅 Leg ${leg.leg}: scheduled run "${scheduled.name}" at ${followUp.startAt} (${scheduled.cronExpression} UTC)`);
+                    } catch (e) {
+                        followUp.error = e.message;
+                        followUp.input = runInput;
+                        print(`⚠️  Leg ${leg.leg}: could not create the schedule, see ${MANIFEST_KEY}:`, e.message);
+                    }
+                } else {
+                    followUp.input = runInput;
+                    print(`📝 Leg ${leg.leg}: follow-up run due at ${followUp.startAt}, written to ${MANIFEST_KEY}`);
+                }
+            }
+            if (followUps.some((followUp) => !followUp.scheduleId && followUp.input) && notifier.enabled) {
+                await notifier.notify({
+                    title: `🧳 ${reservation.confirmationNumber}: later legs need a check-in run`,
+                    message: followUps.filter((followUp) => followUp.input)
+                        .map((followUp) => `Leg ${followUp.leg}/${followUp.legs}: check-in opens ${followUp.checkinOpensAt}, start a run by ${followUp.startAt}`)
+                        .join('\n'),
+                    level: 'info',
+                });
+            }
+            return followUps;
+        };
+
+        // PRE-FLIGHT: submit once while it is still too early ("too early" proves the
+        // confirmation number and names), then read the flight off the trip page
+        const runPreflight = async ({ request, page }) => {
+            const reservation = reservationsByKey.get(request.userData.reservationKey);
+            const result = results.get(reservation.key);
+            const { confirmationNumber } = reservation;
+            const print = (...args) => console.log(`[${reservation.key}]`, ...args);
+            const events = timeline.forReservation(reservation.key);
+
+            if (request.userData.attempt !== runState.state.restarts) {
+                print('Skipping pre-flight queued before the restart');
+                return;
+            }
+
+            const report = {
+                at: new Date(Date.now() + clock.localDriftMs).toISOString(),
+                status: null,
+                outcome: null,
+                message: null,
+                flights: null,
+                openTime: null,
+                corrected: false,
+                itinerary: null,
+                error: null,
+            };
+            const endPreflight = events.span(TimelinePhase.PREFLIGHT, 'preflight', { checkinOpensAt: reservation.checkinOpensAt });
+
+            try {
+                print('═══ PRE-FLIGHT: Verifying reservation ═══');
+                await fillForm(page, reservation, { print, events, phase: TimelinePhase.PREFLIGHT });
+                const clickInfo = await page.evaluate(clickSubmitControl);
+                if (clickInfo.error) throw new Error(clickInfo.error);
+
+                const classification = await pollPage(page, classifyCheckinPage, ({ outcome }) => outcome !== Outcome.UNKNOWN);
+                report.outcome = classification.outcome;
+                report.message = classification.message;
+                report.status = preflightStatus(classification.outcome);
+                events.event(TimelinePhase.PREFLIGHT, 'preflight-answer', { outcome: report.outcome, status: report.status });
+
+                if (report.status === PreflightStatus.INVALID) {
+                    result.outcome = classification.outcome;
+                    result.error = `Pre-flight: ${classification.message
+                        ? `${OUTCOME_ERRORS[classification.outcome]}: ${classification.message}`
+                        : OUTCOME_ERRORS[classification.outcome]}`;
+                    print(`❌ ${result.error}; not submitting at the opening`);
+                    if (notifier.enabled) {
+                        await notifier.notify({
+                            title: `❌ ${confirmationNumber}: reservation check failed`,
+                            message: `${result.error}\nCheck-in opens ${reservation.checkinOpensAt}. Fix the reservation input and start a new run.`,
+                            level: 'error',
+                        });
+                    }
+                    return;
+                }
+
+                if (report.status === PreflightStatus.CHECKED_IN) {
+                    // Check-in was already open: the pre-flight submit did the job
+                    Object.assign(result, {
+                        success: true,
+                        outcome: classification.outcome,
+                        passengers: classification.passengers,
+                        flightNumber: classification.flightNumber,
+                        gate: classification.gate,
+                        boardingPosition: classification.boardingPosition,
+                        performedBy: { instanceId, role: instanceType },
+                    });
+                    print(`🎉 Check-in was already open; checked in during the pre-flight (${result.boardingPosition ?? 'position not shown'})`);
+                } else if (report.status === PreflightStatus.VERIFIED) {
+                    print('✓ Reservation verified (too early to check in; confirmation number and names accepted)');
+                } else {
+                    print(`⚠️  Pre-flight inconclusive (outcome ${report.outcome}); submitting at the opening as planned`);
+                }
+
+                if (preflightOptions.tripPage) {
+                    await page.goto(tripPageUrl, {
+                        waitUntil: 'domcontentloaded',
+                        timeout: 30000,
+                    });
+                    await fillForm(page, reservation, { print, events, phase: TimelinePhase.PREFLIGHT });
+                    const tripClick = await page.evaluate(clickSubmitControl);
+                    if (tripClick.error) throw new Error(tripClick.error);
+
+                    const trip = await pollPage(page, parseTripDetails, ({ flights }) => flights.length > 0);
+                    report.flights = trip.flights;
+                    for (const flight of trip.flights) {
+                        print(`✈️  Flight ${flight.flightNumber ?? '?'}: ${flight.origin ?? '?'} → ${flight.destination ?? '?'}, departs ${flight.departureLocal}`);
+                    }
+
+                    // Each leg opens separately; this run is for the one nearest checkinOpensAt
+                    const offsetHours = reservation.schedule?.offsetHours ?? input.checkinOffsetHours;
+                    const legs = splitLegs(trip.flights, { legGapHours: itineraryOptions.legGapHours });
+                    const openTime = checkOpenTime(reservation.checkinOpensAt, legs.map((flights) => flights[0]), {
+                        toleranceMs: preflightOptions.toleranceSeconds * 1000,
+                        offsetHours,
+                        now: () => Date.now() + clock.localDriftMs,
+                    });
+                    report.openTime = openTime;
+                    if (legs.length > 1) {
+                        report.itinerary = { legs: describeLegs(legs, openTime.flight ?? null, { offsetHours }), followUps: [] };
+                        const current = report.itinerary.legs.find((leg) => leg.role === 'current');
+                        if (current) result.leg = { leg: current.leg, legs: legs.length };
+                        for (const leg of report.itinerary.legs) {
+                            print(`🧳 Leg ${leg.leg}/${legs.length} (${leg.role}): ${leg.flights.map((flight) => flight.flightNumber ?? '?').join(' + ')}, check-in opens ${leg.checkinOpensAt ?? `unknown (${leg.error})`}`);
+                        }
+                    }
+                    events.event(TimelinePhase.PREFLIGHT, 'open-time-check', { matches: openTime.matches, expectedOpensAt: openTime.expectedOpensAt ?? null, differenceMs: openTime.differenceMs ?? null });
+
+                    if (openTime.matches === null) {
+                        print(`⚠️  Could not check the opening time: ${openTime.reason}`);
+                    } else if (openTime.matches) {
+                        print(`✓ Opening time matches flight ${openTime.flight.flightNumber ?? '?'} (${openTime.expectedOpensAt})`);
+                    } else {
+                        const minutes = (openTime.differenceMs / 60000).toFixed(1);
+                        const summary = `Flight ${openTime.flight.flightNumber ?? '?'} departs ${openTime.flight.departureLocal} ${openTime.flight.origin}, so check-in opens ${openTime.expectedOpensAt} (${openTime.differenceMs > 0 ? '+' : ''}${minutes} min vs the configured ${reservation.checkinOpensAt})`;
+                        if (preflightOptions.autoCorrect) {
+                            correctOpening(reservation, openTime);
+                            result.checkinOpensAt = reservation.checkinOpensAt;
+                            result.schedule = reservation.schedule;
+                            report.corrected = true;
+                        }
+                        print(`🚨 Opening time mismatch: ${summary}${report.corrected ? '; targeting the new opening' : ''}`);
+                        if (notifier.enabled) {
+                            await notifier.notify({
+                                title: `⚠️ ${confirmationNumber}: check-in opening ${report.corrected ? 'moved' : 'differs from the flight'}`,
+                                message: `${summary}\n${report.corrected
+                                    ? `The run now targets ${reservation.checkinOpensAt}.`
+                                    : 'The run still targets the configured time; set preflight.autoCorrect to follow the flight.'}`,
+                                level: 'error',
+                            });
+                        }
+                    }
+
+                    // The run is only for its own leg; hand the later ones on
+                    if (report.itinerary && report.status !== PreflightStatus.INVALID && !preflightOnly) {
+                        report.itinerary.followUps = await emitFollowUps(reservation, report.itinerary.legs, print);
+                    }
+                }
+            } catch (error) {
+                report.status ??= PreflightStatus.INCONCLUSIVE;
+                report.error = error.message;
+                print('⚠️  Pre-flight failed (non-critical), submitting at the opening as planned:', error.message);
+            } finally {
+                result.preflight = report;
+                result.itinerary = report.itinerary ?? null;
+                endPreflight({ status: report.status, outcome: report.outcome, corrected: report.corrected });
+                await runState.recordPreflight(reservation.key, report);
+                // Nothing left to submit for an invalid or already checked-in reservation
+                if (report.status === PreflightStatus.INVALID || report.status === PreflightStatus.CHECKED_IN) {
+                    await runState.recordResult(reservation.key, result);
+                }
+            }
+        };
+
+        // Only where check-in is far enough away to act on the answer (all in preflight mode);
+        // a pre-flight finished before a restart is not repeated
+        const preflightDue = preflightOptions.enabled || preflightOnly
+            ? runnable.filter((reservation) => !runState.preflightOf(reservation.key))
+            : [];
+        const preflightQueue = preflightDue.filter((reservation) => preflightOnly
+            || opensAtMs(reservation) - (Date.now() + clock.localDriftMs) >= preflightOptions.minLeadSeconds * 1000);
+        for (const reservation of preflightDue.filter((r) => !preflightQueue.includes(r))) {
+            console.log(`⏭️  [${reservation.key}] Skipping pre-flight: check-in opens within ${preflightOptions.minLeadSeconds}s`);
+        }
+        if (preflightQueue.length > 0) {
+            console.log(`🔎 Pre-flight for ${preflightQueue.length} reservation(s)`);
+            const preflightCrawler = new PlaywrightCrawler({
+                ...crawlerOptions,
+                requestHandler: runPreflight,
+                failedRequestHandler: async ({ request }, error) => {
+                    // Could not even load the page: submit at the opening as planned
+                    const key = request.userData.reservationKey;
+                    console.error(`[${key}] ⚠️  Pre-flight request failed:`, error.message);
+                    const report = { at: new Date().toISOString(), status: PreflightStatus.INCONCLUSIVE, error: error.message };
+                    results.get(key).preflight = report;
+                    await runState.recordPreflight(key, report);
+                },
+                maxConcurrency: Math.max(1, preflightQueue.length),
+                requestHandlerTimeoutSecs: Math.ceil(2 * preflightOptions.resultTimeoutMs / 1000) + 120,
+            });
+            await preflightCrawler.run(preflightQueue.map((reservation) => ({
+                url: checkinPageUrl,
+                uniqueKey: `preflight-${reservation.key}-${runState.state.restarts}`,
+                userData: { reservationKey: reservation.key, attempt: runState.state.restarts },
+            })));
+        }
+
+        // Follow-ups that still need starting, across all reservations (also after a restart)
+        const manifest = reservations.flatMap((reservation) => (results.get(reservation.key).itinerary?.followUps ?? [])
+            .filter((followUp) => followUp.input)
+            .map((followUp) => ({ confirmationNumber: reservation.confirmationNumber, ...followUp })));
+        if (manifest.length > 0) {
+            await platform.setValue(MANIFEST_KEY, manifest);
+            console.log(`📝 ${manifest.length} follow-up run(s) written to ${MANIFEST_KEY}`);
+        }
+
+        // Idle without a browser until preloadLeadSeconds before each wave of
+        // reservations, then preload and wait in the browser (nothing to wait for in
+        // preflight mode or for reservations the pre-flight finished)
+        const preloadLeadMs = (input.preloadLeadSeconds ?? DEFAULT_PRELOAD_LEAD_SECONDS) * 1000;
+        const pending = preflightOnly
+            ? []
+            : runnable.filter((reservation) => runState.phaseOf(reservation.key) !== RunPhase.DONE).sort((a, b) => opensAtMs(a) - opensAtMs(b));
+
+        while (pending.length > 0) {
+            const waveEnd = opensAtMs(pending[0]) + WAVE_MERGE_MS;
+            const wave = pending.filter((reservation) => opensAtMs(reservation) <= waveEnd);
+            pending.splice(0, wave.length);
+
+            const preloadAt = opensAtMs(wave[0]) - preloadLeadMs;
+            const endIdle = timeline.span(null, TimelinePhase.RUN, 'idle', { until: new Date(preloadAt).toISOString() });
+            await idleUntil(preloadAt, {
+                now: () => Date.now() + clock.localDriftMs,
+                onTick: (msRemaining) => {
+                    const minutes = Math.floor(msRemaining / 60000);
+                    console.log(`💤 Idling without a browser: ${Math.floor(minutes / 60)}h ${minutes % 60}m until preload of ${wave.map((r) => r.key).join(', ')} (T-${preloadLeadMs / 1000}s)`);
+                },
+            });
+
+            // Long enough for the wait until the wave's last submit (backup offset included)
+            const latestSubmitMs = opensAtMs(wave[wave.length - 1]) + Math.max(learnedOffset.defaultOffsetMs, timingHistoryOptions.maxOffsetMs) + backupOffset;
+            const timeoutSecs = handlerTimeoutSecs(latestSubmitMs, Date.now() + clock.localDriftMs);
+            endIdle();
+            console.log(`🚀 Preloading ${wave.length} reservation(s) (handler timeout ${timeoutSecs}s)`);
+            timeline.event(null, TimelinePhase.RUN, 'wave-start', { reservations: wave.map((r) => r.key), timeoutSecs });
+
+            const crawler = new PlaywrightCrawler({ ...crawlerOptions, requestHandlerTimeoutSecs: timeoutSecs });
+            await crawler.run(wave.map((reservation) => ({
+                url: checkinPageUrl,
+                uniqueKey: `checkin-${reservation.key}-${runState.state.restarts}`,
+                userData: { reservationKey: reservation.key, attempt: runState.state.restarts },
+            })));
+        }
+
+        const { artifactLink } = platform;
+
+        const allResults = [];
+        for (const reservation of reservations) {
+            const result = results.get(reservation.key);
+            result.telemetry.ntpSyncSucceeded = clock.ntpSyncSucceeded;
+            result.telemetry.localDriftMs = clock.localDriftMs;
+            result.telemetry.clockUncertaintyMs = clock.uncertaintyMs;
+            result.telemetry.southwestRTT = clock.southwestRTT;
+            result.telemetry.syncMethod = clock.syncMethod;
+            result.telemetry.timeSyncs = clock.syncs;
+            // Under the `onFailure` policy a success keeps no screenshots
+            const deleted = await artifacts.settle(reservation.key, result.success);
+            result.screenshots = result.screenshots.filter((key) => !deleted.includes(key));
+            // Pre-flight problems were notified as they were found
+            if (notifier.enabled && !preflightOnly) {
+                result.telemetry.notifications = await notifier.notify(formatResultNotification(redactResult(result, redactor), artifactLink));
+            }
+            const published = redactResult(result, redactor);
+            await platform.pushData(published);
+            allResults.push(published);
+        }
+        await platform.setValue('OUTPUT', allResults);
+        await purge;
+
+        // One record per leg in a dataset shared by the itinerary's runs
+        const legResults = allResults.filter((result) => result.leg);
+        if (legResults.length > 0 && itineraryOptions.datasetName && !preflightOnly) {
+            const legDataset = await platform.openDataset(itineraryOptions.datasetName);
+            await legDataset.pushData(legResults.map((result) => ({
+                confirmationNumber: result.confirmationNumber,
+                leg: result.leg.leg,
+                legs: result.leg.legs,
+                checkinOpensAt: result.checkinOpensAt,
+                success: result.success,
+                outcome: result.outcome,
+                boardingPosition: result.boardingPosition,
+                flightNumber: result.flightNumber,
+                error: result.error,
+                // The follow-up inputs are in each run's FOLLOW-UPS record
+                followUps: (result.itinerary?.followUps ?? []).map((followUp) => ({ ...followUp, input: undefined })),
+                runId: instanceId,
+                dryRun,
+                timestamp: result.timestamp,
+            })));
+        }
+
+        if (simulator) {
+            // What the simulator actually received, for asserting on rehearsal runs
+            await platform.setValue('simulator-requests', simulator.requests);
+        }
+
+        if (preflightOnly) {
+            const verified = allResults.filter((result) => result.preflight?.status === PreflightStatus.VERIFIED).length;
+            console.log(`\nPre-flight finished. ${verified}/${allResults.length} reservation(s) verified. Final results:`, allResults);
+        } else {
+            const succeeded = allResults.filter((result) => result.success).length;
+            console.log(`\nActor finished. ${succeeded}/${allResults.length} reservation(s) checked in. Final results:`, allResults);
+        }
+
+        return allResults;
+
+    } catch (error) {
+        console.error('Fatal error:', error);
+        if (notifier?.enabled) {
+            await notifier.notify({
+                title: '🚨 Southwest check-in run failed',
+                message: `Fatal error: ${error.message}`,
+                level: 'error',
+            });
+        }
+        await platform.pushData(redactor.value({
+            success: false,
+            error: error.message,
+            ...(error.errors && { errors: error.errors }),
+            timestamp: new Date().toISOString(),
+        }));
+        throw error;
+    } finally {
+        if (timeline) {
+            await exportRedactedTimeline()
+                .catch((e) => console.error('Could not export the event timeline:', e.message));
+        }
+        await simulator?.close();
+        await controlServer?.close();
+        restoreConsole();
+    }
+}
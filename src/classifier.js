@@ -0,0 +1,302 @@
+/**
+ * Check-in result page classifier
+ *
+ * Reads the DOM of a Southwest check-in result page (as saved by
+ * `page.content()` / the `final-page-html` artifact) and returns a typed
+ * outcome plus per-passenger boarding group/position, flight number and gate.
+ *
+ * API responses captured in replay submit mode go through
+ * `classifyCheckinResponse()`, which understands JSON bodies and falls back
+ * to the page classifier for HTML.
+ *
+ * Only rendered text is considered: <script>, <style> and similar nodes are
+ * dropped before matching, so tokens like "B12" in bundles or CSS can never be
+ * mistaken for a boarding position.
+ */
+
+import { load } from 'cheerio';
+
+export const Outcome = Object.freeze({
+    SUCCESS: 'SUCCESS',
+    TOO_EARLY: 'TOO_EARLY',
+    ALREADY_CHECKED_IN: 'ALREADY_CHECKED_IN',
+    RESERVATION_NOT_FOUND: 'RESERVATION_NOT_FOUND',
+    NAME_MISMATCH: 'NAME_MISMATCH',
+    DOCUMENTS_REQUIRED: 'DOCUMENTS_REQUIRED',
+    CANCELLED: 'CANCELLED',
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    UNKNOWN: 'UNKNOWN',
+});
+
+// Human-readable error for every outcome that is not a successful check-in
+export const OUTCOME_ERRORS = Object.freeze({
+    [Outcome.TOO_EARLY]: 'Check-in not yet open (too early)',
+    [Outcome.RESERVATION_NOT_FOUND]: 'Reservation not found (check the confirmation number)',
+    [Outcome.NAME_MISMATCH]: 'Passenger name does not match the reservation',
+    [Outcome.DOCUMENTS_REQUIRED]: 'Travel documents required before check-in',
+    [Outcome.CANCELLED]: 'Reservation or flight has been cancelled',
+    [Outcome.SESSION_EXPIRED]: 'Session expired before the check-in went through',
+    [Outcome.UNKNOWN]: 'Could not classify the check-in result page',
+});
+
+// Checked in order: the first outcome whose pattern matches the page's
+// message text wins, so more specific failures come before generic ones
+const MESSAGE_PATTERNS = [
+    [Outcome.CANCELLED, /\b(?:reservation|flight|trip)\b[^.]{0,40}\b(?:has been|was|is)\s+cancell?ed\b|\bcancell?ed\s+(?:reservation|flight|trip)\b/i],
+    [Outcome.NAME_MISMATCH, /\bnames?\b[^.]{0,40}\b(?:do(?:es)?\s*n[o']t|not)\s+match\b|\bdoes not match our records\b/i],
+    [Outcome.RESERVATION_NOT_FOUND, /\b(?:can(?:no|')t|could\s*n[o']t|unable to)\s+(?:find|locate|retrieve)\b[^.]{0,40}\b(?:reservation|trip|confirmation)\b|\b(?:reservation|confirmation number)\b[^.]{0,40}\bnot (?:be )?found\b/i],
+    [Outcome.DOCUMENTS_REQUIRED, /\b(?:travel|passport)\s+(?:documents?|information)\b[^.]{0,60}\b(?:required|needed|must|provide|verify)\b|\b(?:provide|verify|enter)\b[^.]{0,40}\b(?:travel documents?|passport)\b/i],
+    [Outcome.SESSION_EXPIRED, /\bsession\b[^.]{0,40}\b(?:has\s+)?(?:expired|timed?\s*out)\b|\bplease\s+start\s+over\b/i],
+    [Outcome.TOO_EARLY, /\btoo early\b|\bcome back\b|\bcheck[\s-]?in\b[^.]{0,40}\b(?:isn't|is not|not yet)\s+(?:available|open)\b|\bavailable\s+24\s+hours\s+before\b/i],
+    [Outcome.ALREADY_CHECKED_IN, /\balready\s+(?:been\s+)?checked[\s-]?in\b/i],
+];
+
+// Elements whose text is shown to the user as a status/error message
+const MESSAGE_SELECTORS = [
+    '[role="alert"]',
+    '[aria-live]',
+    '[class*="error"]',
+    '[class*="message"]',
+    '[class*="notification"]',
+    '[data-qa*="error"]',
+    '[data-qa*="message"]',
+];
+
+const PASSENGER_SELECTORS = [
+    '[data-qa*="passenger-item"]',
+    '[class*="passenger-item"]',
+    '[class*="boarding-pass"]',
+    '[data-qa*="boarding-pass"]',
+];
+
+const GROUP_SELECTORS = '[class*="boarding-group"], [class*="position--group"], [data-qa*="boarding-group"]';
+const POSITION_SELECTORS = '[class*="position--position"], [class*="boarding-position-number"], [data-qa*="boarding-position"]';
+const NAME_SELECTORS = '[class*="passenger-name"], [class*="information-name"], [data-qa*="passenger-name"]';
+
+const LABELLED_POSITION_PATTERNS = [
+    /\bgroup\s*:?\s*([A-C])\b[\s,]*position\s*:?\s*(\d{1,2})\b/i,
+    /\bboarding\s+position\s*:?\s*([A-C])\s*(\d{1,2})\b/i,
+];
+
+const FLIGHT_NUMBER_PATTERN = /\bflight\s*(?:number|no\.?|#)?\s*:?\s*#?\s*(\d{1,4})\b/i;
+const GATE_PATTERN = /\bgate\s*:?\s*([A-Z]?\d{1,3}[A-Z]?)\b/i;
+
+/**
+ * Outcome implied by a piece of message text, if any.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+function matchMessage(text) {
+    return MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? null;
+}
+
+/**
+ * Collapse whitespace in an element's rendered text.
+ *
+ * @param {import('cheerio').Cheerio} element
+ * @returns {string}
+ */
+function textOf(element) {
+    return element.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extract a boarding group and position from one passenger container.
+ *
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio} container
+ * @returns {{ name: string|null, boardingGroup: string, boardingPosition: number, position: string }|null}
+ */
+function extractPassenger($, container) {
+    const name = textOf(container.find(NAME_SELECTORS).first()) || null;
+
+    const groupText = textOf(container.find(GROUP_SELECTORS).first());
+    const positionText = textOf(container.find(POSITION_SELECTORS).first());
+
+    // Structured markup: separate group and position elements
+    let group = /\b([A-C])$/.exec(groupText)?.[1];
+    let position = /\b(\d{1,2})$/.exec(positionText)?.[1];
+
+    // Some layouts render "A12" in a single position element
+    if (!group) {
+        const combined = /\b([A-C])\s*(\d{1,2})$/.exec(positionText);
+        if (combined) [, group, position] = combined;
+    }
+
+    // Fall back to labelled text within the container only
+    if (!group || !position) {
+        const text = textOf(container);
+        for (const pattern of LABELLED_POSITION_PATTERNS) {
+            const match = pattern.exec(text);
+            if (match) {
+                [, group, position] = match;
+                break;
+            }
+        }
+    }
+
+    if (!group || !position) return null;
+
+    const boardingGroup = group.toUpperCase();
+    const boardingPosition = Number(position);
+    return { name, boardingGroup, boardingPosition, position: `${boardingGroup}${boardingPosition}` };
+}
+
+/**
+ * Classify a check-in result page.
+ *
+ * @param {string} html - Full page HTML
+ * @returns {{
+ *   outcome: string,
+ *   message: string|null,
+ *   boardingPosition: string|null,
+ *   passengers: Array<{ name: string|null, boardingGroup: string, boardingPosition: number, position: string }>,
+ *   flightNumber: string|null,
+ *   gate: string|null,
+ * }}
+ */
+export function classifyCheckinPage(html) {
+    const $ = load(html || '');
+    $('script, style, noscript, template, svg, link, meta, iframe').remove();
+
+    const bodyText = textOf($('body').length > 0 ? $('body') : $.root());
+
+    // Prefer explicit message elements; the whole page text is only a fallback
+    const messageTexts = $(MESSAGE_SELECTORS.join(', '))
+        .toArray()
+        .map((element) => textOf($(element)))
+        .filter(Boolean);
+
+    let messageOutcome = null;
+    let message = null;
+    for (const text of messageTexts) {
+        messageOutcome = matchMessage(text);
+        if (messageOutcome) {
+            message = text;
+            break;
+        }
+    }
+
+    // Per-passenger boarding positions: of the candidate containers that hold
+    // a boarding position, keep the innermost ones so list wrappers and
+    // nested layouts don't produce duplicates
+    const candidates = $(PASSENGER_SELECTORS.join(', '))
+        .toArray()
+        .map((element) => ({ element, passenger: extractPassenger($, $(element)) }))
+        .filter(({ passenger }) => passenger);
+    const passengers = candidates
+        .filter(({ element }) => !candidates.some((other) => other.element !== element && $(element).find(other.element).length > 0))
+        .map(({ passenger }) => passenger);
+
+    // Single-passenger layouts without a recognizable container
+    if (passengers.length === 0) {
+        const passenger = extractPassenger($, $('body').length > 0 ? $('body') : $.root());
+        if (passenger) passengers.push(passenger);
+    }
+
+    // Only when nothing more specific was found: footers and help links
+    // ("cancelled flights", "travel documents") must not outrank a boarding
+    // position on the page
+    if (!messageOutcome && passengers.length === 0) {
+        messageOutcome = matchMessage(bodyText);
+    }
+
+    const flightNumber = textOf($('[class*="flight-number"], [data-qa*="flight-number"]').first()).match(/\d{1,4}/)?.[0]
+        || FLIGHT_NUMBER_PATTERN.exec(bodyText)?.[1]
+        || null;
+    const gate = GATE_PATTERN.exec(bodyText)?.[1] || null;
+
+    const outcome = messageOutcome || (passengers.length > 0 ? Outcome.SUCCESS : Outcome.UNKNOWN);
+
+    return {
+        outcome,
+        message,
+        boardingPosition: passengers[0]?.position ?? null,
+        passengers,
+        flightNumber,
+        gate,
+    };
+}
+
+// JSON keys whose string values are user-facing messages
+const JSON_MESSAGE_KEY = /message|title|error|notification|description/i;
+
+/**
+ * Walk a JSON response body collecting messages, passengers and flight details.
+ *
+ * @param {*} node
+ * @param {{ messages: string[], passengers: object[], flightNumber: string|null, gate: string|null }} found
+ */
+function walkJson(node, found) {
+    if (Array.isArray(node)) {
+        for (const item of node) walkJson(item, found);
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const combined = /^([A-C])\s*(\d{1,2})$/.exec(String(node.boardingGroupPosition ?? node.boardingPosition ?? ''));
+    const group = /^[A-C]$/.exec(String(node.boardingGroup ?? ''))?.[0] ?? combined?.[1];
+    const position = /^\d{1,2}$/.exec(String(node.boardingPosition ?? ''))?.[0] ?? combined?.[2];
+    if (group && position) {
+        const name = node.name || node.passengerName
+            || [node.firstName, node.lastName].filter(Boolean).join(' ')
+            || null;
+        found.passengers.push({ name, boardingGroup: group, boardingPosition: Number(position), position: `${group}${Number(position)}` });
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (typeof value === 'string') {
+            if (JSON_MESSAGE_KEY.test(key)) found.messages.push(value);
+            if (key === 'flightNumber' && !found.flightNumber) found.flightNumber = value.match(/\d{1,4}/)?.[0] ?? null;
+            if (key === 'gate' && !found.gate) found.gate = value;
+        } else if (typeof value === 'number' && key === 'flightNumber' && !found.flightNumber) {
+            found.flightNumber = String(value);
+        } else {
+            walkJson(value, found);
+        }
+    }
+}
+
+/**
+ * Classify a check-in API response (replay submit mode).
+ *
+ * @param {object} response
+ * @param {number} response.status - HTTP status
+ * @param {string} response.body - Response body text
+ * @returns {ReturnType<typeof classifyCheckinPage>}
+ */
+export function classifyCheckinResponse({ status, body }) {
+    let json;
+    try {
+        json = JSON.parse(body);
+    } catch {
+        return classifyCheckinPage(body);
+    }
+
+    const found = { messages: [], passengers: [], flightNumber: null, gate: null };
+    walkJson(json, found);
+
+    let outcome = null;
+    let message = null;
+    for (const text of found.messages) {
+        outcome = matchMessage(text);
+        if (outcome) {
+            message = text;
+            break;
+        }
+    }
+    if (!outcome) {
+        outcome = status < 400 && found.passengers.length > 0 ? Outcome.SUCCESS : Outcome.UNKNOWN;
+        message = found.messages[0] ?? null;
+    }
+
+    return {
+        outcome,
+        message,
+        boardingPosition: found.passengers[0]?.position ?? null,
+        passengers: found.passengers,
+        flightNumber: found.flightNumber,
+        gate: found.gate,
+    };
+}
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+/**
+ * swcheckin: the check-in flow without the Apify platform
+ *
+ * `swcheckin run` checks in for one input on this machine. Artifacts,
+ * results and the run state go to a local directory, and proxies are plain
+ * URLs (see local-platform.js).
+ *
+ * `swcheckin schedule` works through a queue file: a JSON array of jobs
+ * `{ input, startAt }`, the same shape as the `FOLLOW-UPS` manifest. Each job
+ * is started as its own `swcheckin run` process at `startAt` (right away
+ * without one), its status is written back to the queue, and the follow-ups
+ * a run emits are appended, so the later legs of an itinerary run too.
+ */
+
+import { spawn } from 'node:child_process';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MANIFEST_KEY } from './itinerary.js';
+import { createLocalPlatform, DEFAULT_LOCAL_PLATFORM_OPTIONS } from './local-platform.js';
+import { maskConfirmationNumber } from './privacy.js';
+import { runCheckin } from './checkin.js';
+
+const DEFAULT_SCHEDULE_OPTIONS = Object.freeze({
+    // Each job's artifacts go to a directory under this one
+    runsDir: 'swcheckin-runs',
+    // Longest sleep between queue checks
+    pollSeconds: 30,
+});
+
+const JobStatus = Object.freeze({
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+});
+
+const USAGE = [
+    'Usage: swcheckin run [options]',
+    '       swcheckin schedule --queue <file> [options]',
+    '',
+    'run: check in for one input',
+    '  --input <file>          Actor input as JSON (flags below override its fields)',
+    '  --conf <PNR>            Confirmation number',
+    '  --first <name>          First name',
+    '  --last <name>           Last name',
+    '  --opens-at <ISO>        When check-in opens, e.g. 2025-12-24T12:00:00-06:00',
+    '  --departure <local>     Local departure instead of --opens-at, e.g. 2025-12-25T12:00',
+    '  --origin <IATA>         Origin airport of --departure',
+    '  --mode <mode>           checkin | preflight | report',
+    '  --dry-run               Run against the bundled simulator',
+    '  --preload-proxy <url>   Proxy URL for page load and form fill (repeatable)',
+    '  --submit-proxy <url>    Proxy URL candidate for the submit (repeatable)',
+    '  --control-port <n>      Serve live status and control actions on this port',
+    `  --out <dir>             Artifacts and results (default ${DEFAULT_SCHEDULE_OPTIONS.runsDir}/<time>-<conf>)`,
+    `  --storage <dir>         Stores shared by runs (default ${DEFAULT_LOCAL_PLATFORM_OPTIONS.storageDir})`,
+    '',
+    'schedule: run the jobs of a queue file as they come due',
+    '  --queue <file>          JSON array of { input, startAt } jobs (a FOLLOW-UPS manifest works as is)',
+    '  --once                  Start the jobs due now, wait for them and stop',
+    `  --runs <dir>            Parent of each job's --out directory (default ${DEFAULT_SCHEDULE_OPTIONS.runsDir})`,
+    `  --poll <seconds>        Longest sleep between queue checks (default ${DEFAULT_SCHEDULE_OPTIONS.pollSeconds})`,
+    `  --storage <dir>         Passed on to every run (default ${DEFAULT_LOCAL_PLATFORM_OPTIONS.storageDir})`,
+].join('\n');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Command-line flags: `--name value` (repeatable) and bare `--name` switches.
+ *
+ * @param {string[]} args
+ * @returns {{ command: string|undefined, flag: (name: string, fallback?: string) => string|undefined, flags: (name: string) => string[], has: (name: string) => boolean }}
+ */
+function parseArgs(args) {
+    const values = (name) => args.flatMap((value, index) => (value === `--${name}` && index + 1 < args.length ? [args[index + 1]] : []));
+    return {
+        command: args[0]?.startsWith('--') ? undefined : args[0],
+        flag: (name, fallback) => values(name).at(-1) ?? fallback,
+        flags: values,
+        has: (name) => args.includes(`--${name}`),
+    };
+}
+
+async function readJson(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+/**
+ * Write-then-rename, so a reader never sees half a file.
+ */
+async function writeJson(file, value) {
+    await writeFile(`${file}.tmp`, `${JSON.stringify(value, null, 2)}\n`);
+    await rename(`${file}.tmp`, file);
+}
+
+/**
+ * Directory name for a run: UTC time, confirmation number (masked unless
+ * `privacy.redact` is off) and leg.
+ */
+function runDirName(input) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const conf = input.confirmationNumber ?? input.reservations?.[0]?.confirmationNumber;
+    const label = !conf ? 'run' : input.privacy?.redact === false ? conf : maskConfirmationNumber(conf);
+    return [stamp, label, input.leg && `leg${input.leg.leg}`].filter(Boolean).join('-');
+}
+
+/**
+ * Actor input from `--input` and the flags. Locally both proxy phases default
+ * to none: Apify Proxy groups need the platform.
+ */
+async function buildInput(cli) {
+    const input = cli.flag('input') ? await readJson(cli.flag('input')) : {};
+    const fields = {
+        confirmationNumber: cli.flag('conf'),
+        firstName: cli.flag('first'),
+        lastName: cli.flag('last'),
+        checkinOpensAt: cli.flag('opens-at'),
+        departureLocal: cli.flag('departure'),
+        originAirport: cli.flag('origin'),
+        mode: cli.flag('mode'),
+    };
+    for (const [field, value] of Object.entries(fields)) {
+        if (value !== undefined) input[field] = value;
+    }
+    if (cli.has('dry-run')) input.dryRun = true;
+
+    input.proxy = { preload: null, submit: null, ...input.proxy };
+    if (cli.flags('preload-proxy').length > 0) input.proxy.preload = { proxyUrls: cli.flags('preload-proxy') };
+    if (cli.flags('submit-proxy').length > 0) input.proxy.submit = { proxyUrls: cli.flags('submit-proxy') };
+    if (cli.flag('control-port')) input.control = { ...input.control, enabled: true, port: Number(cli.flag('control-port')) };
+    return input;
+}
+
+/**
+ * `swcheckin run`: exit code 1 when the run failed or a reservation has an error.
+ */
+async function runCommand(cli) {
+    const input = await buildInput(cli);
+    const artifactDir = cli.flag('out', path.join(DEFAULT_SCHEDULE_OPTIONS.runsDir, runDirName(input)));
+    const storageDir = cli.flag('storage', DEFAULT_LOCAL_PLATFORM_OPTIONS.storageDir);
+    await mkdir(artifactDir, { recursive: true });
+    console.log(`📁 Artifacts and results: ${artifactDir}`);
+
+    const results = await runCheckin(input, createLocalPlatform({ artifactDir, storageDir }));
+    return Array.isArray(results) && results.some((result) => result.error) ? 1 : 0;
+}
+
+/**
+ * Run one queued job as a child `swcheckin run` process.
+ *
+ * @returns {Promise<{ exitCode: number, artifactDir: string }>}
+ */
+async function runJob(job, { runsDir, storageDir }) {
+    await mkdir(runsDir, { recursive: true });
+    // Jobs started together get the same name; number the later ones
+    let artifactDir = path.join(runsDir, runDirName(job.input));
+    for (let n = 2; ; n++) {
+        try {
+            await mkdir(artifactDir);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            artifactDir = path.join(runsDir, `${runDirName(job.input)}-${n}`);
+        }
+    }
+    const inputFile = path.join(artifactDir, 'INPUT.json');
+    await writeJson(inputFile, job.input);
+
+    const args = [fileURLToPath(import.meta.url), 'run', '--input', inputFile, '--out', artifactDir, '--storage', storageDir];
+    const exitCode = await new Promise((resolve) => {
+        spawn(process.execPath, args, { stdio: 'inherit' })
+            .on('error', () => resolve(1))
+            .on('exit', (code) => resolve(code ?? 1));
+    });
+    return { exitCode, artifactDir };
+}
+
+/**
+ * Follow-ups a finished run wrote, as new pending jobs.
+ */
+async function followUpJobs(artifactDir) {
+    try {
+        const manifest = await readJson(path.join(artifactDir, `${MANIFEST_KEY}.json`));
+        return manifest.filter((entry) => entry.input).map((entry) => ({ ...entry, status: JobStatus.PENDING }));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Fail pending jobs whose `startAt` is not a date: they would never come due.
+ */
+function failUnschedulable(jobs) {
+    for (const job of jobs.filter((entry) => entry.status === JobStatus.PENDING && entry.startAt && Number.isNaN(new Date(entry.startAt).getTime()))) {
+        Object.assign(job, { status: JobStatus.FAILED, error: `startAt "${job.startAt}" is not a date` });
+        console.error(`❌ ${job.input?.confirmationNumber ?? 'job'}: ${job.error}`);
+    }
+}
+
+const sameJob = (a, b) => a.input?.confirmationNumber === b.input?.confirmationNumber
+    && a.input?.checkinOpensAt === b.input?.checkinOpensAt;
+
+/**
+ * `swcheckin schedule`: start due jobs, record how they ended and queue their
+ * follow-ups, until no job is pending or running (or once, with `--once`).
+ */
+async function scheduleCommand(cli) {
+    const queueFile = cli.flag('queue');
+    if (!queueFile) throw new Error('schedule needs --queue <file>');
+    const options = {
+        runsDir: cli.flag('runs', DEFAULT_SCHEDULE_OPTIONS.runsDir),
+        storageDir: cli.flag('storage', DEFAULT_LOCAL_PLATFORM_OPTIONS.storageDir),
+    };
+    const pollMs = Number(cli.flag('poll', DEFAULT_SCHEDULE_OPTIONS.pollSeconds)) * 1000;
+    const once = cli.has('once');
+
+    const queue = await readJson(queueFile);
+    if (!Array.isArray(queue)) throw new Error(`${queueFile} must hold a JSON array of jobs`);
+    for (const job of queue) job.status ??= JobStatus.PENDING;
+    // A job left running by a scheduler that died is started again (the run resumes from its state)
+    for (const job of queue.filter((entry) => entry.status === JobStatus.RUNNING)) job.status = JobStatus.PENDING;
+    failUnschedulable(queue);
+    const save = () => writeJson(queueFile, queue);
+    await save();
+
+    const running = new Set();
+    const start = (job) => {
+        job.status = JobStatus.RUNNING;
+        job.startedAt = new Date().toISOString();
+        console.log(`🚀 Starting ${job.input.confirmationNumber ?? 'job'}${job.leg ? ` leg ${job.leg}` : ''} (due ${job.startAt ?? 'now'})`);
+        const done = runJob(job, options).catch((error) => {
+            console.error(`❌ Could not start ${job.input.confirmationNumber ?? 'job'}:`, error.message);
+            return { exitCode: 1, artifactDir: null };
+        }).then(async ({ exitCode, artifactDir }) => {
+            Object.assign(job, {
+                status: exitCode === 0 ? JobStatus.DONE : JobStatus.FAILED,
+                exitCode,
+                artifactDir,
+                finishedAt: new Date().toISOString(),
+            });
+            const added = (artifactDir ? await followUpJobs(artifactDir) : []).filter((followUp) => !queue.some((entry) => sameJob(entry, followUp)));
+            failUnschedulable(added);
+            queue.push(...added);
+            console.log(`${exitCode === 0 ? '✅' : '❌'} ${job.input.confirmationNumber ?? 'job'} ${job.status} (${artifactDir})${added.length > 0 ? `, ${added.length} follow-up(s) queued` : ''}`);
+            await save();
+        }).catch((error) => {
+            // Never rejects: one job's bookkeeping must not end the scheduler and the other jobs
+            console.error(`❌ Could not record how ${job.input.confirmationNumber ?? 'job'} ended:`, error.message);
+        });
+        running.add(done);
+        done.finally(() => running.delete(done));
+    };
+
+    for (;;) {
+        const now = Date.now();
+        const pending = queue.filter((job) => job.status === JobStatus.PENDING && job.input);
+        const due = pending.filter((job) => !job.startAt || new Date(job.startAt).getTime() <= now);
+        for (const job of due) start(job);
+        if (due.length > 0) await save();
+
+        if (once) {
+            await Promise.all(running);
+            return queue.some((job) => job.status === JobStatus.FAILED) ? 1 : 0;
+        }
+        const waiting = pending.filter((job) => !due.includes(job));
+        if (waiting.length === 0 && running.size === 0) {
+            console.log(`🏁 Queue ${queueFile} has no pending jobs`);
+            return queue.some((job) => job.status === JobStatus.FAILED) ? 1 : 0;
+        }
+
+        const nextAt = Math.min(...waiting.map((job) => new Date(job.startAt).getTime()));
+        const sleepMs = Math.max(0, Math.min(pollMs, nextAt - Date.now()));
+        // Wake up early when a run ends, it may have queued follow-ups
+        await Promise.race([sleep(sleepMs), ...running]);
+    }
+}
+
+const cli = parseArgs(process.argv.slice(2));
+if (cli.has('help') || !['run', 'schedule'].includes(cli.command)) {
+    console.log(USAGE);
+    process.exit(cli.has('help') ? 0 : 2);
+}
+
+try {
+    // Exit explicitly: browser and crawler handles may outlive the run
+    process.exit(cli.command === 'run' ? await runCommand(cli) : await scheduleCommand(cli));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,183 @@
+/**
+ * Live status and control endpoint
+ *
+ * A small HTTP server, on the Apify container port by default, that shows
+ * what the run is doing and takes a few actions while it waits:
+ *
+ * - `GET /status`: live JSON status of the run and every reservation
+ * - `POST /actions/<action>`: `abort`, `submit-now`, `adjust-offset`,
+ *   `resync` or `screenshot`, with a JSON body of parameters
+ *   (`reservation` picks one when the run has several)
+ *
+ * Actions need `Authorization: Bearer <token>`. The status is served without
+ * it, redacted like the log. What an action does is up to the run (see
+ * checkin.js); this module only routes, authenticates and answers.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+
+export const ControlAction = Object.freeze({
+    ABORT: 'abort',
+    SUBMIT_NOW: 'submit-now',
+    ADJUST_OFFSET: 'adjust-offset',
+    RESYNC: 'resync',
+    SCREENSHOT: 'screenshot',
+});
+
+export const DEFAULT_CONTROL_OPTIONS = Object.freeze({
+    enabled: false,
+    // Listen here; null: the platform's web server port (Apify container port)
+    port: null,
+    host: '0.0.0.0',
+    // Bearer token for actions; null: a random one is generated and stored in
+    // the run's CONTROL-TOKEN record (never logged)
+    token: null,
+    // `adjust-offset` accepts target offsets within ± this many ms of T-0
+    maxOffsetMs: 5000,
+});
+
+// Record that holds the generated token when none is configured
+export const CONTROL_TOKEN_KEY = 'CONTROL-TOKEN';
+
+// Action bodies are a few fields; anything larger is refused
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * An action that cannot be carried out; answered with `statusCode`.
+ */
+export class ControlError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [statusCode] - 400 (bad parameters), 404 (unknown) or 409 (not now)
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ControlError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * A token for the run when none is configured.
+ */
+export function generateControlToken() {
+    return randomBytes(18).toString('base64url');
+}
+
+/**
+ * Constant-time check of an `Authorization` header against the token.
+ *
+ * @param {string|undefined} header
+ * @param {string} token
+ */
+export function isAuthorized(header, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(header ?? '');
+    if (!match) return false;
+    // Hash both, so the comparison does not leak the token's length
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Start the control server.
+ *
+ * @param {object} options
+ * @param {number} options.port
+ * @param {string} options.host
+ * @param {string} options.token
+ * @param {() => object} options.status - Live status, as served
+ * @param {(action: string, params: object) => Promise<object>} options.perform - Carries out an action; throws ControlError to refuse it
+ * @param {(rejected: { action: string|null, reason: string }) => void} [options.onRejected] - Requests refused before `perform`
+ * @returns {Promise<{ url: string, port: number, close: () => Promise<void> }>}
+ */
+export async function startControlServer({ port, host, token, status, perform, onRejected = () => {} }) {
+    const actions = Object.values(ControlAction);
+
+    const handle = async (req, res, send) => {
+        const url = new URL(req.url, 'http://control');
+
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/status')) {
+            send(200, status());
+            return;
+        }
+
+        const route = /^\/actions\/([\w-]+)$/.exec(url.pathname);
+        if (!route) {
+            send(404, { error: 'Not found', endpoints: ['GET /status', ...actions.map((action) => `POST /actions/${action}`)] });
+            return;
+        }
+        const action = route[1];
+        if (req.method !== 'POST') {
+            send(405, { error: 'Use POST for actions' });
+            return;
+        }
+        if (!isAuthorized(req.headers.authorization, token)) {
+            onRejected({ action, reason: 'unauthorized' });
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            send(401, { error: 'Missing or wrong bearer token' });
+            return;
+        }
+        if (!actions.includes(action)) {
+            onRejected({ action, reason: 'unknown action' });
+            send(404, { error: `Unknown action "${action}"; one of: ${actions.join(', ')}` });
+            return;
+        }
+
+        let raw = '';
+        for await (const chunk of req) {
+            raw += chunk;
+            if (raw.length > MAX_BODY_BYTES) {
+                onRejected({ action, reason: 'body too large' });
+                send(413, { error: `Body larger than ${MAX_BODY_BYTES} bytes` });
+                return;
+            }
+        }
+        let params;
+        try {
+            params = raw.trim() ? JSON.parse(raw) : {};
+        } catch {
+            params = null;
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            onRejected({ action, reason: 'body is not a JSON object' });
+            send(400, { error: 'Body must be a JSON object' });
+            return;
+        }
+
+        try {
+            send(200, { action, ok: true, ...await perform(action, params) });
+        } catch (error) {
+            send(error instanceof ControlError ? error.statusCode : 500, { action, ok: false, error: error.message });
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const send = (statusCode, body) => {
+            // Serialized first, so a body that cannot be still leaves the response open for a 500
+            const json = JSON.stringify(body, null, 2);
+            res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            res.end(json);
+        };
+        // A throwing status(), a client that aborts mid-body: answer 500 rather than crash the run
+        handle(req, res, send).catch((error) => {
+            if (res.headersSent) res.destroy();
+            else send(500, { error: error.message });
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const { port: boundPort } = server.address();
+    return {
+        url: `http://${host === '0.0.0.0' ? 'localhost' : host}:${boundPort}`,
+        port: boundPort,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections?.();
+            server.close(() => resolve());
+        }),
+    };
+}
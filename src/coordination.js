@@ -0,0 +1,203 @@
+/**
+ * Primary/backup coordination
+ *
+ * Two actor runs (PRIMARY and BACKUP) for the same reservation coordinate
+ * through a shared backend instead of the backup blindly submitting +1s later:
+ *
+ * - Each instance registers and publishes heartbeats and its state
+ *   (waiting → submitting → succeeded/failed) under its own key, so the
+ *   instances never overwrite each other's records. Heartbeats run on a timer,
+ *   so long steps (page loads, proxy switches, the submit itself) don't let
+ *   them go stale.
+ * - The backup watches the primary. It stands down once the primary reports
+ *   success, and takes over right away (dropping its +1s offset) when the
+ *   primary reports failure or its heartbeat goes stale.
+ * - A primary that is submitting publishes when it expects its result; at its
+ *   own submit time the backup waits for that instead of a fixed delay.
+ *
+ * The backend only needs `get(key)` and `set(key, value)`; a named Apify
+ * key-value store is used by default and an in-memory backend is provided for
+ * single-process use.
+ */
+
+export const DEFAULT_COORDINATION_OPTIONS = Object.freeze({
+    storeName: 'southwest-checkin-coordination',
+    heartbeatIntervalMs: 5000,
+    staleAfterMs: 20000,
+    // How long the backup waits, at its own submit time, on a primary that has
+    // not reported a result; a submitting primary gets until its published
+    // result deadline if that is later
+    decisionWaitMs: 3000,
+});
+
+export const InstanceState = Object.freeze({
+    WAITING: 'waiting',
+    SUBMITTING: 'submitting',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+});
+
+export const Decision = Object.freeze({
+    PROCEED: 'proceed',
+    TAKE_OVER: 'take-over',
+    STAND_DOWN: 'stand-down',
+    WAIT: 'wait',
+});
+
+/**
+ * Backend over an Apify key-value store (or anything with getValue/setValue).
+ *
+ * @param {{ getValue: Function, setValue: Function }} store
+ */
+export function keyValueStoreBackend(store) {
+    return {
+        get: (key) => store.getValue(key),
+        set: (key, value) => store.setValue(key, value),
+    };
+}
+
+/**
+ * In-process backend, for coordinating instances inside one process.
+ */
+export function memoryBackend() {
+    const records = new Map();
+    return {
+        get: async (key) => records.get(key) ?? null,
+        set: async (key, value) => {
+            records.set(key, structuredClone(value));
+        },
+    };
+}
+
+/**
+ * Create a coordinator for one reservation.
+ *
+ * @param {object} options
+ * @param {{ get: Function, set: Function }} options.backend
+ * @param {string} options.scope - Identifies the reservation + opening instant (shared by both instances)
+ * @param {'PRIMARY'|'BACKUP'} options.role
+ * @param {string} options.instanceId - This run's ID
+ * @param {number} [options.heartbeatIntervalMs]
+ * @param {number} [options.staleAfterMs]
+ * @param {() => number} [options.now]
+ */
+export function createCoordinator({
+    backend,
+    scope,
+    role,
+    instanceId,
+    heartbeatIntervalMs = DEFAULT_COORDINATION_OPTIONS.heartbeatIntervalMs,
+    staleAfterMs = DEFAULT_COORDINATION_OPTIONS.staleAfterMs,
+    now = Date.now,
+}) {
+    const keyFor = (instanceRole) => `coord-${scope}-${instanceRole}`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+    const peerRole = role === 'PRIMARY' ? 'BACKUP' : 'PRIMARY';
+
+    const registeredAtMs = now();
+    const record = {
+        instanceId,
+        role,
+        state: InstanceState.WAITING,
+        registeredAt: new Date(registeredAtMs).toISOString(),
+        heartbeatAt: null,
+        outcome: null,
+        boardingPosition: null,
+    };
+    let lastPublished = 0;
+    // Writes go out one at a time, so a slow heartbeat can't land after (and
+    // undo) a state change
+    let writes = Promise.resolve();
+
+    const publish = (changes = {}) => {
+        Object.assign(record, changes, { heartbeatAt: new Date(now()).toISOString() });
+        lastPublished = now();
+        const snapshot = { ...record };
+        writes = writes.catch(() => {}).then(() => backend.set(keyFor(role), snapshot));
+        return writes;
+    };
+
+    /**
+     * Read the other instance's record, with a staleness flag.
+     */
+    const readPeer = async () => {
+        const peer = await backend.get(keyFor(peerRole));
+        if (!peer) return null;
+        const ageMs = now() - new Date(peer.heartbeatAt).getTime();
+        const finished = [InstanceState.SUCCEEDED, InstanceState.FAILED].includes(peer.state);
+        return { ...peer, ageMs, stale: !finished && ageMs > staleAfterMs };
+    };
+
+    return {
+        role,
+        instanceId,
+        register: () => publish(),
+        /** Publish a heartbeat if the interval has elapsed. */
+        heartbeat: async () => {
+            if (now() - lastPublished >= heartbeatIntervalMs) await publish();
+        },
+        /**
+         * Publish heartbeats in the background until the returned function is
+         * called.
+         *
+         * @param {(error: Error) => void} [onError]
+         * @returns {() => void} Stops the heartbeats
+         */
+        keepAlive: (onError = () => {}) => {
+            const timer = setInterval(() => {
+                publish().catch(onError);
+            }, heartbeatIntervalMs);
+            timer.unref?.();
+            return () => clearInterval(timer);
+        },
+        setState: (state, details = {}) => publish({ state, ...details }),
+        readPeer,
+
+        /**
+         * Backup only: what to do given the primary's current record.
+         *
+         * @returns {Promise<{ decision: string, peer: object|null, reason: string }>}
+         */
+        decide: async () => {
+            if (role === 'PRIMARY') {
+                // Never delay the primary's submit with a read
+                return { decision: Decision.PROCEED, peer: null, reason: 'primary always submits' };
+            }
+
+            const peer = await readPeer();
+            if (!peer) {
+                // Give a primary that starts after us the same grace as a stale heartbeat
+                return now() - registeredAtMs > staleAfterMs
+                    ? { decision: Decision.TAKE_OVER, peer, reason: 'primary never registered' }
+                    : { decision: Decision.WAIT, peer, reason: 'primary not registered yet' };
+            }
+            if (peer.state === InstanceState.SUCCEEDED) {
+                return { decision: Decision.STAND_DOWN, peer, reason: `primary succeeded (${peer.boardingPosition ?? 'no position'})` };
+            }
+            if (peer.state === InstanceState.FAILED) {
+                return { decision: Decision.TAKE_OVER, peer, reason: `primary failed (${peer.outcome ?? 'error'})` };
+            }
+            if (peer.stale) {
+                return { decision: Decision.TAKE_OVER, peer, reason: `primary heartbeat stale (${Math.round(peer.ageMs / 1000)}s old)` };
+            }
+            return { decision: Decision.WAIT, peer, reason: `primary is ${peer.state}` };
+        },
+    };
+}
+
+/**
+ * Backup only, at its own submit time: until when to wait for the primary's
+ * result before submitting anyway. A primary that is submitting gets until
+ * the result deadline it published (`resultBy`), and never less than
+ * `decisionWaitMs`.
+ *
+ * @param {object|null} peer - From `decide()`
+ * @param {object} options
+ * @param {number} options.fromMs - When the backup's submit time came (same clock as the coordinator's `now`)
+ * @param {number} options.decisionWaitMs
+ * @returns {number} Epoch ms
+ */
+export function decisionDeadline(peer, { fromMs, decisionWaitMs }) {
+    const deadline = fromMs + decisionWaitMs;
+    const resultBy = peer?.state === InstanceState.SUBMITTING && peer.resultBy ? new Date(peer.resultBy).getTime() : NaN;
+    return Number.isFinite(resultBy) ? Math.max(deadline, resultBy) : deadline;
+}
@@ -0,0 +1,12 @@
+/**
+ * Library entry point
+ *
+ * `runCheckin(input, platform)` runs the check-in flow for one input (see
+ * src/checkin.js). The platform adapters supply storage and proxies: files
+ * and plain proxy URLs with `createLocalPlatform()`, the Apify SDK with
+ * `createApifyPlatform()` (after `Actor.init()`).
+ */
+
+export { runCheckin } from './checkin.js';
+export { createApifyPlatform } from './apify-platform.js';
+export { createLocalPlatform, DEFAULT_LOCAL_PLATFORM_OPTIONS, directoryStore, jsonLinesDataset } from './local-platform.js';
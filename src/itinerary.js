@@ -0,0 +1,214 @@
+/**
+ * Round-trip and multi-leg itineraries
+ *
+ * The pre-flight reads every flight of the reservation off the trip page. The
+ * flights are grouped into legs: a connection stays in its leg, and a gap of
+ * more than `legGapHours` between departures starts a new one. Each leg has
+ * its own check-in, opening `offsetHours` before its first departure.
+ *
+ * The run checks in for the current leg, the one its `checkinOpensAt` targets.
+ * Each later leg gets a follow-up job, a run with the same input and that
+ * leg's `checkinOpensAt`, emitted either as:
+ *
+ * - `manifest`: an entry in the `FOLLOW-UPS` record (and the result), to be
+ *   started by whatever schedules the runs
+ * - `schedule`: an Apify schedule that starts this actor `startLeadMinutes`
+ *   before the leg opens. The follow-up run deletes the schedule when it starts.
+ *
+ * Every leg's result is also pushed to the `datasetName` dataset, which
+ * outlives the runs, with the confirmation number and leg number.
+ */
+
+import { resolveAirportTimezone } from './airports.js';
+import { DEFAULT_CHECKIN_OFFSET_HOURS, deriveCheckinOpensAt, zonedTimeToUtc } from './schedule.js';
+
+export const FOLLOW_UP_MODES = ['manifest', 'schedule', 'none'];
+
+export const MANIFEST_KEY = 'FOLLOW-UPS';
+
+export const DEFAULT_ITINERARY_OPTIONS = Object.freeze({
+    // How later legs are handed on: 'manifest', 'schedule' or 'none'
+    followUps: 'manifest',
+    // Follow-up runs start this long before their leg opens
+    startLeadMinutes: 30,
+    // Departures further apart than this are separate legs
+    legGapHours: 12,
+    // Named dataset with one record per leg, shared by all runs
+    datasetName: 'southwest-checkin-itineraries',
+});
+
+// Reservation fields of the input; the rest is run-wide and carried over
+const RESERVATION_FIELDS = ['reservations', 'confirmationNumber', 'firstName', 'lastName', 'checkinOpensAt', 'departureLocal', 'originAirport'];
+
+/**
+ * Departure as epoch ms, in the origin's timezone (UTC if unknown).
+ */
+function departureMs(flight) {
+    const timeZone = (flight.origin && resolveAirportTimezone(flight.origin)) || 'UTC';
+    try {
+        return zonedTimeToUtc(flight.departureLocal, timeZone);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Group trip page flights into legs, in departure order.
+ *
+ * @param {Array<{ flightNumber: string|null, origin: string|null, destination: string|null, departureLocal: string }>} flights
+ * @param {object} [options]
+ * @param {number} [options.legGapHours]
+ * @returns {Array<Array<object>>} Flights of each leg
+ */
+export function splitLegs(flights, { legGapHours = DEFAULT_ITINERARY_OPTIONS.legGapHours } = {}) {
+    const timed = flights
+        .map((flight) => ({ flight, at: departureMs(flight) }))
+        .filter(({ at }) => at !== null)
+        .sort((a, b) => a.at - b.at);
+
+    const legs = [];
+    let previousAt = null;
+    for (const { flight, at } of timed) {
+        if (previousAt === null || at - previousAt > legGapHours * 3600000) {
+            legs.push([]);
+        }
+        legs[legs.length - 1].push(flight);
+        previousAt = at;
+    }
+    return legs;
+}
+
+/**
+ * Each leg with its check-in opening and its part in this run.
+ *
+ * @param {Array<Array<object>>} legs - From `splitLegs()`
+ * @param {object|null} currentFlight - First flight of the leg this run checks in for (from `checkOpenTime()`)
+ * @param {object} [options]
+ * @param {number} [options.offsetHours]
+ * @returns {Array<{ leg: number, flights: object[], checkinOpensAt: string|null, departureAt: string|null, role: 'earlier'|'current'|'follow-up', error: string|null }>}
+ */
+export function describeLegs(legs, currentFlight, { offsetHours = DEFAULT_CHECKIN_OFFSET_HOURS } = {}) {
+    const currentIndex = currentFlight ? legs.findIndex((flights) => flights[0] === currentFlight) : -1;
+    return legs.map((flights, index) => {
+        let derived = null;
+        let error = null;
+        try {
+            derived = deriveCheckinOpensAt({ departureLocal: flights[0].departureLocal, originAirport: flights[0].origin, offsetHours });
+        } catch (e) {
+            error = e.message;
+        }
+        return {
+            leg: index + 1,
+            flights,
+            checkinOpensAt: derived?.checkinOpensAt ?? null,
+            departureAt: derived?.departureAt ?? null,
+            role: currentIndex < 0 || index < currentIndex ? 'earlier' : index === currentIndex ? 'current' : 'follow-up',
+            error,
+        };
+    });
+}
+
+/**
+ * When a follow-up run should start: `startLeadMinutes` before the opening,
+ * on a whole minute.
+ *
+ * @param {string} checkinOpensAt
+ * @param {number} startLeadMinutes
+ * @returns {string} ISO instant
+ */
+export function followUpStartAt(checkinOpensAt, startLeadMinutes) {
+    const startMs = new Date(checkinOpensAt).getTime() - startLeadMinutes * 60000;
+    return new Date(Math.floor(startMs / 60000) * 60000).toISOString();
+}
+
+/**
+ * Input for the run that checks in for one later leg: the run-wide settings of
+ * this run (notification credentials included, but not the control token),
+ * the one reservation, and the leg. It does not emit follow-ups of its own
+ * (this run has emitted all of them).
+ *
+ * @param {object} input - This run's input
+ * @param {{ confirmationNumber: string, firstName: string, lastName: string }} reservation
+ * @param {{ leg: number, checkinOpensAt: string, flights: object[] }} leg
+ * @param {object} context
+ * @param {number} context.legs - Number of legs in the itinerary
+ * @param {string} context.parentRunId
+ */
+export function followUpInput(input, reservation, leg, { legs, parentRunId }) {
+    const runWide = Object.fromEntries(Object.entries(input).filter(([field]) => !RESERVATION_FIELDS.includes(field)));
+    // The follow-up run generates its own control token
+    const control = input.control && Object.fromEntries(Object.entries(input.control).filter(([field]) => field !== 'token'));
+    return {
+        ...runWide,
+        ...(control && { control }),
+        mode: 'checkin',
+        confirmationNumber: reservation.confirmationNumber,
+        firstName: reservation.firstName,
+        lastName: reservation.lastName,
+        checkinOpensAt: leg.checkinOpensAt,
+        itinerary: { ...input.itinerary, followUps: 'none' },
+        leg: {
+            leg: leg.leg,
+            legs,
+            flights: leg.flights.map((flight) => flight.flightNumber),
+            parentRunId,
+        },
+    };
+}
+
+/**
+ * Cron expression firing once a year at `iso` (UTC, minute precision).
+ *
+ * @param {string} iso
+ */
+export function cronAt(iso) {
+    const at = new Date(iso);
+    return `${at.getUTCMinutes()} ${at.getUTCHours()} ${at.getUTCDate()} ${at.getUTCMonth() + 1} *`;
+}
+
+/**
+ * Create an Apify schedule that starts the follow-up run. The schedule's id is
+ * written into the run's input afterwards, so that run can delete it.
+ *
+ * @param {import('apify').ApifyClient} client
+ * @param {object} options
+ * @param {string} options.actorId
+ * @param {string} options.name - Schedule name (unique per account)
+ * @param {string} options.startAt - ISO instant
+ * @param {object} options.input - From `followUpInput()`
+ * @returns {Promise<{ scheduleId: string, name: string, cronExpression: string }>}
+ */
+export async function scheduleFollowUp(client, { actorId, name, startAt, input }) {
+    const cronExpression = cronAt(startAt);
+    const action = (runInput) => ({
+        type: 'RUN_ACTOR',
+        actorId,
+        runInput: { body: JSON.stringify(runInput), contentType: 'application/json; charset=utf-8' },
+    });
+
+    const schedule = await client.schedules().create({
+        name,
+        cronExpression,
+        timezone: 'UTC',
+        isEnabled: true,
+        isExclusive: true,
+        description: `Check-in for ${input.confirmationNumber} leg ${input.leg.leg}/${input.leg.legs}, opening ${input.checkinOpensAt}`,
+        actions: [action(input)],
+    });
+    await client.schedule(schedule.id).update({
+        actions: [action({ ...input, leg: { ...input.leg, scheduleId: schedule.id } })],
+    });
+    return { scheduleId: schedule.id, name, cronExpression };
+}
+
+/**
+ * Schedule name for a leg: lower-case letters, digits and dashes.
+ *
+ * @param {string} confirmationNumber
+ * @param {number} leg
+ * @param {string} checkinOpensAt
+ */
+export function followUpScheduleName(confirmationNumber, leg, checkinOpensAt) {
+    const date = checkinOpensAt.slice(0, 10);
+    return `southwest-checkin-${confirmationNumber}-leg${leg}-${date}`.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+}
@@ -0,0 +1,170 @@
+/**
+ * Local platform adapter
+ *
+ * Runs the check-in flow without Apify. Everything is plain files:
+ *
+ * - Run artifacts (screenshots, HTML, timeline, OUTPUT, RUN-STATE) go to the
+ *   run's artifact directory, one file per key, and results are appended to
+ *   `results.jsonl` there.
+ * - Named stores that outlive runs (timing history, coordination) live in
+ *   `<storageDir>/key_value_stores/<name>/`, the layout of local Apify
+ *   storage. `node src/timing-history.js` reads the history from there when
+ *   given the record's path (its default is `storage/`, where Apify keeps
+ *   it). Named datasets are `<storageDir>/datasets/<name>.jsonl`.
+ * - Proxies are plain URLs (`proxyUrls`); Apify Proxy groups are not
+ *   available.
+ * - There are no migrations, and no scheduler: follow-up runs are only
+ *   written to the manifest (see cli.js `schedule`).
+ * - There is no container port: the control server listens on `control.port`.
+ * - Expired artifacts are deleted from the sibling run directories (the
+ *   default `swcheckin-runs/<time>-<conf>` layout).
+ */
+
+import { appendFile, mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ProxyConfiguration } from 'crawlee';
+
+export const DEFAULT_LOCAL_PLATFORM_OPTIONS = Object.freeze({
+    // Artifacts and results of this run
+    artifactDir: 'swcheckin-runs/latest',
+    // Stores and datasets shared by all runs
+    storageDir: 'swcheckin-storage',
+});
+
+const EXTENSIONS = [
+    ['image/png', 'png'],
+    ['text/html', 'html'],
+    ['text/plain', 'txt'],
+    ['application/x-ndjson', 'jsonl'],
+    ['application/json', 'json'],
+];
+
+/**
+ * File extension for a record, from its content type (JSON by default).
+ */
+function extensionOf(contentType) {
+    return EXTENSIONS.find(([type]) => contentType?.startsWith(type))?.[1] ?? 'json';
+}
+
+/**
+ * Key-value store on a directory: `<key>.<ext>` per record. Values without a
+ * content type are stored as JSON; others are written as given. `null`
+ * deletes the record.
+ *
+ * @param {string} directory
+ * @returns {{ getValue: (key: string) => Promise<unknown>, setValue: (key: string, value: unknown, options?: { contentType?: string }) => Promise<void> }}
+ */
+export function directoryStore(directory) {
+    return {
+        async getValue(key) {
+            try {
+                return JSON.parse(await readFile(path.join(directory, `${key}.json`), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async setValue(key, value, { contentType } = {}) {
+            if (value === null) {
+                await Promise.all(EXTENSIONS.map(([, extension]) => rm(path.join(directory, `${key}.${extension}`), { force: true })));
+                return;
+            }
+            await mkdir(directory, { recursive: true });
+            const file = path.join(directory, `${key}.${extensionOf(contentType)}`);
+            const data = contentType && (typeof value === 'string' || Buffer.isBuffer(value))
+                ? value
+                : JSON.stringify(value, null, 2);
+            // Write-then-rename, so a crash never leaves half a RUN-STATE behind
+            await writeFile(`${file}.tmp`, data);
+            await rename(`${file}.tmp`, file);
+        },
+    };
+}
+
+/**
+ * Dataset on a JSON Lines file.
+ *
+ * @param {string} file
+ * @returns {{ pushData: (item: object|object[]) => Promise<void> }}
+ */
+export function jsonLinesDataset(file) {
+    return {
+        async pushData(item) {
+            const items = Array.isArray(item) ? item : [item];
+            if (items.length === 0) return;
+            await mkdir(path.dirname(file), { recursive: true });
+            await appendFile(file, items.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+        },
+    };
+}
+
+/**
+ * Delete artifact files older than `before` from the other run directories
+ * next to `artifactDir`. Only directories holding a run's `results.jsonl` or
+ * `RUN-STATE.json` are touched.
+ *
+ * @returns {Promise<{ runs: number, records: number }>}
+ */
+async function purgeSiblingArtifacts(artifactDir, { before, isArtifact }) {
+    const parent = path.dirname(path.resolve(artifactDir));
+    const entries = await readdir(parent, { withFileTypes: true }).catch(() => []);
+    let runs = 0;
+    let records = 0;
+    for (const entry of entries.filter((e) => e.isDirectory())) {
+        const runDir = path.join(parent, entry.name);
+        if (runDir === path.resolve(artifactDir)) continue;
+        const files = await readdir(runDir).catch(() => []);
+        if (!files.includes('results.jsonl') && !files.includes('RUN-STATE.json')) continue;
+
+        let deleted = 0;
+        for (const file of files.filter((name) => isArtifact(name.replace(/\.[^.]+$/, '')))) {
+            const { mtimeMs } = await stat(path.join(runDir, file));
+            if (mtimeMs >= before) continue;
+            await rm(path.join(runDir, file), { force: true });
+            deleted++;
+        }
+        if (deleted > 0) runs++;
+        records += deleted;
+    }
+    return { runs, records };
+}
+
+/**
+ * Platform for `runCheckin()` backed by local files.
+ *
+ * @param {object} [options] - See DEFAULT_LOCAL_PLATFORM_OPTIONS
+ * @returns {import('./checkin.js').Platform}
+ */
+export function createLocalPlatform(options = {}) {
+    const { artifactDir, storageDir } = { ...DEFAULT_LOCAL_PLATFORM_OPTIONS, ...options };
+    const runStore = directoryStore(artifactDir);
+    // File each run artifact was written to, for links in results and notifications
+    const files = new Map();
+    const results = jsonLinesDataset(path.join(artifactDir, 'results.jsonl'));
+
+    return {
+        name: 'local',
+        runId: null,
+        actorId: null,
+        scheduler: null,
+        async setValue(key, value, valueOptions) {
+            await runStore.setValue(key, value, valueOptions);
+            if (value === null) files.delete(key);
+            else files.set(key, path.join(artifactDir, `${key}.${extensionOf(valueOptions?.contentType)}`));
+        },
+        pushData: (item) => results.pushData(item),
+        openKeyValueStore: async (name) => (name ? directoryStore(path.join(storageDir, 'key_value_stores', name)) : runStore),
+        openDataset: async (name) => jsonLinesDataset(path.join(storageDir, 'datasets', `${name}.jsonl`)),
+        async createProxyConfiguration({ proxyUrls, groups } = {}) {
+            if (!proxyUrls?.length) {
+                throw new Error(`Apify Proxy${groups?.length ? ` (groups ${groups.join(', ')})` : ''} is not available locally; pass proxy URLs (\`proxyUrls\`) instead`);
+            }
+            return new ProxyConfiguration({ proxyUrls });
+        },
+        onMigrating: () => {},
+        // The control server needs an explicit `control.port` locally
+        webServer: null,
+        purgeArtifacts: (options) => purgeSiblingArtifacts(artifactDir, options),
+        artifactLink: (key) => files.get(key) ?? path.join(artifactDir, key),
+    };
+}
@@ -0,0 +1,187 @@
+/**
+ * Check-in outcome notifications
+ *
+ * Sends a short message per reservation (outcome, boarding position, timing
+ * offset, artifact links) to every configured channel, plus failure alerts
+ * from the fatal error path and the wait-loop heartbeat.
+ *
+ * Supported channel types:
+ * - `webhook`: generic JSON POST of the message and the result summary
+ * - `slack`: Slack-compatible incoming webhook (`{ text }`)
+ * - `email`: SMTP via nodemailer
+ * - `ntfy`: ntfy-style push (plain-text POST to a topic URL)
+ * - `pushover`: Pushover-style push (form POST with app token + user key)
+ *
+ * Every endpoint is configurable, so channels can be pointed at a local HTTP
+ * stand-in. Sending never throws: each channel is retried independently and
+ * its final status is returned for telemetry.
+ */
+
+import nodemailer from 'nodemailer';
+
+export const DEFAULT_NOTIFY_OPTIONS = Object.freeze({
+    retries: 2,
+    retryDelayMs: 1000,
+    timeoutMs: 10000,
+});
+
+const PUSHOVER_URL = 'https://api.pushover.net/1/messages.json';
+
+// HTTP header values must be Latin-1; ntfy accepts RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * POST to an HTTP endpoint and fail on non-2xx responses.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeoutMs
+ */
+async function post(url, init, timeoutMs) {
+    const response = await fetch(url, { method: 'POST', ...init, signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+}
+
+const SENDERS = {
+    webhook: (channel, notification, timeoutMs) => post(channel.url, {
+        headers: { 'Content-Type': 'application/json', ...channel.headers },
+        body: JSON.stringify({
+            title: notification.title,
+            message: notification.message,
+            level: notification.level,
+            data: notification.data,
+        }),
+    }, timeoutMs),
+
+    slack: (channel, notification, timeoutMs) => post(channel.webhookUrl || channel.url, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: `*${notification.title}*\n${notification.message}` }),
+    }, timeoutMs),
+
+    ntfy: (channel, notification, timeoutMs) => post(channel.url, {
+        headers: {
+            Title: encodeHeader(notification.title),
+            Priority: notification.level === 'error' ? 'high' : 'default',
+            Tags: notification.level === 'error' ? 'warning' : 'airplane',
+            ...(channel.token && { Authorization: `Bearer ${channel.token}` }),
+        },
+        body: notification.message,
+    }, timeoutMs),
+
+    pushover: (channel, notification, timeoutMs) => post(channel.url || PUSHOVER_URL, {
+        body: new URLSearchParams({
+            token: channel.token,
+            user: channel.user,
+            title: notification.title,
+            message: notification.message,
+            priority: notification.level === 'error' ? '1' : '0',
+        }),
+    }, timeoutMs),
+
+    email: async (channel, notification) => {
+        const transport = nodemailer.createTransport({
+            host: channel.smtp.host,
+            port: channel.smtp.port ?? 587,
+            secure: channel.smtp.secure ?? false,
+            ...(channel.smtp.user && { auth: { user: channel.smtp.user, pass: channel.smtp.pass } }),
+        });
+        await transport.sendMail({
+            from: channel.from,
+            to: channel.to,
+            subject: notification.title,
+            text: notification.message,
+        });
+    },
+};
+
+/**
+ * Create a notifier from the `notifications` input.
+ *
+ * @param {object} [config]
+ * @param {object[]} [config.channels] - Channel definitions (`{ type, ...endpoint }`)
+ * @param {number} [config.retries] - Default retries per channel
+ * @param {number} [config.retryDelayMs] - Delay between retries (doubles each attempt)
+ * @param {number} [config.timeoutMs] - Per-request timeout for HTTP channels
+ * @returns {{ enabled: boolean, notify: (notification: { title: string, message: string, level?: string, data?: object }) => Promise<object[]> }}
+ */
+export function createNotifier(config = {}) {
+    const options = { ...DEFAULT_NOTIFY_OPTIONS, ...config };
+    const channels = (config.channels || []).filter((channel) => channel && channel.enabled !== false);
+
+    for (const channel of channels) {
+        if (!SENDERS[channel.type]) {
+            throw new Error(`Unknown notification channel type "${channel.type}" (expected one of: ${Object.keys(SENDERS).join(', ')})`);
+        }
+    }
+
+    async function sendWithRetry(channel, notification) {
+        const retries = channel.retries ?? options.retries;
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) await sleep(options.retryDelayMs * 2 ** (attempt - 1));
+            try {
+                await SENDERS[channel.type](channel, notification, options.timeoutMs);
+                return { channel: channel.name || channel.type, ok: true, attempts: attempt + 1 };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        console.log(`⚠️  Notification via ${channel.name || channel.type} failed after ${retries + 1} attempt(s): ${lastError.message}`);
+        return { channel: channel.name || channel.type, ok: false, attempts: retries + 1, error: lastError.message };
+    }
+
+    return {
+        enabled: channels.length > 0,
+        notify: (notification) => Promise.all(channels.map((channel) => sendWithRetry(channel, {
+            level: 'info',
+            data: null,
+            ...notification,
+        }))),
+    };
+}
+
+/**
+ * Build the per-reservation outcome notification.
+ *
+ * @param {object} result - Reservation result record
+ * @param {(key: string) => string} artifactLink - Maps a key-value store key to a link
+ * @returns {{ title: string, message: string, level: string, data: object }}
+ */
+export function formatResultNotification(result, artifactLink) {
+    const offset = result.timingOffset === null || result.timingOffset === undefined
+        ? 'n/a'
+        : `${result.timingOffset > 0 ? '+' : ''}${result.timingOffset}ms`
+            + (result.timingOffsetUncertaintyMs === null || result.timingOffsetUncertaintyMs === undefined ? '' : ` ±${result.timingOffsetUncertaintyMs}ms`);
+
+    const title = result.success
+        ? `✅ ${result.confirmationNumber} checked in: ${result.boardingPosition ?? 'position not shown'}`
+        : `❌ ${result.confirmationNumber} check-in failed (${result.outcome ?? 'ERROR'})`;
+
+    const lines = [
+        `Outcome: ${result.outcome ?? 'ERROR'}`,
+        `Boarding position: ${result.passengers?.length > 1
+            ? result.passengers.map((p) => p.position).join(', ')
+            : result.boardingPosition ?? 'n/a'}`,
+        `Timing offset: ${offset}`,
+        ...(result.error ? [`Error: ${result.error}`] : []),
+        ...(result.screenshots?.length > 0 ? ['Screenshots:', ...result.screenshots.map((key) => `  ${artifactLink(key)}`)] : []),
+    ];
+
+    // Telemetry (every time-sync sample etc.) is far too big for a notification
+    const { telemetry, ...summary } = result;
+
+    return {
+        title,
+        message: lines.join('\n'),
+        level: result.success ? 'info' : 'error',
+        data: summary,
+    };
+}
@@ -0,0 +1,196 @@
+/**
+ * Pre-flight reservation verification
+ *
+ * Well before check-in opens, the form is submitted once and the answer
+ * classified. "Too early" proves that the confirmation number exists and the
+ * names match. "Not found", a name mismatch or a cancellation fails the
+ * reservation while there is still time to fix the input.
+ *
+ * The trip page (View/Manage reservation) is then read for the flights:
+ * flight number, origin, destination and local departure time. The upcoming
+ * leg whose opening is nearest `checkinOpensAt` is the one this run is for.
+ * If its departure implies a different opening, for example after a schedule
+ * change, the run alerts. It can also move the target automatically.
+ */
+
+import { load } from 'cheerio';
+import { Outcome } from './classifier.js';
+import { DEFAULT_CHECKIN_OFFSET_HOURS, deriveCheckinOpensAt } from './schedule.js';
+
+export const TRIP_PAGE_PATH = '/air/manage-reservation/index.html';
+
+export const DEFAULT_PREFLIGHT_OPTIONS = Object.freeze({
+    enabled: true,
+    // Only run when check-in opens at least this far away (there must be time to act)
+    minLeadSeconds: 300,
+    // Also read the trip page and check the opening time
+    tripPage: true,
+    // Allowed difference between the configured and the derived opening
+    toleranceSeconds: 60,
+    // Move the target to the derived opening instead of only alerting
+    autoCorrect: false,
+    // How long to wait for the check-in answer and the trip details
+    resultTimeoutMs: 15000,
+});
+
+export const PreflightStatus = Object.freeze({
+    // "Too early": the reservation exists and the names match
+    VERIFIED: 'verified',
+    // Check-in was already open; the pre-flight submit checked in
+    CHECKED_IN: 'checked-in',
+    // Not found, name mismatch, cancelled: submitting at T-0 would fail too
+    INVALID: 'invalid',
+    // No conclusive answer (unknown page, session expired, error)
+    INCONCLUSIVE: 'inconclusive',
+});
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/i;
+const TIME_PATTERN = /\b(\d{1,2}):(\d{2})\s*([ap])\.?m\.?/i;
+const ROUTE_PATTERN = /\b([A-Z]{3})\s*(?:→|->|–|-|to)\s*([A-Z]{3})\b/;
+const FLIGHT_NUMBER_PATTERN = /flight\s*(?:#|no\.?|number)?\s*(\d{1,4})\b/i;
+
+// Class names of a container holding one flight segment on the trip page,
+// e.g. `reservation-flight-segment` (not `...-list` or BEM `...--title` parts)
+const FLIGHT_CLASS_PATTERN = /(?:^|-)(?:reservation-flight|flight-segment|flight-summary)$/;
+
+const textOf = ($element) => $element.text().replace(/\s+/g, ' ').trim();
+
+/**
+ * Pre-flight status for a classified check-in answer.
+ *
+ * @param {string} outcome - An Outcome value
+ * @returns {string} A PreflightStatus value
+ */
+export function preflightStatus(outcome) {
+    switch (outcome) {
+        case Outcome.TOO_EARLY:
+            return PreflightStatus.VERIFIED;
+        case Outcome.SUCCESS:
+        case Outcome.ALREADY_CHECKED_IN:
+            return PreflightStatus.CHECKED_IN;
+        case Outcome.RESERVATION_NOT_FOUND:
+        case Outcome.NAME_MISMATCH:
+        case Outcome.CANCELLED:
+            return PreflightStatus.INVALID;
+        default:
+            return PreflightStatus.INCONCLUSIVE;
+    }
+}
+
+/**
+ * Local departure (`YYYY-MM-DDTHH:mm`) from a `datetime` attribute or text
+ * such as "Thursday, Dec 25, 2025 12:05 PM".
+ *
+ * @param {string|undefined} datetime
+ * @param {string} text
+ * @returns {string|null}
+ */
+function parseDeparture(datetime, text) {
+    const attribute = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})/.exec(datetime || '');
+    if (attribute) return `${attribute[1]}T${attribute[2]}`;
+
+    const date = DATE_PATTERN.exec(text);
+    const time = TIME_PATTERN.exec(text);
+    if (!date || !time) return null;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const month = MONTHS.indexOf(date[1].toLowerCase().slice(0, 3)) + 1;
+    const hour = (Number(time[1]) % 12) + (time[3].toLowerCase() === 'p' ? 12 : 0);
+    return `${date[3]}-${pad(month)}-${pad(date[2])}T${pad(hour)}:${time[2]}`;
+}
+
+/**
+ * Read one flight from a segment container (or the whole page).
+ *
+ * @returns {{ flightNumber: string|null, origin: string|null, destination: string|null, departureLocal: string|null }}
+ */
+function extractFlight($, $scope) {
+    const text = textOf($scope);
+    const airport = (role) => {
+        const $element = $scope.find(`[class*="${role}"][data-airport-code], [class*="${role}"] [data-airport-code]`).first();
+        return ($element.attr('data-airport-code') || '').toUpperCase() || null;
+    };
+    const route = ROUTE_PATTERN.exec(text);
+    const $time = $scope.find('time[datetime], [class*="departure"] time').first();
+
+    return {
+        flightNumber: textOf($scope.find('[class*="flight-number"]').first()).match(/\d{1,4}/)?.[0]
+            || FLIGHT_NUMBER_PATTERN.exec(text)?.[1]
+            || null,
+        origin: airport('origin') || route?.[1] || null,
+        destination: airport('destination') || route?.[2] || null,
+        departureLocal: parseDeparture($time.attr('datetime'), textOf($scope.find('[class*="departure"]').first()) || text),
+    };
+}
+
+/**
+ * Flights listed on a trip (View/Manage reservation) page, in page order.
+ * Entries without a departure time are dropped.
+ *
+ * @param {string} html
+ * @returns {{ flights: Array<{ flightNumber: string|null, origin: string|null, destination: string|null, departureLocal: string }> }}
+ */
+export function parseTripDetails(html) {
+    const $ = load(html || '');
+    $('script, style, noscript, template, svg, link, meta, iframe').remove();
+
+    // Innermost containers only, so wrappers don't produce duplicates
+    const containers = $('[class*="flight"], [data-qa*="flight-segment"]').toArray()
+        .filter((element) => ($(element).attr('data-qa') || '').includes('flight-segment')
+            || ($(element).attr('class') || '').split(/\s+/).some((name) => FLIGHT_CLASS_PATTERN.test(name)));
+    const segments = containers.filter((element) => !containers.some((other) => other !== element && $(element).find(other).length > 0));
+
+    let flights = segments.map((element) => extractFlight($, $(element)));
+    if (flights.every((flight) => !flight.departureLocal)) {
+        flights = [extractFlight($, $('body').length > 0 ? $('body') : $.root())];
+    }
+    return { flights: flights.filter((flight) => flight.departureLocal) };
+}
+
+/**
+ * Compare the configured opening with the one implied by the trip page: of
+ * the upcoming flights (the first flight of each leg, see itinerary.js), the
+ * one whose opening is nearest the configured one.
+ *
+ * @param {string} configuredOpensAt - ISO instant the run is targeting
+ * @param {Array<{ origin: string|null, departureLocal: string }>} flights - From `parseTripDetails()`
+ * @param {object} [options]
+ * @param {number} [options.toleranceMs]
+ * @param {number} [options.offsetHours]
+ * @param {() => number} [options.now]
+ * @returns {{ matches: boolean|null, reason?: string, flight?: object, expectedOpensAt?: string, differenceMs?: number, departureAt?: string, timeZone?: string, offsetHours?: number }}
+ */
+export function checkOpenTime(configuredOpensAt, flights, {
+    toleranceMs = DEFAULT_PREFLIGHT_OPTIONS.toleranceSeconds * 1000,
+    offsetHours = DEFAULT_CHECKIN_OFFSET_HOURS,
+    now = Date.now,
+} = {}) {
+    const upcoming = [];
+    for (const flight of flights) {
+        if (!flight.origin) continue;
+        try {
+            const derived = deriveCheckinOpensAt({ departureLocal: flight.departureLocal, originAirport: flight.origin, offsetHours });
+            if (new Date(derived.departureAt).getTime() > now()) upcoming.push({ flight, derived });
+        } catch {
+            // unknown airport or unreadable time: not usable for the check
+        }
+    }
+    if (upcoming.length === 0) {
+        return { matches: null, reason: 'no upcoming flight with a known origin and departure time on the trip page' };
+    }
+
+    const configuredMs = new Date(configuredOpensAt).getTime();
+    const differenceOf = ({ derived }) => new Date(derived.checkinOpensAt).getTime() - configuredMs;
+    const [{ flight, derived }] = upcoming.sort((a, b) => Math.abs(differenceOf(a)) - Math.abs(differenceOf(b)));
+    const differenceMs = differenceOf({ derived });
+    return {
+        matches: Math.abs(differenceMs) <= toleranceMs,
+        flight,
+        expectedOpensAt: derived.checkinOpensAt,
+        differenceMs,
+        departureAt: derived.departureAt,
+        timeZone: derived.timeZone,
+        offsetHours: derived.offsetHours,
+    };
+}
@@ -0,0 +1,261 @@
+/**
+ * Privacy: redaction and artifact retention
+ *
+ * Names and confirmation numbers are masked wherever the run writes them for
+ * people to read: the log, the result records and the timeline. `JOHN` becomes
+ * `J***` and `ABC123` becomes `xxxx23`, which is also the reservation's key
+ * in artifact names. Passenger names read off the result page are masked too,
+ * even when they are not in the input. Keys shared with other runs (the
+ * coordination records) use a salted hash instead, since two confirmation
+ * numbers can share a mask.
+ *
+ * Screenshots are taken with the form fields, passenger sections and any text
+ * holding a name or confirmation number blacked out. HTML dumps lose input
+ * values, inline scripts and embedded images (boarding pass barcodes), and
+ * their text is redacted like the log.
+ *
+ * The artifact policy decides which screenshots and dumps are kept at all:
+ * `all`, `onFailure` (deleted once the reservation succeeds) or `none`.
+ * Artifacts of earlier runs can be deleted after `artifactMaxAgeDays`.
+ *
+ * The RUN-STATE record and the FOLLOW-UPS manifest keep the real values: a
+ * resumed run and a follow-up run need them to check in. The manifest (and
+ * the Apify schedules made from it) also holds the run-wide input, including
+ * notification credentials (SMTP password, Pushover and ntfy tokens), so it
+ * is as sensitive as the input itself. The control token is left out; each
+ * follow-up run generates its own.
+ */
+
+import { createHash } from 'node:crypto';
+import { load } from 'cheerio';
+
+export const ARTIFACT_POLICIES = ['all', 'onFailure', 'none'];
+
+export const DEFAULT_PRIVACY_OPTIONS = Object.freeze({
+    // Mask names and confirmation numbers in the log, results and timeline
+    redact: true,
+    // Black out form fields and passenger sections in screenshots
+    maskScreenshots: true,
+    // Drop input values, inline scripts and images from HTML dumps, redact the text
+    scrubHtml: true,
+    // Which screenshots and HTML dumps to keep: 'all', 'onFailure' or 'none'
+    artifacts: 'all',
+    // Delete artifacts of earlier runs older than this many days (null: keep them)
+    artifactMaxAgeDays: null,
+});
+
+// Screenshots, page dumps and raw responses: the records the policy applies to
+export const ARTIFACT_KEY_PATTERN = /^(?:screenshot-(?:initial|form-filled|result|error|control-\d+)|final-page-html|final-response)-/;
+
+// Masked in every screenshot, in addition to any text holding a name or
+// confirmation number
+export const SCREENSHOT_MASK_SELECTORS = [
+    'input:not([type="hidden"]):not([type="submit"]):not([type="button"])',
+    '[class*="passenger"]',
+    '[class*="boarding-pass"]',
+    '[class*="confirmation-number"]',
+    '[class*="barcode"]',
+];
+
+// Passenger names on the result page, masked in HTML dumps
+const PASSENGER_NAME_SELECTOR = '[class*="passenger"][class*="name"]';
+
+// Salts the reservation hashes in keys shared across runs
+const SCOPE_SALT = 'southwest-checkin-scope-v1';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * `ABC123` → `xxxx23`. Safe as part of a key-value store key.
+ *
+ * @param {string} confirmationNumber
+ */
+export function maskConfirmationNumber(confirmationNumber) {
+    const text = String(confirmationNumber ?? '');
+    return 'x'.repeat(Math.max(0, text.length - 2)) + text.slice(-2);
+}
+
+/**
+ * Stand-in for a reservation in keys shared across runs: a salted hash of the
+ * confirmation number and passenger name, the same in every run with the same
+ * input. Unlike the masked confirmation number, it tells reservations apart,
+ * and it does not reveal the confirmation number.
+ *
+ * @param {{ confirmationNumber: string, firstName: string|null, lastName: string|null }} reservation
+ * @returns {string} 16 hex digits, safe as part of a key-value store key
+ */
+export function reservationScope({ confirmationNumber, firstName, lastName }) {
+    return createHash('sha256')
+        .update([SCOPE_SALT, confirmationNumber, firstName, lastName].map((part) => String(part ?? '').toUpperCase()).join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * `MARY ANN` → `M*** A**`.
+ *
+ * @param {string} name
+ */
+export function maskName(name) {
+    return String(name ?? '').replace(/\p{L}[\p{L}'’-]*/gu, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Redaction of the names and confirmation numbers of a run's reservations.
+ * A disabled redactor passes everything through.
+ *
+ * @param {Array<{ confirmationNumber: string|null, firstName: string|null, lastName: string|null }>} reservations - Normalized reservations
+ * @param {object} [options]
+ * @param {boolean} [options.redact]
+ * @param {object[]} [options.entries] - Raw reservation inputs, for names as the user wrote them
+ * @returns {{ enabled: boolean, pattern: RegExp|null, text: (text: string) => string, value: (value: unknown) => unknown, name: (name: string) => string }}
+ */
+export function createRedactor(reservations, { redact = DEFAULT_PRIVACY_OPTIONS.redact, entries = [] } = {}) {
+    const masks = new Map();
+    const add = (secret, mask) => {
+        const text = String(secret ?? '').trim();
+        if (text.length >= 2) masks.set(text.toLowerCase(), mask(text));
+    };
+    const addName = (name) => {
+        for (const word of String(name ?? '').split(/\s+/)) add(word, maskName);
+    };
+    for (const source of [...reservations, ...entries]) {
+        add(source?.confirmationNumber, maskConfirmationNumber);
+        addName(source?.firstName);
+        addName(source?.lastName);
+    }
+
+    // Longest first, so `MARY ANN` is not masked as `MARY` plus a leftover
+    const secrets = [...masks.keys()].sort((a, b) => b.length - a.length);
+    const pattern = redact && secrets.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${secrets.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+        : null;
+
+    const text = (value) => (pattern ? value.replace(pattern, (match) => masks.get(match.toLowerCase()) ?? match) : value);
+    const value = (input) => {
+        if (!pattern) return input;
+        if (typeof input === 'string') return text(input);
+        if (Array.isArray(input)) return input.map(value);
+        if (input && Object.getPrototypeOf(input) === Object.prototype) {
+            return Object.fromEntries(Object.entries(input).map(([key, entry]) => [key, value(entry)]));
+        }
+        return input;
+    };
+
+    return {
+        enabled: Boolean(pattern),
+        pattern,
+        text,
+        value,
+        name: (name) => (redact && name ? maskName(name) : name),
+    };
+}
+
+/**
+ * A result record as published: redacted, including the names of passengers
+ * the input did not list.
+ *
+ * @param {object} result
+ * @param {ReturnType<typeof createRedactor>} redactor
+ */
+export function redactResult(result, redactor) {
+    if (!redactor.enabled) return result;
+    return redactor.value({
+        ...result,
+        passengers: (result.passengers ?? []).map((passenger) => ({ ...passenger, name: redactor.name(passenger.name) })),
+    });
+}
+
+/**
+ * Redact everything written to the console until the returned function is
+ * called. Crawlee's log goes through the console too.
+ *
+ * @param {ReturnType<typeof createRedactor>} redactor
+ * @returns {() => void} Restores the console
+ */
+export function redactConsole(redactor) {
+    if (!redactor.enabled) return () => {};
+    const methods = ['log', 'info', 'warn', 'error', 'debug'];
+    const originals = Object.fromEntries(methods.map((method) => [method, console[method]]));
+    for (const method of methods) {
+        console[method] = (...args) => originals[method](...args.map((arg) => (arg instanceof Error
+            ? redactor.text(arg.stack ?? String(arg))
+            : redactor.value(arg))));
+    }
+    return () => Object.assign(console, originals);
+}
+
+/**
+ * Playwright `mask` locators for a screenshot of `page`.
+ *
+ * @param {import('playwright').Page} page
+ * @param {ReturnType<typeof createRedactor>} redactor
+ * @returns {import('playwright').Locator[]}
+ */
+export function screenshotMask(page, redactor) {
+    return [
+        ...SCREENSHOT_MASK_SELECTORS.map((selector) => page.locator(selector)),
+        ...(redactor.pattern ? [page.getByText(new RegExp(redactor.pattern.source, 'iu'))] : []),
+    ];
+}
+
+/**
+ * HTML dump without personal data: input values, inline scripts and embedded
+ * images are dropped, passenger names masked and the text redacted. The
+ * structure stays, so the classifier can still be debugged on it.
+ *
+ * @param {string} html
+ * @param {ReturnType<typeof createRedactor>} redactor
+ * @returns {string}
+ */
+export function scrubHtml(html, redactor) {
+    const $ = load(html || '');
+    $('input').each((_, element) => {
+        if (!['submit', 'button'].includes(($(element).attr('type') || '').toLowerCase())) $(element).removeAttr('value');
+    });
+    $('script:not([src])').text('');
+    $('img[src^="data:"], source[srcset^="data:"]').attr('src', '').attr('srcset', null);
+    $(PASSENGER_NAME_SELECTOR).each((_, element) => {
+        if ($(element).children().length === 0) $(element).text(maskName($(element).text()));
+    });
+    return redactor.text($.html());
+}
+
+/**
+ * Keeps screenshots and dumps according to the artifact policy. With
+ * `onFailure` they are written as usual and deleted once the reservation
+ * succeeds, so a crash before the outcome still leaves them behind.
+ *
+ * @param {object} options
+ * @param {string} options.policy - 'all', 'onFailure' or 'none'
+ * @param {(key: string, value: unknown, options?: object) => Promise<void>} options.setValue - Writes a record, deletes it for `null`
+ */
+export function createArtifactKeeper({ policy = DEFAULT_PRIVACY_OPTIONS.artifacts, setValue }) {
+    const written = new Map();
+    return {
+        /**
+         * Write an artifact of a reservation, unless the policy is `none`.
+         *
+         * @returns {Promise<boolean>} Whether it was written
+         */
+        async save(reservationKey, key, value, options) {
+            if (policy === 'none') return false;
+            await setValue(key, value, options);
+            written.set(reservationKey, [...(written.get(reservationKey) ?? []), key]);
+            return true;
+        },
+        /**
+         * The reservation is finished: under `onFailure`, drop its artifacts
+         * if it succeeded.
+         *
+         * @returns {Promise<string[]>} Keys deleted
+         */
+        async settle(reservationKey, succeeded) {
+            const keys = written.get(reservationKey) ?? [];
+            if (policy !== 'onFailure' || !succeeded) return [];
+            await Promise.all(keys.map((key) => setValue(key, null).catch(() => {})));
+            written.delete(reservationKey);
+            return keys;
+        },
+    };
+}
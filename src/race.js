@@ -0,0 +1,178 @@
+/**
+ * Multi-context submit race
+ *
+ * Redundancy inside a single run: besides the run's own page, a few more
+ * browser contexts are preloaded shortly before the opening, each with the
+ * preloaded session (cookies, local storage), its own proxy session and a
+ * filled form. Every lane clicks at its own offset after T-0, e.g. +40ms,
+ * +90ms and +150ms, with the same in-page scheduled click as a single submit.
+ *
+ * The first lane whose page shows the check-in as accepted wins. Lanes that
+ * have not clicked yet by then are cancelled (their context is closed);
+ * lanes that already clicked are ignored. Every lane reports when it clicked,
+ * when its check-in request went out and came back, and its outcome.
+ */
+
+import { classifyCheckinPage } from './classifier.js';
+import { describeProxy, toPlaywrightProxy } from './proxy.js';
+import { ACCEPTED_OUTCOMES, clickSubmitControl } from './retry.js';
+import { watchCheckinRequest } from './submit-timing.js';
+
+export const DEFAULT_RACE_OPTIONS = Object.freeze({
+    enabled: false,
+    // One lane per entry, clicking this long after T-0 (ms); the earliest is
+    // the run's own page
+    offsetsMs: [40, 90, 150],
+    // Open the extra lanes this long before the first lane fires
+    leadMs: 45000,
+    // How long each lane is watched for an accepted check-in after its click
+    resultTimeoutMs: 10000,
+    // Between checks of a lane's page
+    pollIntervalMs: 100,
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Open the extra lanes: one context per lane, from the session of `sourcePage`,
+ * on its own proxy session. A lane that fails to open reports its error and
+ * stays out of the race.
+ *
+ * @param {import('playwright').Page} sourcePage - Preloaded page whose session is copied
+ * @param {object} options
+ * @param {number} options.count - Extra lanes to open
+ * @param {{ newUrl: (sessionId?: string) => Promise<string|undefined> }|undefined} options.proxyConfiguration - None: lanes run without a proxy
+ * @param {string} options.sessionPrefix - Makes session IDs unique per reservation
+ * @param {object} options.contextOptions - Passed to `browser.newContext()`
+ * @param {(page: import('playwright').Page) => Promise<void>} options.prepare - Loads the check-in page and fills the form
+ * @returns {Promise<Array<{ index: number, context: object|null, page: object|null, proxy: string|null, error: string|null }>>}
+ */
+export async function openRaceLanes(sourcePage, { count, proxyConfiguration, sessionPrefix, contextOptions, prepare }) {
+    const storageState = await sourcePage.context().storageState();
+    const lanes = [];
+    // One at a time, so the lanes don't slow each other's page loads down
+    for (let index = 1; index <= count; index++) {
+        const lane = { index, context: null, page: null, proxy: null, error: null };
+        try {
+            // Apify session IDs allow [A-Za-z0-9._~] only
+            const sessionId = `${sessionPrefix}_lane${index}`.replace(/[^\w.~]/g, '_').slice(0, 50);
+            const proxyUrl = proxyConfiguration ? await proxyConfiguration.newUrl(sessionId) : null;
+            lane.proxy = proxyUrl ? describeProxy(proxyUrl) : null;
+            lane.context = await sourcePage.context().browser().newContext({
+                ...contextOptions,
+                storageState,
+                ...(proxyUrl && { proxy: toPlaywrightProxy(proxyUrl) }),
+            });
+            lane.page = await lane.context.newPage();
+            await prepare(lane.page);
+        } catch (error) {
+            lane.error = error.message;
+            await lane.context?.close().catch(() => {});
+            lane.context = null;
+            lane.page = null;
+        }
+        lanes.push(lane);
+    }
+    return lanes;
+}
+
+/**
+ * Fire every lane at `targetTime + offsetMs` and watch for the first accepted
+ * check-in.
+ *
+ * Times in the lane reports are corrected epoch ms. `click` and `wire` are the
+ * raw (local clock) click and request timing of the winner, or of the first
+ * lane if none was accepted, for the same submit timing as a single click.
+ *
+ * @param {Array<{ index: number, offsetMs: number, page: import('playwright').Page, proxy: string|null, close?: () => Promise<void> }>} lanes - Sorted by offset
+ * @param {object} options
+ * @param {number} options.targetTime - T-0 in corrected epoch ms
+ * @param {number} options.clockOffsetMs - Corrected minus local clock
+ * @param {number} options.spinMs - Busy-wait window before each click
+ * @param {string} options.urlPattern - Regex source of the check-in API request
+ * @param {number} options.timeoutMs - How long each lane is watched after its click
+ * @param {number} options.pollIntervalMs
+ * @returns {Promise<{ lanes: object[], winner: object|null, page: import('playwright').Page, click: object, wire: object|null }>}
+ */
+export async function fireRace(lanes, { targetTime, clockOffsetMs, spinMs, urlPattern, timeoutMs, pollIntervalMs }) {
+    const now = () => Date.now() + clockOffsetMs;
+    const corrected = (localMs) => (localMs === null || localMs === undefined ? null : localMs + clockOffsetMs);
+    let winner = null;
+
+    // One per lane, before any fires, so the winner can cancel the others
+    const states = lanes.map((lane) => ({
+        lane,
+        click: null,
+        wire: null,
+        report: {
+            lane: lane.index,
+            offsetMs: lane.offsetMs,
+            proxy: lane.proxy,
+            firedAt: null,
+            lateByMs: null,
+            sentAt: null,
+            responseAt: null,
+            status: null,
+            outcome: null,
+            winner: false,
+            cancelled: false,
+            error: null,
+        },
+    }));
+
+    const runLane = async (state) => {
+        const { lane, report } = state;
+        const watch = watchCheckinRequest(lane.page, { urlPattern, timeoutMs });
+        // Located and clicked inside the page (see retry.js)
+        state.click = await lane.page.evaluate(clickSubmitControl, { delay: Math.max(0, targetTime + lane.offsetMs - now()), spinMs })
+            .catch((error) => ({ error: error.message }));
+        if (state.click.error) {
+            watch.stop();
+            if (!report.cancelled) report.error = state.click.error;
+            return;
+        }
+        report.firedAt = corrected(state.click.clickAtMs);
+        report.lateByMs = state.click.lateByMs;
+
+        const wired = watch.result().then((wire) => {
+            state.wire = wire;
+            report.sentAt = corrected(wire?.sentAtMs);
+            report.responseAt = corrected(wire?.firstByteAtMs);
+            report.status = wire?.status ?? null;
+        });
+
+        const deadline = Date.now() + timeoutMs;
+        while (!winner && Date.now() < deadline) {
+            await sleep(pollIntervalMs);
+            try {
+                report.outcome = classifyCheckinPage(await lane.page.content()).outcome;
+            } catch {
+                // A navigation in flight can make content() throw; check again
+                continue;
+            }
+            if (!winner && ACCEPTED_OUTCOMES.includes(report.outcome)) {
+                winner = state;
+                report.winner = true;
+                // Cancel the lanes still waiting for their click; ignore the rest
+                for (const other of states) {
+                    if (other !== state && !other.click && other.lane.close) {
+                        other.report.cancelled = true;
+                        other.lane.close?.().catch(() => {});
+                    }
+                }
+            }
+        }
+        await wired;
+    };
+
+    await Promise.all(states.map(runLane));
+
+    const chosen = winner ?? states[0];
+    return {
+        lanes: states.map(({ report }) => report),
+        winner: winner && { lane: winner.report.lane, offsetMs: winner.report.offsetMs },
+        page: chosen.lane.page,
+        click: chosen.click,
+        wire: chosen.wire,
+    };
+}
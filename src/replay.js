@@ -0,0 +1,163 @@
+/**
+ * Request-replay submit mode
+ *
+ * Instead of clicking the SPA's check-in button at T-0 (and waiting for its
+ * JavaScript to build and send the request), capture the check-in API call
+ * once during preload with a dry retrieval, then fire that same request
+ * directly through the page's `request` context at the target instant. The
+ * context shares the browser's cookies, so the session carries over.
+ */
+
+import { classifyCheckinResponse, Outcome } from './classifier.js';
+
+export const DEFAULT_REPLAY_OPTIONS = Object.freeze({
+    // Matched (case-insensitive) against XHR/fetch URLs during dry retrieval
+    urlPattern: 'check-?in',
+    // One request per entry, fired at target + offset (ms)
+    offsetsMs: [0],
+    captureTimeoutMs: 15000,
+    responseTimeoutMs: 10000,
+});
+
+// Set by the request context itself; copying them would conflict
+const SKIPPED_HEADERS = new Set(['host', 'content-length', 'cookie', 'connection']);
+
+// Spin (instead of sleeping) for the last few ms before a deadline
+const SPIN_WINDOW_MS = 20;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Wait until `now()` reaches `targetTime`: sleep in chunks, then spin.
+ *
+ * @param {number} targetTime - Target in corrected epoch ms
+ * @param {() => number} now - Corrected clock
+ */
+async function waitUntil(targetTime, now) {
+    while (targetTime - now() > SPIN_WINDOW_MS) {
+        await sleep(Math.min(targetTime - now() - SPIN_WINDOW_MS, 1000));
+    }
+    while (now() < targetTime) {
+        // busy-wait for sub-ms precision
+    }
+}
+
+/**
+ * Predicate for the check-in API call: a non-GET XHR/fetch whose URL matches.
+ *
+ * @param {string} urlPattern - Regex source, matched case-insensitively
+ * @returns {(request: import('playwright').Request) => boolean}
+ */
+export function checkinApiMatcher(urlPattern) {
+    const pattern = new RegExp(urlPattern, 'i');
+    return (request) => ['xhr', 'fetch'].includes(request.resourceType())
+        && !['GET', 'OPTIONS'].includes(request.method())
+        && pattern.test(request.url());
+}
+
+/**
+ * Capture the check-in API request shape with a dry retrieval.
+ *
+ * @param {import('playwright').Page} page - Page with the form already filled
+ * @param {object} options
+ * @param {string} options.urlPattern - Regex source matched against request URLs
+ * @param {number} options.timeoutMs - How long to wait for the request
+ * @param {() => Promise<unknown>} options.trigger - Submits the form (e.g. clicks the button)
+ * @returns {Promise<{ template: { url: string, method: string, headers: object, postData: string|null }, dryRun: { status: number|null, classification: object } }>}
+ */
+export async function captureCheckinRequest(page, { urlPattern, timeoutMs, trigger }) {
+    const isCheckinApi = checkinApiMatcher(urlPattern);
+
+    const [request] = await Promise.all([
+        page.waitForRequest(isCheckinApi, { timeout: timeoutMs }),
+        trigger(),
+    ]);
+
+    const headers = Object.fromEntries(
+        Object.entries(await request.allHeaders())
+            .filter(([name]) => !name.startsWith(':') && !SKIPPED_HEADERS.has(name.toLowerCase())),
+    );
+
+    const response = await request.response();
+    const status = response ? response.status() : null;
+    const body = response ? await response.text().catch(() => '') : '';
+
+    return {
+        template: {
+            url: request.url(),
+            method: request.method(),
+            headers,
+            postData: request.postData(),
+        },
+        dryRun: {
+            status,
+            classification: classifyCheckinResponse({ status, body }),
+        },
+    };
+}
+
+/**
+ * Fire the captured request at `targetTime + offset` for every offset.
+ *
+ * Later shots are skipped once an earlier one has been accepted.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{ url: string, method: string, headers: object, postData: string|null }} template
+ * @param {object} options
+ * @param {number} options.targetTime - Target in corrected epoch ms
+ * @param {number[]} options.offsetsMs - Stagger offsets relative to the target
+ * @param {() => number} options.now - Corrected clock
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @returns {Promise<{ shots: object[], winner: object|null, classification: object|null, body: string|null }>}
+ */
+export async function fireReplayBurst(page, template, { targetTime, offsetsMs, now, timeoutMs }) {
+    const offsets = [...offsetsMs].sort((a, b) => a - b);
+    let accepted = null;
+
+    const fireShot = async (index, offsetMs) => {
+        const shot = { index, offsetMs, sentAt: null, receivedAt: null, status: null, outcome: null, error: null };
+        if (accepted) {
+            shot.skipped = true;
+            return shot;
+        }
+
+        try {
+            shot.sentAt = now();
+            const response = await page.request.fetch(template.url, {
+                method: template.method,
+                headers: template.headers,
+                data: template.postData ?? undefined,
+                timeout: timeoutMs,
+                failOnStatusCode: false,
+            });
+            shot.receivedAt = now();
+            shot.status = response.status();
+            shot.body = await response.text();
+            shot.classification = classifyCheckinResponse({ status: shot.status, body: shot.body });
+            shot.outcome = shot.classification.outcome;
+
+            if (!accepted && [Outcome.SUCCESS, Outcome.ALREADY_CHECKED_IN].includes(shot.outcome)) {
+                accepted = shot;
+            }
+        } catch (error) {
+            shot.error = error.message;
+        }
+        return shot;
+    };
+
+    await waitUntil(targetTime + offsets[0], now);
+    const shots = await Promise.all(offsets.map((offsetMs, index) => (index === 0
+        ? fireShot(index, offsetMs)
+        : sleep(offsetMs - offsets[0]).then(() => fireShot(index, offsetMs)))));
+
+    // Prefer the accepted shot; otherwise the last response we got back
+    const answered = shots.filter((shot) => shot.classification);
+    const winner = accepted || answered.sort((a, b) => a.receivedAt - b.receivedAt)[answered.length - 1] || null;
+
+    return {
+        shots: shots.map(({ body, classification, ...shot }) => shot),
+        winner: winner && { index: winner.index, offsetMs: winner.offsetMs, sentAt: winner.sentAt, receivedAt: winner.receivedAt },
+        classification: winner?.classification ?? null,
+        body: winner?.body ?? null,
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Reservation input handling
+ *
+ * Accepts either the legacy single-reservation input
+ * ({ confirmationNumber, firstName, lastName, checkinOpensAt }) or a
+ * `reservations` array of the same objects, and turns it into a list of
+ * reservations that each get their own browser context and result record.
+ *
+ * Instead of `checkinOpensAt`, a reservation may give `departureLocal` and
+ * `originAirport` (plus optional `checkinOffsetHours`); the opening instant is
+ * then derived from the airport's timezone. An explicit `checkinOpensAt` wins.
+ *
+ * Each field is validated (see `validation.js`) and names are normalized.
+ */
+
+import { maskConfirmationNumber, reservationScope } from './privacy.js';
+import { deriveCheckinOpensAt, DEFAULT_CHECKIN_OFFSET_HOURS } from './schedule.js';
+import {
+    assertNotPast,
+    DEFAULT_CHECKIN_GRACE_SECONDS,
+    FieldError,
+    normalizeName,
+    validateCheckinOpensAt,
+    validateConfirmationNumber,
+} from './validation.js';
+
+/**
+ * Normalize actor input into a list of reservation entries.
+ *
+ * Invalid entries are returned with an `error` (and the structured field
+ * `errors`) instead of throwing so that one bad reservation does not abort
+ * the others.
+ *
+ * @param {object} input - Actor input
+ * @param {object} [options]
+ * @param {() => number} [options.now] - Clock for the "already in the past" check
+ * @param {boolean} [options.maskKeys] - Key on the masked confirmation number (`xxxx23`, see privacy.js)
+ * @returns {Array<{ key: string, scope: string, index: number, confirmationNumber: string, firstName: string, lastName: string, checkinOpensAt: string, schedule: object, error: string|null, errors: object[] }>}
+ */
+export function normalizeReservations(input, { now = Date.now, maskKeys = false } = {}) {
+    const useArray = Array.isArray(input.reservations) && input.reservations.length > 0;
+    const entries = useArray ? input.reservations : [input];
+    const graceMs = (input.checkinGraceSeconds ?? DEFAULT_CHECKIN_GRACE_SECONDS) * 1000;
+
+    const seenKeys = new Map();
+
+    return entries.map((entry, index) => {
+        const reservation = {
+            index,
+            confirmationNumber: entry?.confirmationNumber ?? null,
+            firstName: entry?.firstName ?? null,
+            lastName: entry?.lastName ?? null,
+            checkinOpensAt: entry?.checkinOpensAt ?? null,
+            schedule: null,
+            error: null,
+            errors: [],
+        };
+
+        // Field paths as the user wrote them
+        const fieldPath = (field) => (useArray ? `reservations[${index}].${field}` : field);
+        const attempt = (fn) => {
+            try {
+                fn();
+            } catch (error) {
+                reservation.errors.push(error instanceof FieldError
+                    ? error.toJSON()
+                    : { field: fieldPath('checkinOpensAt'), code: 'format', message: error.message });
+            }
+        };
+
+        attempt(() => {
+            reservation.confirmationNumber = validateConfirmationNumber(reservation.confirmationNumber, fieldPath('confirmationNumber'));
+        });
+        if (entry?.normalizeNames !== false && input.normalizeNames !== false) {
+            const keepMiddleNames = entry?.keepMiddleNames ?? input.keepMiddleNames ?? false;
+            attempt(() => {
+                reservation.firstName = normalizeName(reservation.firstName, fieldPath('firstName'), { part: 'first', keepMiddleNames });
+            });
+            attempt(() => {
+                reservation.lastName = normalizeName(reservation.lastName, fieldPath('lastName'), { part: 'last' });
+            });
+        } else {
+            for (const field of ['firstName', 'lastName']) {
+                if (!reservation[field]) {
+                    reservation.errors.push({ field: fieldPath(field), code: 'required', message: 'Name is required' });
+                }
+            }
+        }
+
+        if (!reservation.checkinOpensAt && !(entry?.departureLocal && entry?.originAirport)) {
+            reservation.errors.push({
+                field: fieldPath('checkinOpensAt'),
+                code: 'required',
+                message: 'Either checkinOpensAt or departureLocal + originAirport is required',
+            });
+        } else {
+            attempt(() => resolveSchedule(reservation, entry, input, { fieldPath, graceMs, now }));
+        }
+
+        if (reservation.errors.length > 0) {
+            reservation.error = `Reservation #${index + 1}: ${reservation.errors.map((error) => `${error.field}: ${error.message}`).join('; ')}`;
+        }
+
+        // Key-value store keys must be unique per reservation, even when the
+        // same confirmation number is listed twice (e.g. two passengers on one PNR)
+        const plainKey = String(reservation.confirmationNumber || `reservation${index + 1}`)
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '');
+        const baseKey = maskKeys && reservation.confirmationNumber ? maskConfirmationNumber(plainKey) : plainKey;
+        const count = seenKeys.get(baseKey) || 0;
+        seenKeys.set(baseKey, count + 1);
+        reservation.key = count === 0 ? baseKey : `${baseKey}-${count + 1}`;
+        // Keys shared with other runs: never masked, so never shared by two reservations
+        const baseScope = reservationScope(reservation);
+        const scopeCount = seenKeys.get(baseScope) || 0;
+        seenKeys.set(baseScope, scopeCount + 1);
+        reservation.scope = scopeCount === 0 ? baseScope : `${baseScope}-${scopeCount + 1}`;
+
+        return reservation;
+    });
+}
+
+/**
+ * Fill in `checkinOpensAt` and `schedule` for a reservation.
+ *
+ * @param {object} reservation - Reservation being normalized (mutated)
+ * @param {object} entry - Raw reservation input
+ * @param {object} input - Full actor input (for run-wide defaults)
+ * @param {object} options
+ * @param {(field: string) => string} options.fieldPath - Maps a field name to its input path
+ * @param {number} options.graceMs - How far in the past the opening may be
+ * @param {() => number} options.now
+ */
+function resolveSchedule(reservation, entry, input, { fieldPath, graceMs, now }) {
+    if (reservation.checkinOpensAt) {
+        validateCheckinOpensAt(reservation.checkinOpensAt, fieldPath('checkinOpensAt'), { graceMs, now });
+        reservation.schedule = { source: 'explicit' };
+        return;
+    }
+
+    let derived;
+    try {
+        derived = deriveCheckinOpensAt({
+            departureLocal: entry.departureLocal,
+            originAirport: entry.originAirport,
+            offsetHours: entry.checkinOffsetHours ?? input.checkinOffsetHours ?? DEFAULT_CHECKIN_OFFSET_HOURS,
+        });
+    } catch (error) {
+        // Point at the field the schedule math choked on
+        const field = /airport/i.test(error.message) ? 'originAirport'
+            : /offset/i.test(error.message) ? 'checkinOffsetHours'
+                : 'departureLocal';
+        throw new FieldError(fieldPath(field), 'format', error.message);
+    }
+    assertNotPast(new Date(derived.checkinOpensAt).getTime(), fieldPath('departureLocal'), { graceMs, now });
+
+    reservation.checkinOpensAt = derived.checkinOpensAt;
+    reservation.schedule = {
+        source: 'departure',
+        departureLocal: entry.departureLocal,
+        originAirport: String(entry.originAirport).toUpperCase(),
+        departureAt: derived.departureAt,
+        timeZone: derived.timeZone,
+        offsetHours: derived.offsetHours,
+    };
+}
+
+/**
+ * Build a per-reservation key-value store key, e.g. `screenshot-initial-ABC123`
+ * (`screenshot-initial-xxxx23` with masked keys).
+ *
+ * @param {{ key: string }} reservation
+ * @param {string} name - Base key name
+ * @returns {string}
+ */
+export function storeKey(reservation, name) {
+    return `${name}-${reservation.key}`;
+}
@@ -0,0 +1,268 @@
+/**
+ * Post-submit retry policy
+ *
+ * After the scheduled submit, the result page is polled and the check-in is
+ * retried while it is not accepted yet, within a configurable window:
+ *
+ * - `too-early`: Southwest answered before check-in opened → click again
+ * - `form-reset`: the form is back with empty fields → refill, click again
+ * - `session-expired`: the session timed out → reload, refill, click again
+ * - `navigated-away`: the page left the check-in flow → reload, refill, click again
+ * - `pending`: the filled form shows no answer yet (e.g. a server error) →
+ *   keep checking, and click again once it has been quiet for a while
+ *
+ * Only an accepted check-in (`SUCCESS`, `ALREADY_CHECKED_IN`) or a final
+ * failure (not found, name mismatch, cancelled, documents required) ends the
+ * retries before the window does.
+ *
+ * Also holds the in-page helpers that locate and click the submit control and
+ * inspect the form. They run inside the browser via `page.evaluate()`, so
+ * they must stay self-contained (no imports, no outer variables).
+ */
+
+import { Outcome } from './classifier.js';
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+    // Stop retrying this long after the first submit
+    windowMs: 15000,
+    maxAttempts: 20,
+    // Delay before the first check, then grown by the backoff curve
+    initialDelayMs: 150,
+    // 'constant', 'linear' (initial × attempt) or 'exponential' (initial × factor^attempt)
+    backoff: 'exponential',
+    factor: 1.5,
+    maxDelayMs: 2000,
+    // Random ± spread added to every delay
+    jitterMs: 50,
+    // Click again when the filled form has shown no answer this long after
+    // the last click
+    pendingResubmitMs: 1000,
+});
+
+export const RetryTrigger = Object.freeze({
+    TOO_EARLY: 'too-early',
+    FORM_RESET: 'form-reset',
+    SESSION_EXPIRED: 'session-expired',
+    NAVIGATED_AWAY: 'navigated-away',
+    PENDING: 'pending',
+});
+
+// Outcomes that end the retries: the check-in went through, or it never will
+export const ACCEPTED_OUTCOMES = Object.freeze([Outcome.SUCCESS, Outcome.ALREADY_CHECKED_IN]);
+export const FINAL_FAILURE_OUTCOMES = Object.freeze([
+    Outcome.RESERVATION_NOT_FOUND,
+    Outcome.NAME_MISMATCH,
+    Outcome.CANCELLED,
+    Outcome.DOCUMENTS_REQUIRED,
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Delay before check number `attempt` (0-based) under a policy.
+ *
+ * @param {typeof DEFAULT_RETRY_POLICY} policy
+ * @param {number} attempt
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds
+ */
+export function retryDelayMs(policy, attempt, random = Math.random) {
+    const base = {
+        constant: policy.initialDelayMs,
+        linear: policy.initialDelayMs * (attempt + 1),
+        exponential: policy.initialDelayMs * policy.factor ** attempt,
+    }[policy.backoff] ?? policy.initialDelayMs;
+
+    const jitter = policy.jitterMs > 0 ? (random() * 2 - 1) * policy.jitterMs : 0;
+    return Math.max(0, Math.round(Math.min(base, policy.maxDelayMs) + jitter));
+}
+
+/**
+ * Why the check-in should be retried, or null if the page shows a final state
+ * (accepted or a final failure).
+ *
+ * @param {string} outcome - Classified outcome of the current page
+ * @param {{ onCheckinPage: boolean, fieldCount: number, emptyFields: number }} formState - From `inspectFormState()`
+ * @returns {string|null} A RetryTrigger value
+ */
+export function retryTrigger(outcome, formState) {
+    if (ACCEPTED_OUTCOMES.includes(outcome) || FINAL_FAILURE_OUTCOMES.includes(outcome)) return null;
+    if (outcome === Outcome.TOO_EARLY) return RetryTrigger.TOO_EARLY;
+    if (outcome === Outcome.SESSION_EXPIRED) return RetryTrigger.SESSION_EXPIRED;
+
+    if (formState.fieldCount > 0 && formState.emptyFields > 0) return RetryTrigger.FORM_RESET;
+    if (!formState.onCheckinPage) return RetryTrigger.NAVIGATED_AWAY;
+    // Still on the filled form (or between renders) with no answer yet
+    return RetryTrigger.PENDING;
+}
+
+/**
+ * Check the page after a submit and retry until it shows a final state, the
+ * window closes or the attempts run out.
+ *
+ * `inspect` may throw while a navigation is in flight; the page is checked
+ * again after the next delay. `resubmit` does what the trigger needs (reload,
+ * refill, click) and throws if it could not; the error is recorded on the
+ * attempt and the checks go on.
+ *
+ * @param {typeof DEFAULT_RETRY_POLICY} policy
+ * @param {object} hooks
+ * @param {() => Promise<{ outcome: string, formState: { onCheckinPage: boolean, fieldCount: number, emptyFields: number, url?: string } }>} hooks.inspect
+ * @param {(trigger: string) => Promise<void>} hooks.resubmit
+ * @param {(attempt: object) => void} [hooks.onRetry] - Before each resubmit
+ * @param {() => number} [hooks.now] - Epoch ms for attempt timestamps and the window
+ * @param {(ms: number) => Promise<void>} [hooks.wait]
+ * @returns {Promise<{ outcome: string|null, final: boolean, checks: number, elapsedMs: number, lastTrigger: string|null, attempts: Array<{ attempt: number, at: string, trigger: string, outcome: string, url: string|null, error: string|null }> }>}
+ */
+export async function retryUntilFinal(policy, { inspect, resubmit, onRetry = () => {}, now = Date.now, wait = sleep }) {
+    const startedAt = now();
+    // The scheduled submit is the first click
+    let lastSubmitAt = startedAt;
+    const attempts = [];
+    let outcome = null;
+    let lastTrigger = null;
+    let check = 0;
+
+    while (true) {
+        await wait(retryDelayMs(policy, check));
+        check++;
+
+        let formState;
+        try {
+            ({ outcome, formState } = await inspect());
+        } catch {
+            if (now() - startedAt >= policy.windowMs) break;
+            continue;
+        }
+
+        const trigger = retryTrigger(outcome, formState);
+        if (!trigger) {
+            return { outcome, final: true, checks: check, elapsedMs: now() - startedAt, lastTrigger, attempts };
+        }
+        lastTrigger = trigger;
+
+        if (attempts.length >= policy.maxAttempts || now() - startedAt >= policy.windowMs) break;
+        // The answer to the last click may still be on its way
+        if (trigger === RetryTrigger.PENDING && now() - lastSubmitAt < policy.pendingResubmitMs) continue;
+
+        const attempt = {
+            attempt: attempts.length + 1,
+            at: new Date(now()).toISOString(),
+            trigger,
+            outcome,
+            url: formState.url ?? null,
+            error: null,
+        };
+        attempts.push(attempt);
+        onRetry(attempt);
+        try {
+            await resubmit(trigger);
+        } catch (error) {
+            attempt.error = error.message;
+        }
+        lastSubmitAt = now();
+    }
+
+    return { outcome, final: false, checks: check, elapsedMs: now() - startedAt, lastTrigger, attempts };
+}
+
+/**
+ * In-page: locate the submit control and click it, optionally after `delay` ms.
+ *
+ * With `spinMs`, the timer fires that much early and the last stretch is a
+ * busy-wait on `performance.now()`, since browser timers routinely fire a
+ * few ms late.
+ *
+ * Tries, in order: a submit button inside a form, any button whose text,
+ * value or aria-label says "check in", any submit button, the yellow CTA.
+ * Only visible, enabled controls count. If the SPA re-rendered the control
+ * while the click was scheduled, it is located again at click time.
+ *
+ * @param {{ delay?: number, spinMs?: number }} [options]
+ * `scheduledAtMs` and `clickAtMs` are `performance.timeOrigin + performance.now()`,
+ * i.e. epoch ms with sub-millisecond precision, for the event timeline.
+ *
+ * `lateByMs` is how far after the intended instant the click ran.
+ *
+ * @returns {Promise<{ clicked?: boolean, via?: string, delay?: number, scheduledAt?: string, scheduledAtMs?: number, clickTime?: string, clickAtMs?: number, lateByMs?: number, error?: string }>}
+ */
+export function clickSubmitControl({ delay = 0, spinMs = 0 } = {}) {
+    const usable = (element) => element && element.isConnected && !element.disabled && element.getClientRects().length > 0;
+    const strategies = [
+        ['form-submit', () => document.querySelectorAll('form button[type="submit"], form input[type="submit"]')],
+        ['check-in-label', () => Array.from(document.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]'))
+            .filter((element) => /check\s*-?\s*in/i.test(`${element.textContent || ''} ${element.value || ''} ${element.getAttribute('aria-label') || ''}`))],
+        ['submit', () => document.querySelectorAll('button[type="submit"], input[type="submit"]')],
+        ['yellow-button', () => document.querySelectorAll('.button--yellow')],
+    ];
+    const locate = () => {
+        for (const [via, query] of strategies) {
+            const element = Array.from(query()).find(usable);
+            if (element) return { element, via };
+        }
+        return null;
+    };
+
+    return new Promise((resolve) => {
+        const found = locate();
+        if (!found) {
+            resolve({ error: 'Submit control not found' });
+            return;
+        }
+
+        // Record the scheduling and actual click timestamps
+        const scheduledAt = new Date().toISOString();
+        const scheduledAtMs = performance.timeOrigin + performance.now();
+        const fireAt = performance.now() + Math.max(0, delay);
+        const performClick = () => {
+            const target = usable(found.element) ? found : locate();
+            if (!target) {
+                resolve({ error: 'Submit control disappeared before the click', scheduledAt, scheduledAtMs });
+                return;
+            }
+            const clickTime = new Date().toISOString();
+            const clickNow = performance.now();
+            target.element.click();
+            resolve({
+                clicked: true,
+                via: target.via,
+                delay,
+                scheduledAt,
+                scheduledAtMs,
+                clickTime,
+                clickAtMs: performance.timeOrigin + clickNow,
+                lateByMs: Math.round((clickNow - fireAt) * 1000) / 1000,
+            });
+        };
+        const spinThenClick = () => {
+            while (performance.now() < fireAt) {
+                // busy-wait for sub-ms precision
+            }
+            performClick();
+        };
+
+        if (delay <= 0) {
+            performClick();
+        } else if (delay <= spinMs) {
+            spinThenClick();
+        } else {
+            setTimeout(spinThenClick, delay - spinMs);
+        }
+    });
+}
+
+/**
+ * In-page: is the check-in form showing, and are its fields filled?
+ *
+ * @returns {{ url: string, onCheckinPage: boolean, fieldCount: number, emptyFields: number }}
+ */
+export function inspectFormState() {
+    const fields = Array.from(document.querySelectorAll('form input[type="text"], form input:not([type])'))
+        .filter((input) => input.getClientRects().length > 0);
+    return {
+        url: location.href,
+        onCheckinPage: /check-?in/i.test(location.pathname),
+        fieldCount: fields.length,
+        emptyFields: fields.filter((input) => input.value.trim() === '').length,
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * Persistent run state and lead-time scheduling
+ *
+ * A run may start hours before check-in opens. Instead of holding a browser
+ * open all that time, the actor idles until `preloadLeadSeconds` before the
+ * opening and only then launches the browser and preloads.
+ *
+ * Everything needed to resume after an Apify migration or restart is kept in
+ * the `RUN-STATE` record of the run's key-value store: each reservation's
+ * phase, its pre-flight report, its drift-check history and (once done) its
+ * result, plus the clock sync results. On restart the actor picks up from there: finished
+ * reservations are not submitted again, a recent clock sync is reused and a
+ * reservation caught mid-preload or mid-submit is preloaded again right away.
+ */
+
+export const RUN_STATE_KEY = 'RUN-STATE';
+
+export const DEFAULT_PRELOAD_LEAD_SECONDS = 180;
+
+// Handler budget on top of the wait itself: page load, form fill, proxy
+// switch, submit and result page
+export const HANDLER_OVERHEAD_SECS = 300;
+
+export const RunPhase = Object.freeze({
+    IDLE: 'idle',
+    PRELOAD: 'preload',
+    WAITING: 'waiting',
+    SUBMITTING: 'submitting',
+    DONE: 'done',
+});
+
+// Keep the persisted record small: older drift checks are dropped
+const MAX_DRIFT_HISTORY = 200;
+// Log roughly this often while idling
+const IDLE_LOG_INTERVAL_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Load (or start) the run state.
+ *
+ * @param {{ getValue: Function, setValue: Function }} store - Key-value store
+ * @returns {Promise<{ state: object, resumed: boolean, save: () => Promise<void>, phaseOf: Function, setPhase: Function, driftChecksOf: Function, recordDrift: Function, resultOf: Function, recordResult: Function, preflightOf: Function, recordPreflight: Function, setClock: Function }>}
+ */
+export async function openRunState(store) {
+    const previous = await store.getValue(RUN_STATE_KEY);
+    const state = previous ?? {
+        startedAt: new Date().toISOString(),
+        restarts: -1,
+        clock: null,
+        reservations: {},
+    };
+    state.restarts += 1;
+
+    const entry = (key) => {
+        state.reservations[key] ??= { phase: RunPhase.IDLE, phaseAt: null, driftChecks: [], result: null, preflight: null };
+        return state.reservations[key];
+    };
+
+    const save = async () => {
+        state.updatedAt = new Date().toISOString();
+        await store.setValue(RUN_STATE_KEY, state);
+    };
+
+    return {
+        state,
+        resumed: Boolean(previous),
+        save,
+        /** Phase of a reservation as persisted by an earlier process (or IDLE). */
+        phaseOf: (key) => entry(key).phase,
+        setPhase: async (key, phase) => {
+            Object.assign(entry(key), { phase, phaseAt: new Date().toISOString() });
+            await save();
+        },
+        driftChecksOf: (key) => entry(key).driftChecks,
+        recordDrift: async (key, check) => {
+            const { driftChecks } = entry(key);
+            driftChecks.push(check);
+            driftChecks.splice(0, driftChecks.length - MAX_DRIFT_HISTORY);
+            await save();
+        },
+        resultOf: (key) => entry(key).result,
+        recordResult: async (key, result) => {
+            Object.assign(entry(key), { phase: RunPhase.DONE, phaseAt: new Date().toISOString(), result });
+            await save();
+        },
+        /** Pre-flight report from an earlier process (or null): not repeated on resume. */
+        preflightOf: (key) => entry(key).preflight ?? null,
+        recordPreflight: async (key, report) => {
+            entry(key).preflight = report;
+            await save();
+        },
+        setClock: async (clock) => {
+            state.clock = clock;
+            await save();
+        },
+    };
+}
+
+/**
+ * Sleep (without a browser) until `targetMs`, logging now and then.
+ *
+ * @param {number} targetMs - Wake-up time in corrected epoch ms
+ * @param {object} options
+ * @param {() => number} options.now - Corrected clock
+ * @param {(msRemaining: number) => void} [options.onTick] - Called before each sleep chunk
+ */
+export async function idleUntil(targetMs, { now, onTick = () => {} }) {
+    while (now() < targetMs) {
+        const msRemaining = targetMs - now();
+        onTick(msRemaining);
+        await sleep(Math.min(msRemaining, IDLE_LOG_INTERVAL_MS));
+    }
+}
+
+/**
+ * Request handler timeout for reservations opening at `latestSubmitMs`: the
+ * wait until then plus the handler overhead.
+ *
+ * @param {number} latestSubmitMs - Latest submit time in the batch (epoch ms)
+ * @param {number} nowMs
+ * @returns {number} Seconds
+ */
+export function handlerTimeoutSecs(latestSubmitMs, nowMs) {
+    return Math.max(0, Math.ceil((latestSubmitMs - nowMs) / 1000)) + HANDLER_OVERHEAD_SECS;
+}
@@ -0,0 +1,122 @@
+/**
+ * Check-in schedule math
+ *
+ * Derives the exact check-in opening instant from a flight's local departure
+ * time and origin airport, using the IANA timezone database built into Intl
+ * so DST transitions are handled correctly.
+ */
+
+import { resolveAirportTimezone } from './airports.js';
+
+// Southwest opens check-in 24 hours before departure
+export const DEFAULT_CHECKIN_OFFSET_HOURS = 24;
+
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * UTC offset (ms) of a timezone at a given instant.
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {number} utcMs - Instant in epoch milliseconds
+ * @returns {number} Offset in ms (local wall-clock minus UTC)
+ */
+function getTimezoneOffsetMs(timeZone, utcMs) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(new Date(utcMs));
+
+    const get = (type) => Number(parts.find((part) => part.type === type).value);
+    const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+    return wallClockAsUtc - (utcMs - (utcMs % 1000));
+}
+
+/**
+ * Wall-clock time of an instant in a timezone, the inverse of `zonedTimeToUtc()`.
+ *
+ * @param {number} utcMs - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. `2025-12-24T14:35`
+ */
+export function utcToZonedTime(utcMs, timeZone) {
+    return new Date(utcMs + getTimezoneOffsetMs(timeZone, utcMs)).toISOString().slice(0, 16);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an epoch instant.
+ *
+ * Ambiguous times (DST fall-back) resolve to the earlier instant; times that
+ * do not exist (DST spring-forward gap) resolve forward past the gap.
+ *
+ * @param {string} localDateTime - Wall-clock time, e.g. `2025-12-24T14:35`
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+    const match = LOCAL_DATETIME_PATTERN.exec(String(localDateTime).trim());
+    if (!match) {
+        throw new Error(`Invalid local date-time "${localDateTime}" (expected YYYY-MM-DDTHH:mm without a timezone)`);
+    }
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    // Date.UTC() rolls out-of-range fields over (February 30th becomes March 2nd)
+    const daysInMonth = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    const outOfRange = Number(month) < 1 || Number(month) > 12 ? `there is no month ${month}`
+        : Number(day) < 1 || Number(day) > daysInMonth ? `${year}-${month} has no day ${day}`
+            : Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59 ? `${hour}:${minute}:${second.padStart(2, '0')} is not a time of day`
+                : null;
+    if (outOfRange) {
+        throw new Error(`Invalid local date-time "${localDateTime}" (${outOfRange})`);
+    }
+    const wallClockMs = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+    // Two passes: the offset at the first guess may differ from the offset at
+    // the real instant when a DST transition lies between them
+    const firstOffset = getTimezoneOffsetMs(timeZone, wallClockMs);
+    const guess = wallClockMs - firstOffset;
+    const secondOffset = getTimezoneOffsetMs(timeZone, guess);
+    if (secondOffset === firstOffset) return guess;
+
+    const candidate = wallClockMs - secondOffset;
+    return getTimezoneOffsetMs(timeZone, candidate) === secondOffset
+        ? Math.min(guess, candidate)
+        : Math.max(guess, candidate);
+}
+
+/**
+ * Derive the check-in opening instant from departure time and origin airport.
+ *
+ * @param {object} options
+ * @param {string} options.departureLocal - Local wall-clock departure time at the origin
+ * @param {string} options.originAirport - IATA code of the origin airport
+ * @param {number} [options.offsetHours=24] - Hours before departure that check-in opens
+ * @returns {{ checkinOpensAt: string, departureAt: string, timeZone: string, offsetHours: number }}
+ */
+export function deriveCheckinOpensAt({ departureLocal, originAirport, offsetHours = DEFAULT_CHECKIN_OFFSET_HOURS }) {
+    const timeZone = resolveAirportTimezone(originAirport);
+    if (!timeZone) {
+        throw new Error(`Unknown origin airport "${originAirport}" (not in the bundled airport table)`);
+    }
+
+    const hours = Number(offsetHours);
+    if (!Number.isFinite(hours) || hours < 0) {
+        throw new Error(`Invalid check-in offset "${offsetHours}" (expected a non-negative number of hours)`);
+    }
+
+    const departureMs = zonedTimeToUtc(departureLocal, timeZone);
+    const opensAtMs = departureMs - hours * 3600000;
+
+    return {
+        checkinOpensAt: new Date(opensAtMs).toISOString(),
+        departureAt: new Date(departureMs).toISOString(),
+        timeZone,
+        offsetHours: hours,
+    };
+}
@@ -0,0 +1,242 @@
+/**
+ * Selector profiles for the check-in form
+ *
+ * The form fields are located by what they are, not by position. Each field
+ * has an ordered list of matchers: `id`, `name`, `css`, `label` (the text of
+ * the field's `<label>` or `aria-labelledby`), `aria` (`aria-label`) and
+ * `placeholder`. The text matchers are case-insensitive regular expressions.
+ * The first matcher that finds exactly one visible, enabled input wins. A
+ * matcher that finds several is skipped as ambiguous. If no matcher finds a
+ * unique input, or two fields land on the same input, the fill fails and the
+ * error names every candidate.
+ *
+ * The `selectorProfile` input overrides the default per field, so a site
+ * change can be handled without a deploy.
+ *
+ * The in-page helpers run inside the browser via `page.evaluate()`, so they
+ * must stay self-contained (no imports, no outer variables).
+ */
+
+export const FORM_FIELDS = ['confirmationNumber', 'firstName', 'lastName'];
+
+const MATCHER_KINDS = ['id', 'name', 'css', 'label', 'aria', 'placeholder'];
+const PATTERN_KINDS = ['label', 'aria', 'placeholder'];
+
+// Attribute set on each located input so Playwright can fill it by selector
+const FIELD_ATTRIBUTE = 'data-checkin-field';
+
+export const DEFAULT_SELECTOR_PROFILE = Object.freeze({
+    name: 'southwest-default',
+    fields: {
+        confirmationNumber: [
+            { id: 'confirmationNumber' },
+            { name: 'confirmationNumber' },
+            { name: 'recordLocator' },
+            { label: 'confirmation' },
+            { aria: 'confirmation' },
+            { placeholder: 'confirmation' },
+        ],
+        firstName: [
+            { id: 'passengerFirstName' },
+            { id: 'firstName' },
+            { name: 'passengerFirstName' },
+            { name: 'firstName' },
+            { label: 'first\\s*name' },
+            { aria: 'first\\s*name' },
+            { placeholder: 'first\\s*name' },
+        ],
+        lastName: [
+            { id: 'passengerLastName' },
+            { id: 'lastName' },
+            { name: 'passengerLastName' },
+            { name: 'lastName' },
+            { label: 'last\\s*name' },
+            { aria: 'last\\s*name' },
+            { placeholder: 'last\\s*name' },
+        ],
+    },
+});
+
+/**
+ * Apply a `selectorProfile` input on top of a profile. Each field given in
+ * the override replaces that field's matcher list; other fields keep theirs.
+ *
+ * @param {typeof DEFAULT_SELECTOR_PROFILE} base
+ * @param {{ name?: string, fields?: object }} [override]
+ */
+export function mergeSelectorProfile(base, override) {
+    if (!override) return base;
+    return {
+        name: override.name ?? `${base.name}+input`,
+        fields: { ...base.fields, ...override.fields },
+    };
+}
+
+/**
+ * Check a `selectorProfile` input.
+ *
+ * @param {unknown} profile
+ * @param {string} field - Input path for errors
+ * @returns {Array<{ field: string, code: string, message: string }>}
+ */
+export function validateSelectorProfile(profile, field) {
+    if (profile === undefined || profile === null) return [];
+    if (typeof profile !== 'object' || Array.isArray(profile)) {
+        return [{ field, code: 'type', message: 'Must be an object' }];
+    }
+
+    const errors = [];
+    if (profile.name !== undefined && typeof profile.name !== 'string') {
+        errors.push({ field: `${field}.name`, code: 'type', message: 'Must be a string' });
+    }
+    if (profile.fields === undefined) return errors;
+    if (typeof profile.fields !== 'object' || profile.fields === null || Array.isArray(profile.fields)) {
+        return [...errors, { field: `${field}.fields`, code: 'type', message: 'Must be an object' }];
+    }
+
+    for (const [name, matchers] of Object.entries(profile.fields)) {
+        const path = `${field}.fields.${name}`;
+        if (!FORM_FIELDS.includes(name)) {
+            errors.push({ field: path, code: 'enum', message: `Unknown form field; expected one of: ${FORM_FIELDS.join(', ')}` });
+            continue;
+        }
+        if (!Array.isArray(matchers) || matchers.length === 0) {
+            errors.push({ field: path, code: 'type', message: 'Must be a non-empty array of matchers' });
+            continue;
+        }
+        matchers.forEach((matcher, index) => {
+            const kinds = matcher && typeof matcher === 'object' ? Object.keys(matcher) : [];
+            if (kinds.length !== 1 || !MATCHER_KINDS.includes(kinds[0]) || typeof matcher[kinds[0]] !== 'string' || matcher[kinds[0]] === '') {
+                errors.push({ field: `${path}[${index}]`, code: 'format', message: `Must be one of { ${MATCHER_KINDS.join(' | ')}: "<non-empty string>" }` });
+                return;
+            }
+            if (PATTERN_KINDS.includes(kinds[0])) {
+                try {
+                    new RegExp(matcher[kinds[0]], 'i');
+                } catch (error) {
+                    errors.push({ field: `${path}[${index}]`, code: 'format', message: error.message });
+                }
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Playwright selector for a field located by `locateFormFields()`.
+ *
+ * @param {string} field - One of FORM_FIELDS
+ */
+export function fieldSelector(field) {
+    return `[${FIELD_ATTRIBUTE}="${field}"]`;
+}
+
+/**
+ * Fields whose filled value differs from what was typed. Case and
+ * surrounding whitespace are ignored, since some forms upper-case as you type.
+ *
+ * @param {Record<string, string>} expected
+ * @param {Record<string, string|null>} actual - From `readFormFields()`
+ * @returns {Array<{ field: string, expected: string, actual: string|null }>}
+ */
+export function verifyFilledValues(expected, actual) {
+    const normalize = (value) => String(value ?? '').trim().toUpperCase();
+    return Object.entries(expected)
+        .filter(([field, value]) => normalize(actual[field]) !== normalize(value))
+        .map(([field, value]) => ({ field, expected: value, actual: actual[field] ?? null }));
+}
+
+/**
+ * In-page: locate every profile field and tag it with `data-checkin-field`.
+ *
+ * @param {{ name: string, fields: Record<string, object[]> }} profile
+ * @returns {{ profile: string, fields: Record<string, { via: string, tag: string }>, errors: string[] }}
+ */
+export function locateFormFields(profile) {
+    const attribute = 'data-checkin-field';
+    const usable = (element) => element.isConnected && !element.disabled && !element.readOnly
+        && element.type !== 'hidden' && element.getClientRects().length > 0;
+    const inputs = Array.from(document.querySelectorAll('input, textarea'))
+        .filter((element) => !['submit', 'button', 'checkbox', 'radio', 'file', 'image', 'reset'].includes(element.type))
+        .filter(usable);
+
+    const labelText = (element) => {
+        const labels = Array.from(element.labels || []).map((label) => label.textContent);
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+            .map((id) => document.getElementById(id)?.textContent || '');
+        return [...labels, ...labelledBy].join(' ');
+    };
+    const describe = (element) => {
+        const label = labelText(element).replace(/\s+/g, ' ').trim();
+        return `<${element.tagName.toLowerCase()}${element.id ? ` id="${element.id}"` : ''}${element.name ? ` name="${element.name}"` : ''}${label ? ` label="${label}"` : ''}>`;
+    };
+    const matches = (matcher) => {
+        const [kind, value] = Object.entries(matcher)[0];
+        if (kind === 'css') {
+            let selected;
+            try {
+                selected = new Set(document.querySelectorAll(value));
+            } catch {
+                throw new Error(`css:${value} is not a valid selector`);
+            }
+            return inputs.filter((element) => selected.has(element));
+        }
+        const pattern = ['label', 'aria', 'placeholder'].includes(kind) ? new RegExp(value, 'i') : null;
+        return inputs.filter((element) => ({
+            id: () => element.id === value,
+            name: () => element.name === value,
+            label: () => pattern.test(labelText(element)),
+            aria: () => pattern.test(element.getAttribute('aria-label') || ''),
+            placeholder: () => pattern.test(element.getAttribute('placeholder') || ''),
+        })[kind]());
+    };
+
+    for (const element of document.querySelectorAll(`[${attribute}]`)) {
+        element.removeAttribute(attribute);
+    }
+
+    const fields = {};
+    const errors = [];
+    const taken = new Map();
+    for (const [field, matchers] of Object.entries(profile.fields)) {
+        const ambiguous = [];
+        let found = null;
+        for (const matcher of matchers) {
+            const [kind, value] = Object.entries(matcher)[0];
+            const candidates = matches(matcher);
+            if (candidates.length === 1) {
+                found = { element: candidates[0], via: `${kind}:${value}` };
+                break;
+            }
+            if (candidates.length > 1) {
+                ambiguous.push(`${kind}:${value} matched ${candidates.map(describe).join(', ')}`);
+            }
+        }
+
+        if (!found) {
+            errors.push(ambiguous.length > 0
+                ? `${field} is ambiguous (${ambiguous.join('; ')})`
+                : `${field} not found (tried ${matchers.map((matcher) => Object.entries(matcher)[0].join(':')).join(', ')})`);
+            continue;
+        }
+        if (taken.has(found.element)) {
+            errors.push(`${field} and ${taken.get(found.element)} both matched ${describe(found.element)}`);
+            continue;
+        }
+        taken.set(found.element, field);
+        found.element.setAttribute(attribute, field);
+        fields[field] = { via: found.via, tag: describe(found.element) };
+    }
+
+    return { profile: profile.name, fields, errors };
+}
+
+/**
+ * In-page: current values of the inputs tagged by `locateFormFields()`.
+ *
+ * @returns {Record<string, string>}
+ */
+export function readFormFields() {
+    return Object.fromEntries(Array.from(document.querySelectorAll('[data-checkin-field]'))
+        .map((element) => [element.getAttribute('data-checkin-field'), element.value]));
+}
@@ -0,0 +1,459 @@
+/**
+ * Local Southwest check-in simulator
+ *
+ * A small HTTP server that mimics the parts of southwest.com the actor talks
+ * to, so the whole preload/wait/submit flow can be rehearsed offline:
+ *
+ * - `HEAD /` with a `Date` header (for time sync and pre-warming)
+ * - `GET /air/check-in/index.html`: a check-in form with the same field
+ *   layout (confirmation number, first name, last name, "Check in" button)
+ *   that submits via fetch like the real SPA and renders the result
+ * - `POST /api/air-checkin/page/air/check-in`: answers "too early" until the
+ *   reservation's opening instant, then assigns boarding positions in order
+ * - `GET /air/manage-reservation/index.html` and
+ *   `POST /api/air-misc/page/air/manage-reservation/view`: the trip page,
+ *   listing the reservation's flight (number, route, local departure)
+ *
+ * Latency, server errors, clock skew and "already checked in" / "not found" /
+ * name-mismatch scenarios can be injected per simulator or per reservation.
+ *
+ * Run standalone with `npm run simulator` (see `--help`), or start it
+ * in-process with `startSimulator()`; the actor does the latter when `dryRun`
+ * is set.
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { resolveAirportTimezone } from './airports.js';
+import { DEFAULT_CHECKIN_OFFSET_HOURS, utcToZonedTime, zonedTimeToUtc } from './schedule.js';
+
+export const CHECKIN_API_PATH = '/api/air-checkin/page/air/check-in';
+export const TRIP_API_PATH = '/api/air-misc/page/air/manage-reservation/view';
+
+export const Scenario = Object.freeze({
+    NORMAL: 'normal',
+    ALREADY_CHECKED_IN: 'already-checked-in',
+    NOT_FOUND: 'not-found',
+    NAME_MISMATCH: 'name-mismatch',
+});
+
+const MESSAGES = {
+    tooEarly: "We're sorry, it's too early to check in for this flight. Come back 24 hours before departure.",
+    notFound: "We can't find a reservation with that confirmation number. Please verify your information and try again.",
+    nameMismatch: 'The passenger name entered does not match our records for this confirmation number.',
+    alreadyCheckedIn: 'You have already checked in for this flight.',
+    serverError: 'Service temporarily unavailable. Please try again.',
+};
+
+const CHECKIN_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Check In | Southwest Airlines (simulator)</title>
+</head>
+<body>
+<main class="page-content">
+  <h1 class="heading">Check in</h1>
+  <form class="air-check-in-search" id="checkin-form">
+    <label for="confirmationNumber">Confirmation #</label>
+    <input id="confirmationNumber" name="recordLocator" type="text" maxlength="6">
+    <label for="passengerFirstName">First name</label>
+    <input id="passengerFirstName" name="firstName" type="text">
+    <label for="passengerLastName">Last name</label>
+    <input id="passengerLastName" name="lastName" type="text">
+    <button type="submit" class="button--yellow">Check in</button>
+  </form>
+  <div id="checkin-result"></div>
+</main>
+<script>
+  const escape = (s) => String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  document.getElementById('checkin-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const target = document.getElementById('checkin-result');
+    const response = await fetch('${CHECKIN_API_PATH}', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        recordLocator: form.recordLocator.value,
+        firstName: form.firstName.value,
+        lastName: form.lastName.value,
+      }),
+    });
+    const data = await response.json().catch(() => ({ message: 'Unexpected response' }));
+    const page = data.checkInConfirmationPage;
+    let html = '';
+    if (data.message) {
+      html += '<div class="message_error" role="alert">' + escape(data.message) + '</div>';
+    }
+    if (page) {
+      form.remove();
+      html += '<h1 class="heading">You\\'re checked in!</h1>';
+      for (const flight of page.flights) {
+        html += '<div class="air-check-in-flight-summary"><span class="flight-number">Flight # ' + escape(flight.flightNumber)
+          + '</span> <span class="flight-gate">Gate ' + escape(flight.gate) + '</span></div>';
+      }
+      html += '<ul class="air-check-in-passenger-list">';
+      for (const traveler of page.travelers) {
+        html += '<li class="air-check-in-passenger-item">'
+          + '<span class="air-check-in-passenger-item--information-name">' + escape(traveler.name) + '</span>'
+          + '<span class="air-check-in-boarding-position--group">' + escape(traveler.boardingGroup) + '</span>'
+          + '<span class="air-check-in-boarding-position--position">' + escape(traveler.boardingPosition) + '</span>'
+          + '</li>';
+      }
+      html += '</ul>';
+    }
+    target.innerHTML = html;
+  });
+</script>
+</body>
+</html>
+`;
+
+const TRIP_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Manage Reservation | Southwest Airlines (simulator)</title>
+</head>
+<body>
+<main class="page-content">
+  <h1 class="heading">View/Manage reservation</h1>
+  <form class="manage-reservation-search" id="trip-form">
+    <label for="confirmationNumber">Confirmation #</label>
+    <input id="confirmationNumber" name="recordLocator" type="text" maxlength="6">
+    <label for="passengerFirstName">First name</label>
+    <input id="passengerFirstName" name="firstName" type="text">
+    <label for="passengerLastName">Last name</label>
+    <input id="passengerLastName" name="lastName" type="text">
+    <button type="submit" class="button--yellow">Search</button>
+  </form>
+  <div id="trip-result"></div>
+</main>
+<script>
+  const escape = (s) => String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  document.getElementById('trip-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const target = document.getElementById('trip-result');
+    const response = await fetch('${TRIP_API_PATH}', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        recordLocator: form.recordLocator.value,
+        firstName: form.firstName.value,
+        lastName: form.lastName.value,
+      }),
+    });
+    const data = await response.json().catch(() => ({ message: 'Unexpected response' }));
+    const page = data.viewReservationViewPage;
+    let html = '';
+    if (data.message) {
+      html += '<div class="message_error" role="alert">' + escape(data.message) + '</div>';
+    }
+    if (page) {
+      form.remove();
+      html += '<h2 class="heading">Trip to ' + escape(page.flights[page.flights.length - 1].destinationAirport) + '</h2>';
+      for (const flight of page.flights) {
+        html += '<div class="reservation-flight-segment">'
+          + '<span class="flight-number">Flight # ' + escape(flight.flightNumber) + '</span> '
+          + '<span class="flight-origin" data-airport-code="' + escape(flight.originAirport) + '">' + escape(flight.originAirport) + '</span> to '
+          + '<span class="flight-destination" data-airport-code="' + escape(flight.destinationAirport) + '">' + escape(flight.destinationAirport) + '</span> '
+          + '<span class="flight-departure">Departs <time datetime="' + escape(flight.departureLocal) + '">' + escape(flight.departureLocal.replace('T', ' ')) + '</time></span>'
+          + '</div>';
+      }
+    }
+    target.innerHTML = html;
+  });
+</script>
+</body>
+</html>
+`;
+
+const HOME_PAGE = '<!DOCTYPE html><html><head><title>Southwest Airlines (simulator)</title></head><body><a href="/air/check-in/index.html">Check in</a></body></html>';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Boarding position label for the n-th passenger to check in (0-based).
+ *
+ * @param {number} n
+ * @returns {{ boardingGroup: string, boardingPosition: number }}
+ */
+function positionFor(n) {
+    const group = ['A', 'B', 'C'][Math.min(2, Math.floor(n / 60))];
+    return { boardingGroup: group, boardingPosition: group === 'C' ? n - 119 : (n % 60) + 1 };
+}
+
+// A request's JSON body; anything but a JSON object is an empty submission
+async function readJsonBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    let body = null;
+    try {
+        body = JSON.parse(raw || '{}');
+    } catch {
+        // treated as an empty submission
+    }
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+}
+
+/**
+ * Start the simulator.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port to listen on (0 = ephemeral)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string|number} [options.opensAt] - Default opening instant for reservations without one (default: now)
+ * @param {number|[number, number]} [options.latencyMs=0] - Added to every check-in API response (fixed or [min, max])
+ * @param {number} [options.errorRate=0] - Probability (0-1) that a check-in API call returns a 503
+ * @param {number} [options.errorCount=0] - The first N check-in API calls return a 503
+ * @param {number} [options.clockSkewMs=0] - Simulated server clock minus local clock
+ * @param {number} [options.startPosition=0] - Passengers already checked in ahead of us (0 = next is A1)
+ * @param {Record<string, { firstName?: string, lastName?: string, opensAt?: string|number, scenario?: string, flightNumber?: string, gate?: string, originAirport?: string, destinationAirport?: string, departureLocal?: string }>} [options.reservations]
+ *   Known reservations by confirmation number. Unknown confirmation numbers get "not found".
+ *   The trip page shows `departureLocal` (default: 24 hours after the opening, at the
+ *   origin); given without `opensAt`, it also moves the opening, like a schedule change.
+ *   `flights` (`{ flightNumber, originAirport, destinationAirport, departureLocal }`)
+ *   lists further flights after that one, e.g. the return of a round trip.
+ * @returns {Promise<{ url: string, port: number, requests: object[], addReservation: Function, close: () => Promise<void> }>}
+ */
+export async function startSimulator({
+    port = 0,
+    host = '127.0.0.1',
+    opensAt = Date.now(),
+    latencyMs = 0,
+    errorRate = 0,
+    errorCount = 0,
+    clockSkewMs = 0,
+    startPosition = 0,
+    reservations = {},
+} = {}) {
+    const known = new Map();
+    const requests = [];
+    let nextPosition = startPosition;
+    let errorsRemaining = errorCount;
+
+    const serverNow = () => Date.now() + clockSkewMs;
+
+    const addReservation = (confirmationNumber, reservation = {}) => {
+        const originAirport = String(reservation.originAirport ?? 'DAL').toUpperCase();
+        const timeZone = resolveAirportTimezone(originAirport) ?? 'UTC';
+        const departureMs = reservation.departureLocal === undefined ? null : zonedTimeToUtc(reservation.departureLocal, timeZone);
+        const opensAtMs = reservation.opensAt === undefined && departureMs !== null
+            ? departureMs - DEFAULT_CHECKIN_OFFSET_HOURS * 3600000
+            : new Date(reservation.opensAt ?? opensAt).getTime();
+
+        known.set(String(confirmationNumber).toUpperCase(), {
+            scenario: Scenario.NORMAL,
+            flightNumber: '1234',
+            gate: '14',
+            destinationAirport: 'HOU',
+            ...reservation,
+            originAirport,
+            departureLocal: reservation.departureLocal ?? utcToZonedTime(opensAtMs + DEFAULT_CHECKIN_OFFSET_HOURS * 3600000, timeZone),
+            opensAtMs,
+            travelers: null,
+        });
+    };
+    for (const [confirmationNumber, reservation] of Object.entries(reservations)) {
+        addReservation(confirmationNumber, reservation);
+    }
+
+    const delay = () => {
+        const [min, max] = Array.isArray(latencyMs) ? latencyMs : [latencyMs, latencyMs];
+        return sleep(min + Math.random() * (max - min));
+    };
+
+    // The reservation for a submitted form, or the error answer
+    const lookUp = ({ recordLocator, firstName, lastName }) => {
+        const reservation = known.get(String(recordLocator || '').toUpperCase());
+        if (!reservation || reservation.scenario === Scenario.NOT_FOUND) {
+            return { error: [404, { message: MESSAGES.notFound }] };
+        }
+
+        const nameMatches = (expected, actual) => !expected || String(expected).toUpperCase() === String(actual || '').trim().toUpperCase();
+        if (reservation.scenario === Scenario.NAME_MISMATCH
+            || !nameMatches(reservation.firstName, firstName)
+            || !nameMatches(reservation.lastName, lastName)) {
+            return { error: [400, { message: MESSAGES.nameMismatch }] };
+        }
+        return { reservation };
+    };
+
+    const viewTrip = (body) => {
+        const { reservation, error } = lookUp(body);
+        if (error) return error;
+        return [200, {
+            viewReservationViewPage: {
+                flights: [{
+                    flightNumber: reservation.flightNumber,
+                    originAirport: reservation.originAirport,
+                    destinationAirport: reservation.destinationAirport,
+                    departureLocal: reservation.departureLocal,
+                }, ...(reservation.flights ?? [])],
+            },
+        }];
+    };
+
+    const checkIn = (body) => {
+        const { reservation, error } = lookUp(body);
+        if (error) return error;
+        const { firstName, lastName } = body;
+
+        if (serverNow() < reservation.opensAtMs) {
+            return [400, { message: MESSAGES.tooEarly }];
+        }
+
+        const flights = [{ flightNumber: reservation.flightNumber, gate: reservation.gate }];
+        const alreadyCheckedIn = reservation.travelers || reservation.scenario === Scenario.ALREADY_CHECKED_IN;
+        if (!reservation.travelers) {
+            const name = [firstName, lastName].filter(Boolean).join(' ').toUpperCase();
+            reservation.travelers = [{ name, ...positionFor(nextPosition++) }];
+        }
+
+        return [200, {
+            ...(alreadyCheckedIn && { message: MESSAGES.alreadyCheckedIn }),
+            checkInConfirmationPage: { travelers: reservation.travelers, flights },
+        }];
+    };
+
+    const handle = async (req, res, send) => {
+        const receivedAt = serverNow();
+        const url = new URL(req.url, 'http://simulator');
+        res.sendDate = false;
+        res.setHeader('Date', new Date(receivedAt).toUTCString());
+
+        if (url.pathname === CHECKIN_API_PATH && req.method === 'POST') {
+            const body = await readJsonBody(req);
+
+            await delay();
+
+            let status;
+            let payload;
+            if (errorsRemaining > 0 || Math.random() < errorRate) {
+                errorsRemaining = Math.max(0, errorsRemaining - 1);
+                [status, payload] = [503, { message: MESSAGES.serverError }];
+            } else {
+                [status, payload] = checkIn(body);
+            }
+
+            requests.push({
+                receivedAt: new Date(receivedAt).toISOString(),
+                receivedAtMs: receivedAt,
+                recordLocator: body.recordLocator ?? null,
+                status,
+                message: payload.message ?? null,
+            });
+            send(status, 'application/json', JSON.stringify(payload));
+            return;
+        }
+
+        if (url.pathname === TRIP_API_PATH && req.method === 'POST') {
+            const body = await readJsonBody(req);
+
+            await delay();
+            const [status, payload] = viewTrip(body);
+            send(status, 'application/json', JSON.stringify(payload));
+            return;
+        }
+
+        if (url.pathname === '/air/manage-reservation/index.html') {
+            send(200, 'text/html; charset=utf-8', TRIP_PAGE);
+            return;
+        }
+
+        if (url.pathname === '/air/check-in/index.html') {
+            send(200, 'text/html; charset=utf-8', CHECKIN_PAGE);
+            return;
+        }
+
+        if (url.pathname === '/') {
+            send(200, 'text/html; charset=utf-8', HOME_PAGE);
+            return;
+        }
+
+        send(404, 'text/plain', 'Not found');
+    };
+
+    const server = http.createServer((req, res) => {
+        const send = (status, contentType, body) => {
+            res.writeHead(status, { 'Content-Type': contentType });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        };
+        // A client that aborts mid-body must not take the simulator (and a dry run) down
+        handle(req, res, send).catch((error) => {
+            if (res.headersSent) res.destroy();
+            else send(500, 'application/json', JSON.stringify({ message: error.message }));
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const { port: boundPort } = server.address();
+    return {
+        url: `http://${host}:${boundPort}`,
+        port: boundPort,
+        requests,
+        addReservation,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections?.();
+            server.close(() => resolve());
+        }),
+    };
+}
+
+// Standalone: node src/simulator.js --port 8080 --conf ABC123 --first JOHN --last DOE --opens-in 30
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const arg = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    if (args.includes('--help')) {
+        console.log([
+            'Usage: node src/simulator.js [options]',
+            '  --port <n>            Port (default 8080)',
+            '  --conf <PNR>          Confirmation number (default ABC123)',
+            '  --first <name>        First name (default: any)',
+            '  --last <name>         Last name (default: any)',
+            '  --opens-in <seconds>  Check-in opens this many seconds from now (default 30)',
+            '  --departure <local>   Departure shown on the trip page, e.g. 2025-12-25T12:05 (default: opening + 24h)',
+            '  --origin <IATA>       Origin airport of the flight (default DAL)',
+            '  --return <local>      Add a return flight (HOU back to the origin) departing then',
+            '  --scenario <name>     normal | already-checked-in | not-found | name-mismatch',
+            '  --latency <ms>        Added latency for check-in API calls',
+            '  --error-count <n>     Fail the first n check-in API calls with a 503',
+            '  --clock-skew <ms>     Simulated server clock minus local clock',
+        ].join('\n'));
+        process.exit(0);
+    }
+
+    const opensAt = Date.now() + Number(arg('opens-in', 30)) * 1000;
+    const simulator = await startSimulator({
+        port: Number(arg('port', 8080)),
+        latencyMs: Number(arg('latency', 0)),
+        errorCount: Number(arg('error-count', 0)),
+        clockSkewMs: Number(arg('clock-skew', 0)),
+        reservations: {
+            [arg('conf', 'ABC123')]: {
+                firstName: arg('first'),
+                lastName: arg('last'),
+                opensAt,
+                departureLocal: arg('departure'),
+                originAirport: arg('origin'),
+                ...(arg('return') && {
+                    flights: [{ flightNumber: '4321', originAirport: 'HOU', destinationAirport: arg('origin', 'DAL').toUpperCase(), departureLocal: arg('return') }],
+                }),
+                scenario: arg('scenario', Scenario.NORMAL),
+            },
+        },
+    });
+
+    console.log(`🛫 Southwest simulator listening on ${simulator.url}`);
+    console.log(`   Check-in opens at ${new Date(opensAt).toISOString()}`);
+}
@@ -0,0 +1,94 @@
+/**
+ * Submit time measured on the wire
+ *
+ * The check-in API request the page sends after the click is watched through
+ * `page.on('request')`, and its Chromium resource timing gives the moment the
+ * request went out and the moment the first response byte came back. The
+ * timing offset is derived from the send time, not from when
+ * `page.evaluate()` returned to Node (after the click, a CDP round trip and
+ * possibly a stale drift value).
+ *
+ * Resource timing is on the browser's wall clock, which is the same system
+ * clock as `Date.now()`, so the usual clock offset corrects it.
+ */
+
+import { checkinApiMatcher } from './replay.js';
+
+/**
+ * Connection-phase durations from a Playwright `request.timing()`. Phases
+ * that did not happen (e.g. DNS and connect on a reused connection) are null.
+ *
+ * @param {{ domainLookupStart: number, domainLookupEnd: number, connectStart: number, secureConnectionStart: number, connectEnd: number, requestStart: number, responseStart: number, responseEnd: number }} timing
+ */
+export function timingBreakdown(timing) {
+    const between = (start, end) => (start >= 0 && end >= 0 ? Math.round((end - start) * 1000) / 1000 : null);
+    return {
+        dnsMs: between(timing.domainLookupStart, timing.domainLookupEnd),
+        connectMs: between(timing.connectStart, timing.connectEnd),
+        tlsMs: between(timing.secureConnectionStart, timing.connectEnd),
+        // Request sent → first response byte
+        ttfbMs: between(timing.requestStart, timing.responseStart),
+        downloadMs: between(timing.responseStart, timing.responseEnd),
+        reusedConnection: timing.connectStart < 0,
+    };
+}
+
+/**
+ * Start watching for the check-in API request. Call before the click.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} options
+ * @param {string} options.urlPattern - Regex source matched against request URLs
+ * @param {number} options.timeoutMs - How long `result()` waits for the request and its response
+ */
+export function watchCheckinRequest(page, { urlPattern, timeoutMs }) {
+    const matches = checkinApiMatcher(urlPattern);
+    let onRequest;
+    const observed = new Promise((resolve) => {
+        onRequest = (request) => {
+            if (matches(request)) resolve(request);
+        };
+        page.on('request', onRequest);
+    });
+    const stop = () => page.off('request', onRequest);
+
+    const withTimeout = (promise) => {
+        let timer;
+        return Promise.race([
+            promise,
+            new Promise((resolve) => {
+                timer = setTimeout(() => resolve(null), timeoutMs);
+            }),
+        ]).finally(() => clearTimeout(timer));
+    };
+
+    return {
+        stop,
+        /**
+         * The first check-in request seen, with local epoch timestamps, or
+         * null if none was sent within the timeout.
+         *
+         * @returns {Promise<{ url: string, method: string, status: number|null, sentAtMs: number, firstByteAtMs: number|null, breakdown: ReturnType<typeof timingBreakdown> }|null>}
+         */
+        async result() {
+            const request = await withTimeout(observed);
+            stop();
+            if (!request) return null;
+
+            // Resource timing is only complete once the response has arrived
+            const response = await withTimeout(request.response().catch(() => null));
+            await withTimeout(response?.finished().catch(() => null) ?? Promise.resolve());
+
+            const timing = request.timing();
+            const at = (offset) => (offset >= 0 ? timing.startTime + offset : null);
+            return {
+                url: request.url(),
+                method: request.method(),
+                status: response ? response.status() : null,
+                sentAtMs: at(timing.requestStart) ?? timing.startTime,
+                firstByteAtMs: at(timing.responseStart),
+                breakdown: timingBreakdown(timing),
+            };
+        },
+    };
+}
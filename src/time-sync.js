@@ -0,0 +1,302 @@
+/**
+ * Multi-source time synchronization
+ *
+ * Estimates the offset between the local clock and a reference clock together
+ * with an error bound, from two kinds of sources:
+ *
+ * - NTP: several samples per server across a configurable server list. Each
+ *   sample bounds the offset to ±RTT/2 around the server's transmit time;
+ *   outliers are rejected and the remaining intervals are intersected.
+ * - Southwest `Date` headers: one-second resolution, but probes are timed so
+ *   they straddle the server's second boundary, bisecting the feasible offset
+ *   interval down to roughly the request RTT.
+ *
+ * All offsets are "reference minus local" in milliseconds, so the corrected
+ * time is `Date.now() + offsetMs`.
+ */
+
+import ntpClient from 'ntp-client';
+
+export const DEFAULT_NTP_SERVERS = [
+    'time.google.com',
+    'time.cloudflare.com',
+    'time.aws.com',
+    'pool.ntp.org',
+];
+
+export const DEFAULT_TIME_SYNC_OPTIONS = Object.freeze({
+    ntpServers: DEFAULT_NTP_SERVERS,
+    samplesPerServer: 4,
+    ntpTimeoutMs: 2000,
+    southwestProbes: 6,
+    southwestTimeoutMs: 3000,
+    maxUncertaintyMs: 50,
+    failOnExcessUncertainty: false,
+});
+
+// Samples further than this many scaled MADs from the median are outliers
+const OUTLIER_MAD_FACTOR = 3;
+// Never reject samples closer than this to the median (MAD can be ~0)
+const OUTLIER_FLOOR_MS = 5;
+// Leave at least this long before a timed Date-header probe is sent
+const PROBE_LEAD_MS = 50;
+
+/**
+ * Parse a server entry like `time.google.com` or `127.0.0.1:1123`.
+ *
+ * @param {string} entry
+ * @returns {{ host: string, port: number }}
+ */
+export function parseServer(entry) {
+    const match = /^(.*?)(?::(\d+))?$/.exec(String(entry).trim());
+    return { host: match[1], port: match[2] ? Number(match[2]) : ntpClient.defaultNtpPort };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Take one NTP sample.
+ *
+ * ntp-client only exposes the server's transmit timestamp, so the sample's
+ * error bound is half the round trip measured locally.
+ *
+ * @param {{ host: string, port: number }} server
+ * @param {number} timeoutMs
+ * @returns {Promise<{ server: string, offsetMs: number, rttMs: number, errorMs: number, at: string }>}
+ */
+async function sampleNtp(server, timeoutMs) {
+    ntpClient.ntpReplyTimeout = timeoutMs;
+
+    const sentAt = Date.now();
+    const serverTime = await new Promise((resolve, reject) => {
+        ntpClient.getNetworkTime(server.host, server.port, (err, date) => {
+            if (err) reject(err instanceof Error ? err : new Error(String(err)));
+            else resolve(date);
+        });
+    });
+    const receivedAt = Date.now();
+
+    const rttMs = receivedAt - sentAt;
+    return {
+        server: `${server.host}:${server.port}`,
+        offsetMs: serverTime.getTime() - (sentAt + receivedAt) / 2,
+        rttMs,
+        errorMs: Math.max(1, rttMs / 2),
+        at: new Date(receivedAt).toISOString(),
+    };
+}
+
+/**
+ * Combine offset samples into one estimate.
+ *
+ * Rejects outliers by median absolute deviation, then intersects the
+ * remaining [offset - error, offset + error] intervals. If the intervals do
+ * not all overlap, falls back to an error-weighted mean whose bound covers the
+ * spread of the kept samples.
+ *
+ * @param {Array<{ offsetMs: number, errorMs: number }>} samples
+ * @returns {{ offsetMs: number, uncertaintyMs: number, kept: number, rejected: number }}
+ */
+export function combineSamples(samples) {
+    if (samples.length === 0) {
+        return { offsetMs: 0, uncertaintyMs: Infinity, kept: 0, rejected: 0 };
+    }
+
+    const center = median(samples.map((sample) => sample.offsetMs));
+    const mad = median(samples.map((sample) => Math.abs(sample.offsetMs - center))) * 1.4826;
+    const threshold = Math.max(OUTLIER_MAD_FACTOR * mad, OUTLIER_FLOOR_MS);
+
+    for (const sample of samples) {
+        sample.rejected = Math.abs(sample.offsetMs - center) > threshold;
+    }
+    const kept = samples.filter((sample) => !sample.rejected);
+
+    const lo = Math.max(...kept.map((sample) => sample.offsetMs - sample.errorMs));
+    const hi = Math.min(...kept.map((sample) => sample.offsetMs + sample.errorMs));
+
+    if (lo <= hi) {
+        return { offsetMs: (lo + hi) / 2, uncertaintyMs: (hi - lo) / 2, kept: kept.length, rejected: samples.length - kept.length };
+    }
+
+    const weights = kept.map((sample) => 1 / (sample.errorMs * sample.errorMs));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const offsetMs = kept.reduce((sum, sample, i) => sum + sample.offsetMs * weights[i], 0) / totalWeight;
+    const uncertaintyMs = Math.max(...kept.map((sample) => Math.abs(sample.offsetMs - offsetMs) + sample.errorMs));
+
+    return { offsetMs, uncertaintyMs, kept: kept.length, rejected: samples.length - kept.length };
+}
+
+/**
+ * Sample every configured NTP server several times and combine the results.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.servers] - Server list (`host` or `host:port`)
+ * @param {number} [options.samplesPerServer]
+ * @param {number} [options.timeoutMs] - Per-sample timeout
+ * @returns {Promise<{ source: 'ntp', ok: boolean, offsetMs: number, uncertaintyMs: number, samples: object[], errors: object[], rejected: number }>}
+ */
+export async function syncNtp({
+    servers = DEFAULT_TIME_SYNC_OPTIONS.ntpServers,
+    samplesPerServer = DEFAULT_TIME_SYNC_OPTIONS.samplesPerServer,
+    timeoutMs = DEFAULT_TIME_SYNC_OPTIONS.ntpTimeoutMs,
+} = {}) {
+    const samples = [];
+    const errors = [];
+
+    for (const entry of servers) {
+        const server = parseServer(entry);
+        for (let i = 0; i < samplesPerServer; i++) {
+            try {
+                samples.push(await sampleNtp(server, timeoutMs));
+            } catch (error) {
+                errors.push({ server: `${server.host}:${server.port}`, error: error.message, at: new Date().toISOString() });
+                // An unreachable server won't answer the next sample either
+                break;
+            }
+        }
+    }
+
+    const estimate = combineSamples(samples);
+    return {
+        source: 'ntp',
+        ok: samples.length > 0,
+        offsetMs: estimate.offsetMs,
+        uncertaintyMs: estimate.uncertaintyMs,
+        rejected: estimate.rejected,
+        samples,
+        errors,
+    };
+}
+
+/**
+ * Send one HEAD request and record the `Date` header with local send/receive times.
+ *
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<{ sentAt: number, receivedAt: number, rttMs: number, serverSecondMs: number, at: string }>}
+ */
+export async function probeDateHeader(url, timeoutMs = DEFAULT_TIME_SYNC_OPTIONS.southwestTimeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const sentAt = Date.now();
+        const response = await fetch(url, { method: 'HEAD', signal: controller.signal });
+        const receivedAt = Date.now();
+
+        const dateHeader = response.headers.get('date');
+        const serverSecondMs = dateHeader ? new Date(dateHeader).getTime() : NaN;
+        if (!Number.isFinite(serverSecondMs)) {
+            throw new Error(`Missing or invalid Date header: ${dateHeader}`);
+        }
+
+        return { sentAt, receivedAt, rttMs: receivedAt - sentAt, serverSecondMs, at: new Date(receivedAt).toISOString() };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Date header probe timed out (>${timeoutMs}ms)`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Feasible offset interval implied by one Date-header probe.
+ *
+ * The server stamped the response somewhere between our send and receive, and
+ * its clock read somewhere within the whole second in the header.
+ *
+ * @param {{ sentAt: number, receivedAt: number, serverSecondMs: number }} probe
+ * @returns {{ lo: number, hi: number }}
+ */
+export function probeInterval(probe) {
+    return {
+        lo: probe.serverSecondMs - probe.receivedAt,
+        hi: probe.serverSecondMs + 1000 - probe.sentAt,
+    };
+}
+
+/**
+ * Find the Southwest server clock offset from the second-boundary transition
+ * of its `Date` header.
+ *
+ * After the first probe, each probe is timed to reach the server exactly at a
+ * second boundary under the current mid-point estimate; whichever second the
+ * server reports tells us which half of the interval the offset lies in.
+ *
+ * @param {object} options
+ * @param {string} options.url - URL to probe (HEAD)
+ * @param {number} [options.probes]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ source: 'southwest', ok: boolean, offsetMs: number, uncertaintyMs: number, samples: object[], errors: object[] }>}
+ */
+export async function syncDateHeader({
+    url,
+    probes = DEFAULT_TIME_SYNC_OPTIONS.southwestProbes,
+    timeoutMs = DEFAULT_TIME_SYNC_OPTIONS.southwestTimeoutMs,
+}) {
+    const samples = [];
+    const errors = [];
+    let lo = -Infinity;
+    let hi = Infinity;
+
+    for (let i = 0; i < probes; i++) {
+        if (samples.length > 0) {
+            // Aim the request's arrival at the next server second boundary
+            const mid = (lo + hi) / 2;
+            const halfRtt = median(samples.map((sample) => sample.rttMs)) / 2;
+            const boundary = Math.ceil((Date.now() + PROBE_LEAD_MS + halfRtt + mid) / 1000) * 1000;
+            await sleep(boundary - mid - halfRtt - Date.now());
+        }
+
+        let probe;
+        try {
+            probe = await probeDateHeader(url, timeoutMs);
+        } catch (error) {
+            errors.push({ url, error: error.message, at: new Date().toISOString() });
+            continue;
+        }
+
+        const interval = probeInterval(probe);
+        if (Math.max(lo, interval.lo) > Math.min(hi, interval.hi)) {
+            // Inconsistent with earlier probes (e.g. different edge servers):
+            // start over from this probe rather than trust a contradiction
+            probe.reset = true;
+            lo = interval.lo;
+            hi = interval.hi;
+        } else {
+            lo = Math.max(lo, interval.lo);
+            hi = Math.min(hi, interval.hi);
+        }
+        samples.push({ ...probe, lo, hi });
+    }
+
+    const ok = samples.length > 0;
+    return {
+        source: 'southwest',
+        ok,
+        offsetMs: ok ? (lo + hi) / 2 : 0,
+        uncertaintyMs: ok ? (hi - lo) / 2 : Infinity,
+        samples,
+        errors,
+    };
+}
+
+/**
+ * Pick the estimate with the smallest error bound.
+ *
+ * @param {...{ ok: boolean, uncertaintyMs: number }} estimates
+ * @returns {object|null} Best successful estimate, or null if none succeeded
+ */
+export function selectEstimate(...estimates) {
+    return estimates
+        .filter((estimate) => estimate?.ok)
+        .sort((a, b) => a.uncertaintyMs - b.uncertaintyMs)[0] || null;
+}
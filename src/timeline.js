@@ -0,0 +1,167 @@
+/**
+ * Structured event timeline
+ *
+ * Records what happened when, from the pre-flight through all five phases,
+ * on one monotonic time axis. Each event carries:
+ *
+ * - `t`: milliseconds since the timeline started, from `process.hrtime`
+ * - `wall`: corrected wall time (ISO), i.e. local clock + the synced offset
+ * - `phase`, `name`, the reservation key and a payload
+ *
+ * Browser-side events (click scheduled/fired, request sent, response received)
+ * are timestamped in the page as `performance.timeOrigin + performance.now()`.
+ * That is the same system clock as Node's `Date.now()`, so they are mapped
+ * onto the monotonic axis through the wall-clock anchor taken when the
+ * timeline starts.
+ *
+ * At the end of the run the timeline is exported as JSON Lines (`timeline`)
+ * and as a Chrome trace-event file (`timeline-trace`). Load the latter in
+ * chrome://tracing or https://ui.perfetto.dev.
+ */
+
+export const TimelinePhase = Object.freeze({
+    RUN: 'run',
+    PREFLIGHT: 'preflight',
+    PRELOAD: 'preload',
+    WAIT: 'wait',
+    SUBMIT: 'submit',
+    VERIFY: 'verify',
+    RESULT: 'result',
+});
+
+export const TIMELINE_KEY = 'timeline';
+export const TRACE_KEY = 'timeline-trace';
+
+// Drop events beyond this many (a runaway loop must not eat the memory)
+const MAX_EVENTS = 20000;
+
+/**
+ * Start a timeline.
+ *
+ * @param {object} options
+ * @param {() => number} options.clockOffsetMs - Current correction of the local clock (ms)
+ */
+export function createTimeline({ clockOffsetMs }) {
+    const anchorHr = process.hrtime.bigint();
+    const anchorWallMs = Date.now();
+    const events = [];
+    let dropped = 0;
+
+    const monotonicMs = () => Number(process.hrtime.bigint() - anchorHr) / 1e6;
+
+    const record = (event) => {
+        if (events.length >= MAX_EVENTS) {
+            dropped++;
+            return event;
+        }
+        events.push(event);
+        return event;
+    };
+
+    /**
+     * @param {string|null} reservation - Reservation key, or null for run-wide events
+     * @param {string} phase - A TimelinePhase value
+     * @param {string} name
+     * @param {object} [data]
+     * @param {object} [options]
+     * @param {number} [options.atMs] - When it happened, as local epoch ms (default: now)
+     * @param {number} [options.durationMs] - Makes it a span ending `durationMs` later
+     * @param {string} [options.source] - `node` or `browser`
+     */
+    const event = (reservation, phase, name, data = {}, { atMs, durationMs, source = 'node' } = {}) => {
+        const t = atMs === undefined ? monotonicMs() : atMs - anchorWallMs;
+        return record({
+            t: Math.round(t * 1000) / 1000,
+            wall: new Date(anchorWallMs + t + clockOffsetMs()).toISOString(),
+            phase,
+            name,
+            reservation,
+            source,
+            ...(durationMs !== undefined && { durationMs: Math.round(durationMs * 1000) / 1000 }),
+            data,
+        });
+    };
+
+    /**
+     * Start a span; call the returned function to close it.
+     *
+     * @returns {(data?: object) => object} Records the span and returns it
+     */
+    const span = (reservation, phase, name, data = {}) => {
+        const startT = monotonicMs();
+        return (endData = {}) => event(reservation, phase, name, { ...data, ...endData }, {
+            atMs: anchorWallMs + startT,
+            durationMs: monotonicMs() - startT,
+        });
+    };
+
+    return {
+        event,
+        span,
+        /** Recorder bound to one reservation. */
+        forReservation: (reservation) => ({
+            event: (phase, name, data, options) => event(reservation, phase, name, data, options),
+            span: (phase, name, data) => span(reservation, phase, name, data),
+        }),
+        /** Events ordered on the monotonic axis. */
+        events: () => [...events].sort((a, b) => a.t - b.t),
+        dropped: () => dropped,
+        toJsonLines() {
+            return this.events().map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+        },
+        toChromeTrace() {
+            return toChromeTrace(this.events(), { anchorWallMs, dropped });
+        },
+    };
+}
+
+/**
+ * Chrome trace-event format: one thread per reservation (run-wide events on
+ * thread 0), phases as categories, spans as complete (`X`) events.
+ *
+ * @param {object[]} events
+ * @param {{ anchorWallMs: number, dropped: number }} meta
+ */
+export function toChromeTrace(events, { anchorWallMs, dropped }) {
+    const threads = new Map([[null, 0]]);
+    for (const entry of events) {
+        if (!threads.has(entry.reservation)) threads.set(entry.reservation, threads.size);
+    }
+
+    const traceEvents = [...threads].map(([reservation, tid]) => ({
+        name: 'thread_name',
+        ph: 'M',
+        pid: 1,
+        tid,
+        args: { name: reservation ?? 'run' },
+    }));
+    for (const entry of events) {
+        traceEvents.push({
+            name: entry.name,
+            cat: `${entry.phase},${entry.source}`,
+            ph: entry.durationMs === undefined ? 'i' : 'X',
+            ...(entry.durationMs === undefined ? { s: 't' } : { dur: Math.round(entry.durationMs * 1000) }),
+            ts: Math.round(entry.t * 1000),
+            pid: 1,
+            tid: threads.get(entry.reservation),
+            args: { wall: entry.wall, ...entry.data },
+        });
+    }
+
+    return {
+        traceEvents,
+        displayTimeUnit: 'ms',
+        otherData: { startedAt: new Date(anchorWallMs).toISOString(), droppedEvents: dropped },
+    };
+}
+
+/**
+ * Save both exports to a key-value store.
+ *
+ * @param {ReturnType<typeof createTimeline>} timeline
+ * @param {(key: string, value: unknown, options?: object) => Promise<void>} setValue - e.g. `Actor.setValue`
+ */
+export async function exportTimeline(timeline, setValue) {
+    await setValue(TIMELINE_KEY, timeline.toJsonLines(), { contentType: 'application/x-ndjson' });
+    await setValue(TRACE_KEY, timeline.toChromeTrace());
+}
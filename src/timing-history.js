@@ -0,0 +1,282 @@
+/**
+ * Cross-run timing history and learned submit offset
+ *
+ * Every run appends one entry per submitted reservation to a named key-value
+ * store that outlives the run: where the first request landed relative to
+ * the opening (send offset, RTT, clock uncertainty, proxy) and whether
+ * Southwest answered "too early" or accepted it, plus the boarding position.
+ *
+ * The next run learns from it. Offsets are compared in the arrival frame,
+ * meaning send offset + RTT/2, so runs on different proxies are comparable.
+ * The latest "too early" arrival and the earliest accepted arrival bracket
+ * the moment Southwest really opens. The submit is aimed just past the
+ * former, then the current half RTT and the usual scheduling lag are
+ * subtracted. Without enough history the classic +100ms is used.
+ *
+ * Run standalone to print a report from a saved history record (see
+ * `--help`), or set `"mode": "report"` in the actor input.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+export const HISTORY_KEY = 'HISTORY';
+
+export const DEFAULT_TIMING_HISTORY_OPTIONS = Object.freeze({
+    enabled: true,
+    storeName: 'southwest-checkin-timing-history',
+    // Entries kept in the store (oldest dropped first)
+    maxEntries: 500,
+    // Only the most recent usable runs are learned from
+    recentRuns: 50,
+    minSamples: 3,
+    // Send offset (ms after opening) when there is not enough history
+    defaultOffsetMs: 100,
+    // How far past the latest "too early" arrival to aim
+    marginMs: 20,
+    minOffsetMs: 0,
+    maxOffsetMs: 1000,
+});
+
+// How the first request of a run landed
+export const Landing = Object.freeze({
+    EARLY: 'early',
+    ACCEPTED: 'accepted',
+    OTHER: 'other',
+});
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * Landing of a first response, from its classified outcome.
+ *
+ * ALREADY_CHECKED_IN says nothing about timing (an earlier run may have done
+ * it), so only TOO_EARLY and SUCCESS count.
+ *
+ * @param {string|null} outcome
+ * @returns {string} A Landing value
+ */
+export function landingOf(outcome) {
+    if (outcome === 'TOO_EARLY') return Landing.EARLY;
+    if (outcome === 'SUCCESS') return Landing.ACCEPTED;
+    return Landing.OTHER;
+}
+
+/**
+ * Read the history entries from a key-value store.
+ *
+ * @param {{ getValue: Function }} store
+ * @returns {Promise<object[]>}
+ */
+export async function loadHistory(store) {
+    const entries = await store.getValue(HISTORY_KEY);
+    return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Append an entry, keeping at most `maxEntries`.
+ *
+ * Read-modify-write: two runs finishing in the same instant can lose one
+ * entry, which only costs one sample.
+ *
+ * @param {{ getValue: Function, setValue: Function }} store
+ * @param {object} entry
+ * @param {number} [maxEntries]
+ */
+export async function appendHistory(store, entry, maxEntries = DEFAULT_TIMING_HISTORY_OPTIONS.maxEntries) {
+    const entries = await loadHistory(store);
+    entries.push(entry);
+    await store.setValue(HISTORY_KEY, entries.slice(-maxEntries));
+}
+
+/**
+ * Learn where Southwest opens (in the arrival frame) from past runs.
+ *
+ * @param {object[]} entries - History entries
+ * @param {object} [options] - See DEFAULT_TIMING_HISTORY_OPTIONS
+ * @param {boolean} [options.dryRun] - Learn from rehearsal runs (true) or live runs (false)
+ * @returns {{ source: 'default'|'history', reason: string, samples: number, defaultOffsetMs: number, arrivalTargetMs?: number, biasMs?: number, medianHalfRttMs?: number, latestEarlyMs?: number|null, earliestAcceptedMs?: number|null }}
+ */
+export function learnSubmitOffset(entries, options = {}) {
+    const { recentRuns, minSamples, defaultOffsetMs, marginMs, dryRun = false } = { ...DEFAULT_TIMING_HISTORY_OPTIONS, ...options };
+
+    const samples = entries
+        .filter((entry) => Boolean(entry.dryRun) === dryRun
+            && (entry.landed === Landing.EARLY || entry.landed === Landing.ACCEPTED)
+            && Number.isFinite(entry.arrivalOffsetMs))
+        .slice(-recentRuns);
+
+    if (samples.length < minSamples) {
+        return { source: 'default', reason: `${samples.length}/${minSamples} usable runs in history`, samples: samples.length, defaultOffsetMs };
+    }
+
+    const early = samples.filter((entry) => entry.landed === Landing.EARLY).map((entry) => entry.arrivalOffsetMs);
+    const accepted = samples.filter((entry) => entry.landed === Landing.ACCEPTED).map((entry) => entry.arrivalOffsetMs);
+    const latestEarlyMs = early.length > 0 ? Math.max(...early) : null;
+    const earliestAcceptedMs = accepted.length > 0 ? Math.min(...accepted) : null;
+
+    let arrivalTargetMs;
+    let reason;
+    if (latestEarlyMs === null) {
+        // Never too early yet: creep a little earlier than the earliest accepted
+        arrivalTargetMs = earliestAcceptedMs - marginMs;
+        reason = `no early landings; ${marginMs}ms before the earliest accepted arrival`;
+    } else if (earliestAcceptedMs === null || latestEarlyMs < earliestAcceptedMs) {
+        arrivalTargetMs = Math.min(latestEarlyMs + marginMs, earliestAcceptedMs ?? Infinity);
+        reason = `${marginMs}ms past the latest early arrival`;
+    } else {
+        // Brackets overlap (clock noise between runs): aim past the middle
+        arrivalTargetMs = (latestEarlyMs + earliestAcceptedMs) / 2 + marginMs;
+        reason = 'early and accepted arrivals overlap; aiming past their midpoint';
+    }
+
+    return {
+        source: 'history',
+        reason,
+        samples: samples.length,
+        defaultOffsetMs,
+        arrivalTargetMs,
+        // Typical lag between the planned and the actual send time
+        biasMs: median(samples.map((entry) => entry.timingOffsetMs - entry.targetOffsetMs)) ?? 0,
+        medianHalfRttMs: median(samples.map((entry) => (entry.rttMs ?? 0) / 2)) ?? 0,
+        latestEarlyMs,
+        earliestAcceptedMs,
+    };
+}
+
+/**
+ * Send offset (ms after opening) for this run.
+ *
+ * @param {ReturnType<typeof learnSubmitOffset>} learned
+ * @param {number} halfRttMs - Current one-way latency estimate
+ * @param {object} [options]
+ * @param {number} [options.minOffsetMs]
+ * @param {number} [options.maxOffsetMs]
+ * @returns {number}
+ */
+export function planSubmitOffset(learned, halfRttMs, {
+    minOffsetMs = DEFAULT_TIMING_HISTORY_OPTIONS.minOffsetMs,
+    maxOffsetMs = DEFAULT_TIMING_HISTORY_OPTIONS.maxOffsetMs,
+} = {}) {
+    if (learned.source !== 'history') return learned.defaultOffsetMs;
+    const offsetMs = Math.round(learned.arrivalTargetMs - halfRttMs - learned.biasMs);
+    return Math.min(maxOffsetMs, Math.max(minOffsetMs, offsetMs));
+}
+
+/**
+ * Summarize past runs: first-try hit rate, offset distribution, positions.
+ *
+ * @param {object[]} entries
+ * @param {object} [options]
+ * @param {number} [options.bucketMs] - Offset histogram bucket width
+ */
+export function summarizeHistory(entries, { bucketMs = 50 } = {}) {
+    const live = entries.filter((entry) => !entry.dryRun);
+    const count = (landed) => live.filter((entry) => entry.landed === landed).length;
+    const early = count(Landing.EARLY);
+    const accepted = count(Landing.ACCEPTED);
+
+    const offsets = live.map((entry) => entry.timingOffsetMs).filter(Number.isFinite).sort((a, b) => a - b);
+    const histogram = {};
+    for (const offset of offsets) {
+        const start = Math.floor(offset / bucketMs) * bucketMs;
+        const bucket = `${start}..${start + bucketMs - 1}`;
+        histogram[bucket] = (histogram[bucket] || 0) + 1;
+    }
+
+    const positions = live.map((entry) => entry.boardingPosition).filter(Boolean);
+    const byGroup = {};
+    for (const position of positions) {
+        byGroup[position[0]] = (byGroup[position[0]] || 0) + 1;
+    }
+    const rank = (position) => 'ABC'.indexOf(position[0]) * 100 + Number(position.slice(1));
+
+    return {
+        runs: live.length,
+        dryRuns: entries.length - live.length,
+        firstRunAt: live[0]?.at ?? null,
+        lastRunAt: live[live.length - 1]?.at ?? null,
+        firstTry: { early, accepted, other: live.length - early - accepted },
+        hitRate: early + accepted > 0 ? accepted / (early + accepted) : null,
+        offsetMs: offsets.length > 0
+            ? {
+                min: offsets[0],
+                p10: percentile(offsets, 0.1),
+                median: median(offsets),
+                p90: percentile(offsets, 0.9),
+                max: offsets[offsets.length - 1],
+            }
+            : null,
+        offsetHistogram: histogram,
+        boardingPositions: {
+            count: positions.length,
+            byGroup,
+            best: positions.length > 0 ? [...positions].sort((a, b) => rank(a) - rank(b))[0] : null,
+            recent: positions.slice(-10),
+        },
+        outcomes: live.reduce((counts, entry) => ({ ...counts, [entry.outcome]: (counts[entry.outcome] || 0) + 1 }), {}),
+    };
+}
+
+/**
+ * Human-readable report of `summarizeHistory()` output.
+ *
+ * @param {ReturnType<typeof summarizeHistory>} summary
+ * @param {ReturnType<typeof learnSubmitOffset>} [learned]
+ * @returns {string}
+ */
+export function formatHistoryReport(summary, learned) {
+    const lines = [
+        `📈 Timing history: ${summary.runs} live run(s)${summary.dryRuns > 0 ? ` (+${summary.dryRuns} dry runs)` : ''}`,
+    ];
+    if (summary.runs === 0) {
+        return lines.concat('   No live runs recorded yet.').join('\n');
+    }
+
+    lines.push(`   Period: ${summary.firstRunAt} → ${summary.lastRunAt}`);
+    lines.push(`   First try: ${summary.firstTry.accepted} accepted, ${summary.firstTry.early} too early, ${summary.firstTry.other} other`
+        + (summary.hitRate === null ? '' : ` (hit rate ${(summary.hitRate * 100).toFixed(0)}%)`));
+    if (summary.offsetMs) {
+        const { min, p10, median: mid, p90, max } = summary.offsetMs;
+        lines.push(`   Send offset: min ${min}ms, p10 ${p10}ms, median ${mid}ms, p90 ${p90}ms, max ${max}ms`);
+        const widest = Math.max(...Object.values(summary.offsetHistogram));
+        for (const [bucket, n] of Object.entries(summary.offsetHistogram)) {
+            lines.push(`     ${bucket.padStart(11)}ms ${'█'.repeat(Math.max(1, Math.round((n / widest) * 30)))} ${n}`);
+        }
+    }
+    const { byGroup, best, recent } = summary.boardingPositions;
+    lines.push(`   Boarding positions: ${Object.entries(byGroup).map(([group, n]) => `${group}×${n}`).join(', ') || 'none'}`
+        + (best ? `, best ${best}` : ''));
+    if (recent.length > 0) lines.push(`   Recent: ${recent.join(', ')}`);
+    lines.push(`   Outcomes: ${Object.entries(summary.outcomes).map(([outcome, n]) => `${outcome} ${n}`).join(', ')}`);
+    if (learned) {
+        lines.push(learned.source === 'history'
+            ? `   Next aim: arrival at T+${learned.arrivalTargetMs.toFixed(0)}ms (${learned.reason}, ${learned.samples} runs)`
+            : `   Next aim: default T+${learned.defaultOffsetMs}ms (${learned.reason})`);
+    }
+    return lines.join('\n');
+}
+
+// Standalone: node src/timing-history.js [path/to/HISTORY.json]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+        console.log([
+            'Usage: node src/timing-history.js [file]',
+            '  file   Saved HISTORY record (default: the local Apify storage of the',
+            `         "${DEFAULT_TIMING_HISTORY_OPTIONS.storeName}" store)`,
+        ].join('\n'));
+        process.exit(0);
+    }
+
+    const file = args[0] ?? `storage/key_value_stores/${DEFAULT_TIMING_HISTORY_OPTIONS.storeName}/${HISTORY_KEY}.json`;
+    const entries = JSON.parse(await readFile(file, 'utf8'));
+    console.log(formatHistoryReport(summarizeHistory(entries), learnSubmitOffset(entries)));
+}
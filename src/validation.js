@@ -0,0 +1,250 @@
+/**
+ * Input validation and name normalization
+ *
+ * Every problem is reported as a structured `{ field, code, message }` error
+ * naming the offending input field (e.g. `reservations[1].checkinOpensAt`),
+ * so a bad reservation can be fixed without reading a stack trace.
+ *
+ * Names are normalized the way they appear on a Southwest boarding pass:
+ * upper case, diacritics stripped, apostrophes and hyphens removed, suffixes
+ * (JR, SR, II-V) dropped and, unless asked otherwise, middle names dropped
+ * from the first name.
+ */
+
+import { FOLLOW_UP_MODES } from './itinerary.js';
+import { ARTIFACT_POLICIES } from './privacy.js';
+import { validateSelectorProfile } from './selector-profile.js';
+
+// How far in the past checkinOpensAt may be (a late backup run still checks in)
+export const DEFAULT_CHECKIN_GRACE_SECONDS = 600;
+
+export const SUBMIT_MODES = ['click', 'replay'];
+export const RETRY_BACKOFFS = ['constant', 'linear', 'exponential'];
+export const RUN_MODES = ['checkin', 'preflight', 'report'];
+
+const CONFIRMATION_PATTERN = /^[A-Z0-9]{6}$/;
+// ISO 8601 with an explicit Z or ±hh:mm offset; captures date, time and offset
+const ZONED_TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(?:Z|([+-])(\d{2}):(\d{2}))$/i;
+const NAME_SUFFIXES = new Set(['JR', 'SR', 'II', 'III', 'IV', 'V']);
+
+/**
+ * A problem with one input field.
+ */
+export class FieldError extends Error {
+    /**
+     * @param {string} field - Input path, e.g. `reservations[0].lastName`
+     * @param {string} code - `required`, `format`, `past`, `type` or `enum`
+     * @param {string} message
+     */
+    constructor(field, code, message) {
+        super(message);
+        this.name = 'FieldError';
+        this.field = field;
+        this.code = code;
+    }
+
+    toJSON() {
+        return { field: this.field, code: this.code, message: this.message };
+    }
+}
+
+/**
+ * Thrown when run-wide input is invalid; carries every field error found.
+ */
+export class InputValidationError extends Error {
+    /**
+     * @param {Array<{ field: string, code: string, message: string }>} errors
+     */
+    constructor(errors) {
+        super(`Invalid input: ${errors.map((error) => `${error.field}: ${error.message}`).join('; ')}`);
+        this.name = 'InputValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate and normalize a confirmation number (six letters/digits).
+ *
+ * @param {unknown} value
+ * @param {string} field - Input path for errors
+ * @returns {string} Upper-cased confirmation number
+ */
+export function validateConfirmationNumber(value, field) {
+    if (value === null || value === undefined || value === '') {
+        throw new FieldError(field, 'required', 'Confirmation number is required');
+    }
+    const normalized = String(value).trim().toUpperCase();
+    if (!CONFIRMATION_PATTERN.test(normalized)) {
+        throw new FieldError(field, 'format', `Confirmation number "${value}" must be exactly 6 letters or digits`);
+    }
+    return normalized;
+}
+
+/**
+ * Validate an opening instant: timezone-qualified and not too far in the past.
+ *
+ * @param {unknown} value
+ * @param {string} field - Input path for errors
+ * @param {object} [options]
+ * @param {number} [options.graceMs] - How far in the past the instant may be
+ * @param {() => number} [options.now]
+ * @returns {number} Epoch milliseconds
+ */
+export function validateCheckinOpensAt(value, field, { graceMs = DEFAULT_CHECKIN_GRACE_SECONDS * 1000, now = Date.now } = {}) {
+    const match = typeof value === 'string' ? ZONED_TIMESTAMP_PATTERN.exec(value.trim()) : null;
+    if (!match) {
+        throw new FieldError(field, 'format', `"${value}" is not a timezone-qualified ISO 8601 timestamp (e.g. 2025-12-24T12:00:00-06:00 or 2025-12-24T18:00:00Z)`);
+    }
+    const ms = new Date(value.trim()).getTime();
+
+    // Date() rolls impossible dates over (February 31st becomes March 3rd):
+    // the instant, back at the given offset, must show the same date and time
+    const [, year, month, day, hour, minute, second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+    const offsetMs = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000;
+    const local = new Date(ms + offsetMs);
+    const roundTrips = !Number.isNaN(ms)
+        && Number(offsetHours) <= 23 && Number(offsetMinutes) <= 59
+        && local.getUTCFullYear() === Number(year)
+        && local.getUTCMonth() + 1 === Number(month)
+        && local.getUTCDate() === Number(day)
+        && local.getUTCHours() === Number(hour)
+        && local.getUTCMinutes() === Number(minute)
+        && local.getUTCSeconds() === Number(second);
+    if (!roundTrips) {
+        throw new FieldError(field, 'format', `"${value}" is not a valid date`);
+    }
+    return assertNotPast(ms, field, { graceMs, now });
+}
+
+/**
+ * Reject an instant that lies further in the past than the grace window.
+ *
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} field - Input path for errors
+ * @param {{ graceMs: number, now: () => number }} options
+ * @returns {number} The same instant
+ */
+export function assertNotPast(ms, field, { graceMs, now }) {
+    const pastMs = now() - ms;
+    if (pastMs > graceMs) {
+        throw new FieldError(field, 'past', `Check-in opened ${Math.round(pastMs / 60000)} minute(s) ago (${new Date(ms).toISOString()}), more than the ${Math.round(graceMs / 1000)}s grace window`);
+    }
+    return ms;
+}
+
+/**
+ * Normalize a passenger name as printed on the ticket.
+ *
+ * @param {unknown} value
+ * @param {string} field - Input path for errors
+ * @param {object} [options]
+ * @param {'first'|'last'} [options.part] - Middle names are only dropped from first names
+ * @param {boolean} [options.keepMiddleNames]
+ * @returns {string}
+ */
+export function normalizeName(value, field, { part = 'last', keepMiddleNames = false } = {}) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        throw new FieldError(field, 'required', `${part === 'first' ? 'First' : 'Last'} name is required`);
+    }
+
+    const tokens = String(value)
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '') // José → Jose
+        .replace(/['’‘`ʼ-]/g, '') // O'Brien → OBrien, Smith-Jones → SmithJones
+        .replace(/[.,]/g, ' ') // "Doe, Jr." → "Doe  Jr "
+        .toUpperCase()
+        .split(/\s+/)
+        .filter(Boolean);
+
+    // Never strip the only token ("V" could be a whole name)
+    while (tokens.length > 1 && NAME_SUFFIXES.has(tokens[tokens.length - 1])) {
+        tokens.pop();
+    }
+
+    const name = (part === 'first' && !keepMiddleNames ? tokens.slice(0, 1) : tokens).join(' ');
+    if (!/^[A-Z]+(?: [A-Z]+)*$/.test(name)) {
+        throw new FieldError(field, 'format', `Name "${value}" contains characters other than letters, spaces, hyphens and apostrophes`);
+    }
+    return name;
+}
+
+/**
+ * Validate run-wide input fields (per-reservation fields are checked by
+ * `normalizeReservations`).
+ *
+ * @param {unknown} input - Actor input
+ * @throws {InputValidationError}
+ */
+export function validateInput(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new InputValidationError([{ field: '(input)', code: 'required', message: 'No input provided' }]);
+    }
+
+    const errors = [];
+    const check = (condition, field, code, message) => {
+        if (!condition) errors.push({ field, code, message });
+    };
+    const isObject = (value) => value === undefined || value === null || (typeof value === 'object' && !Array.isArray(value));
+
+    check(input.reservations === undefined || Array.isArray(input.reservations), 'reservations', 'type', 'Must be an array of reservations');
+    check(input.submitMode === undefined || SUBMIT_MODES.includes(input.submitMode), 'submitMode', 'enum', `Must be one of: ${SUBMIT_MODES.join(', ')}`);
+    check(input.mode === undefined || RUN_MODES.includes(input.mode), 'mode', 'enum', `Must be one of: ${RUN_MODES.join(', ')}`);
+    check(input.dryRun === undefined || typeof input.dryRun === 'boolean', 'dryRun', 'type', 'Must be true or false');
+    for (const field of ['checkinGraceSeconds', 'preloadLeadSeconds']) {
+        check(input[field] === undefined || (Number.isFinite(input[field]) && input[field] >= 0),
+            field, 'type', 'Must be a non-negative number of seconds');
+    }
+    if (input.targetBaseUrl !== undefined) {
+        let protocol = null;
+        try {
+            protocol = new URL(String(input.targetBaseUrl)).protocol;
+        } catch {
+            // reported below
+        }
+        check(protocol === 'http:' || protocol === 'https:', 'targetBaseUrl', 'format', 'Must be an http(s) URL');
+    }
+    for (const field of ['timeSync', 'replay', 'retry', 'simulator', 'notifications', 'coordination', 'proxy', 'timingHistory', 'preflight', 'itinerary', 'leg', 'privacy', 'race', 'control']) {
+        check(isObject(input[field]), field, 'type', 'Must be an object');
+    }
+
+    if (isObject(input.retry) && input.retry?.backoff !== undefined) {
+        check(RETRY_BACKOFFS.includes(input.retry.backoff), 'retry.backoff', 'enum', `Must be one of: ${RETRY_BACKOFFS.join(', ')}`);
+    }
+
+    if (isObject(input.itinerary) && input.itinerary?.followUps !== undefined) {
+        check(FOLLOW_UP_MODES.includes(input.itinerary.followUps), 'itinerary.followUps', 'enum', `Must be one of: ${FOLLOW_UP_MODES.join(', ')}`);
+    }
+    if (isObject(input.privacy) && input.privacy) {
+        if (input.privacy.artifacts !== undefined) {
+            check(ARTIFACT_POLICIES.includes(input.privacy.artifacts), 'privacy.artifacts', 'enum', `Must be one of: ${ARTIFACT_POLICIES.join(', ')}`);
+        }
+        const maxAgeDays = input.privacy.artifactMaxAgeDays;
+        check(maxAgeDays === undefined || maxAgeDays === null || (Number.isFinite(maxAgeDays) && maxAgeDays >= 0),
+            'privacy.artifactMaxAgeDays', 'type', 'Must be a non-negative number of days, or null to keep artifacts');
+    }
+    if (isObject(input.race) && input.race) {
+        check(input.race.enabled === undefined || typeof input.race.enabled === 'boolean', 'race.enabled', 'type', 'Must be true or false');
+        const offsets = input.race.offsetsMs;
+        check(offsets === undefined || (Array.isArray(offsets) && offsets.length > 0 && offsets.every(Number.isFinite)),
+            'race.offsetsMs', 'type', 'Must be a non-empty array of offsets after T-0 in ms, one per lane');
+    }
+    if (isObject(input.control) && input.control) {
+        const { port, token } = input.control;
+        check(port === undefined || port === null || (Number.isInteger(port) && port >= 0 && port <= 65535),
+            'control.port', 'type', 'Must be a port number, or null for the platform\'s container port');
+        check(token === undefined || token === null || (typeof token === 'string' && token.length >= 16),
+            'control.token', 'format', 'Must be a string of at least 16 characters, or null to generate one');
+    }
+    if (isObject(input.leg) && input.leg) {
+        check(Number.isInteger(input.leg.leg) && Number.isInteger(input.leg.legs) && input.leg.leg >= 1 && input.leg.leg <= input.leg.legs,
+            'leg', 'format', 'Must be { leg, legs } with 1 <= leg <= legs (set by the run that scheduled this one)');
+        check(input.leg.flights === undefined || (Array.isArray(input.leg.flights) && input.leg.flights.every((flight) => typeof flight === 'string')),
+            'leg.flights', 'type', 'Must be an array of flight numbers');
+    }
+
+    errors.push(...validateSelectorProfile(input.selectorProfile, 'selectorProfile'));
+
+    if (errors.length > 0) {
+        throw new InputValidationError(errors);
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Classifies every saved result page in fixtures/result-pages (see its README
+ * for the expected outcomes).
+ */
+
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { classifyCheckinPage, Outcome } from '../src/classifier.js';
+
+const FIXTURES = new URL('../fixtures/result-pages/', import.meta.url);
+
+const EXPECTED = {
+    'success-single.html': { outcome: Outcome.SUCCESS, positions: ['A24'], flightNumber: '1234', gate: '14' },
+    'success-multi-passenger.html': { outcome: Outcome.SUCCESS, positions: ['B3', 'B4'], flightNumber: '2317', gate: 'B7' },
+    'success-text-only.html': { outcome: Outcome.SUCCESS, positions: ['A7'], flightNumber: '845', gate: 'C22' },
+    'success-with-footer.html': { outcome: Outcome.SUCCESS, positions: ['B31'], flightNumber: '1822', gate: 'A9' },
+    'already-checked-in.html': { outcome: Outcome.ALREADY_CHECKED_IN, positions: ['A18'] },
+    'too-early.html': { outcome: Outcome.TOO_EARLY, positions: [] },
+    'reservation-not-found.html': { outcome: Outcome.RESERVATION_NOT_FOUND, positions: [] },
+    'name-mismatch.html': { outcome: Outcome.NAME_MISMATCH, positions: [] },
+    'documents-required.html': { outcome: Outcome.DOCUMENTS_REQUIRED, positions: [] },
+    'cancelled.html': { outcome: Outcome.CANCELLED, positions: [] },
+    'session-expired.html': { outcome: Outcome.SESSION_EXPIRED, positions: [] },
+    'unknown.html': { outcome: Outcome.UNKNOWN, positions: [] },
+};
+
+test('every result page fixture has an expected outcome', async () => {
+    const fixtures = (await readdir(FIXTURES)).filter((file) => file.endsWith('.html'));
+    assert.deepEqual(fixtures.sort(), Object.keys(EXPECTED).sort());
+});
+
+for (const [fixture, expected] of Object.entries(EXPECTED)) {
+    test(`classifies ${fixture} as ${expected.outcome}`, async () => {
+        const result = classifyCheckinPage(await readFile(new URL(fixture, FIXTURES), 'utf8'));
+        assert.equal(result.outcome, expected.outcome);
+        assert.deepEqual(result.passengers.map(({ position }) => position), expected.positions);
+        assert.equal(result.boardingPosition, expected.positions[0] ?? null);
+        if (expected.flightNumber) assert.equal(result.flightNumber, expected.flightNumber);
+        if (expected.gate) assert.equal(result.gate, expected.gate);
+    });
+}
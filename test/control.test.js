@@ -0,0 +1,90 @@
+/**
+ * The control server: authentication, and answering 500 instead of crashing
+ * when the status or an action throws.
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ControlError, startControlServer } from '../src/control.js';
+
+const TOKEN = 'test-token';
+
+let server;
+let failStatus = false;
+const rejected = [];
+
+before(async () => {
+    server = await startControlServer({
+        port: 0,
+        host: '127.0.0.1',
+        token: TOKEN,
+        status: () => {
+            if (failStatus) throw new Error('status unavailable');
+            return { phase: 'waiting' };
+        },
+        perform: async (action, params) => {
+            if (action === 'abort') throw new ControlError('Already submitting', 409);
+            if (action === 'resync') throw new Error('clock gone');
+            return { params };
+        },
+        onRejected: (entry) => rejected.push(entry),
+    });
+});
+
+after(() => server.close());
+
+const post = (action, { token = TOKEN, body = '{}' } = {}) => fetch(`${server.url}/actions/${action}`, {
+    method: 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body,
+});
+
+test('status is served without a token', async () => {
+    const response = await fetch(`${server.url}/status`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { phase: 'waiting' });
+});
+
+test('a throwing status answers 500 and the server keeps serving', async () => {
+    failStatus = true;
+    try {
+        const response = await fetch(`${server.url}/status`);
+        assert.equal(response.status, 500);
+        assert.deepEqual(await response.json(), { error: 'status unavailable' });
+    } finally {
+        failStatus = false;
+    }
+    assert.equal((await fetch(`${server.url}/status`)).status, 200);
+});
+
+test('actions need the bearer token', async () => {
+    const missing = await post('submit-now', { token: null });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await post('submit-now', { token: 'wrong' })).status, 401);
+    assert.deepEqual(rejected.slice(-2), [
+        { action: 'submit-now', reason: 'unauthorized' },
+        { action: 'submit-now', reason: 'unauthorized' },
+    ]);
+});
+
+test('an action gets its JSON body as parameters', async () => {
+    const response = await post('adjust-offset', { body: '{"offsetMs":60}' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { action: 'adjust-offset', ok: true, params: { offsetMs: 60 } });
+});
+
+test('bodies that are not JSON objects and unknown actions are refused', async () => {
+    assert.equal((await post('submit-now', { body: 'null' })).status, 400);
+    assert.equal((await post('submit-now', { body: '[1]' })).status, 400);
+    assert.equal((await post('reboot')).status, 404);
+});
+
+test('refused and failed actions answer with their status code', async () => {
+    const refused = await post('abort');
+    assert.equal(refused.status, 409);
+    assert.deepEqual(await refused.json(), { action: 'abort', ok: false, error: 'Already submitting' });
+    const failed = await post('resync');
+    assert.equal(failed.status, 500);
+    assert.equal((await failed.json()).error, 'clock gone');
+});
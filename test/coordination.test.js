@@ -0,0 +1,67 @@
+/**
+ * Primary/backup coordination over the in-memory backend.
+ */
+
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { test } from 'node:test';
+import { createCoordinator, Decision, decisionDeadline, InstanceState, memoryBackend } from '../src/coordination.js';
+
+const pair = (backend, options = {}) => ['PRIMARY', 'BACKUP'].map((role) => createCoordinator({
+    backend,
+    scope: 'ABC123-1767225600000',
+    role,
+    instanceId: role.toLowerCase(),
+    heartbeatIntervalMs: 50,
+    staleAfterMs: 200,
+    ...options,
+}));
+
+test('background heartbeats keep a busy primary from going stale', async () => {
+    const [primary, backup] = pair(memoryBackend());
+    await primary.register();
+    await backup.register();
+
+    const stop = primary.keepAlive();
+    // A long step (page load, proxy switch) with no heartbeat from the caller
+    await sleep(400);
+    assert.equal((await backup.decide()).decision, Decision.WAIT);
+
+    stop();
+    await sleep(300);
+    assert.equal((await backup.decide()).decision, Decision.TAKE_OVER);
+});
+
+test('a state change is never overwritten by an earlier, slower heartbeat', async () => {
+    const records = memoryBackend();
+    let slowWrites = 1;
+    const backend = {
+        get: records.get,
+        set: async (key, value) => {
+            if (slowWrites-- > 0) await sleep(100);
+            await records.set(key, value);
+        },
+    };
+    const [primary, backup] = pair(backend);
+
+    const heartbeat = primary.register();
+    await primary.setState(InstanceState.SUCCEEDED, { outcome: 'SUCCESS', boardingPosition: 'A12' });
+    await heartbeat;
+
+    const { decision, peer } = await backup.decide();
+    assert.equal(decision, Decision.STAND_DOWN);
+    assert.equal(peer.boardingPosition, 'A12');
+});
+
+test('the backup waits until a submitting primary\'s result deadline', () => {
+    const fromMs = Date.parse('2026-01-01T00:00:01.100Z');
+    const options = { fromMs, decisionWaitMs: 3000 };
+    const submitting = { state: InstanceState.SUBMITTING, resultBy: '2026-01-01T00:00:20.100Z' };
+
+    assert.equal(decisionDeadline(submitting, options), Date.parse(submitting.resultBy));
+    // Never less than decisionWaitMs
+    assert.equal(decisionDeadline({ ...submitting, resultBy: '2026-01-01T00:00:02.000Z' }, options), fromMs + 3000);
+    // A primary that has not started submitting gets decisionWaitMs
+    assert.equal(decisionDeadline({ state: InstanceState.WAITING, resultBy: null }, options), fromMs + 3000);
+    assert.equal(decisionDeadline(null, options), fromMs + 3000);
+});
@@ -0,0 +1,31 @@
+/**
+ * Follow-up runs for the later legs of an itinerary.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { followUpInput } from '../src/itinerary.js';
+
+const input = {
+    confirmationNumber: 'ABC123',
+    firstName: 'JANE',
+    lastName: 'ROE',
+    checkinOpensAt: '2030-01-01T12:00:00Z',
+    notifications: { ntfy: { topic: 'checkins', token: 'tk_secret' } },
+    control: { enabled: true, port: 4321, token: 'a-long-control-token' },
+};
+const reservation = { confirmationNumber: 'ABC123', firstName: 'JANE', lastName: 'ROE' };
+const leg = { leg: 2, checkinOpensAt: '2030-01-05T15:30:00.000Z', flights: [{ flightNumber: '2317' }] };
+
+test('a follow-up run gets this run\'s settings and the leg', () => {
+    const followUp = followUpInput(input, reservation, leg, { legs: 2, parentRunId: 'run1' });
+    assert.equal(followUp.checkinOpensAt, leg.checkinOpensAt);
+    assert.deepEqual(followUp.leg, { leg: 2, legs: 2, flights: ['2317'], parentRunId: 'run1' });
+    assert.deepEqual(followUp.notifications, input.notifications);
+    assert.deepEqual(followUp.itinerary, { followUps: 'none' });
+});
+
+test('a follow-up run generates its own control token', () => {
+    const followUp = followUpInput(input, reservation, leg, { legs: 2, parentRunId: 'run1' });
+    assert.deepEqual(followUp.control, { enabled: true, port: 4321 });
+});
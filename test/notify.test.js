@@ -0,0 +1,118 @@
+/**
+ * Notification channels against a local HTTP stand-in: the payload each one
+ * sends, and the per-channel retries with doubling delays.
+ */
+
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, test } from 'node:test';
+import { createNotifier } from '../src/notify.js';
+
+const RETRY_DELAY_MS = 40;
+
+let server;
+let baseUrl;
+let received = [];
+// Path -> how many more requests to it are answered with that status
+const failures = new Map();
+
+before(async () => {
+    server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        received.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+        const failure = failures.get(req.url);
+        if (failure?.remaining > 0) {
+            failure.remaining--;
+            res.writeHead(failure.status).end();
+            return;
+        }
+        res.writeHead(200).end('ok');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+    received = [];
+    failures.clear();
+});
+
+const notification = { title: 'Checked in: A12', message: 'ABC123 is checked in.', data: { recordLocator: 'ABC123' } };
+
+test('webhook posts the notification as JSON with the channel headers', async () => {
+    const notifier = createNotifier({ channels: [{ type: 'webhook', url: `${baseUrl}/hook`, headers: { 'X-Secret': 's3' } }] });
+    assert.equal(notifier.enabled, true);
+    assert.deepEqual(await notifier.notify(notification), [{ channel: 'webhook', ok: true, attempts: 1 }]);
+
+    const [request] = received;
+    assert.equal(request.path, '/hook');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-secret'], 's3');
+    assert.deepEqual(JSON.parse(request.body), { ...notification, level: 'info' });
+});
+
+test('slack posts a text with the title in bold', async () => {
+    const notifier = createNotifier({ channels: [{ type: 'slack', name: 'team', webhookUrl: `${baseUrl}/slack` }] });
+    assert.deepEqual(await notifier.notify(notification), [{ channel: 'team', ok: true, attempts: 1 }]);
+    assert.deepEqual(JSON.parse(received[0].body), { text: '*Checked in: A12*\nABC123 is checked in.' });
+});
+
+test('ntfy posts the message as plain text with title, priority and token headers', async () => {
+    const notifier = createNotifier({ channels: [{ type: 'ntfy', url: `${baseUrl}/topic`, token: 'tk_123' }] });
+    await notifier.notify({ title: 'Check-in failed ✈', message: 'ABC123: not found', level: 'error' });
+
+    const [{ path, headers, body }] = received;
+    assert.equal(path, '/topic');
+    assert.equal(body, 'ABC123: not found');
+    assert.equal(headers.title, `=?UTF-8?B?${Buffer.from('Check-in failed ✈').toString('base64')}?=`);
+    assert.equal(headers.priority, 'high');
+    assert.equal(headers.tags, 'warning');
+    assert.equal(headers.authorization, 'Bearer tk_123');
+});
+
+test('pushover posts a form with the app token and user key', async () => {
+    const notifier = createNotifier({ channels: [{ type: 'pushover', url: `${baseUrl}/pushover`, token: 'APP', user: 'USER' }] });
+    await notifier.notify(notification);
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(received[0].body)), {
+        token: 'APP',
+        user: 'USER',
+        title: notification.title,
+        message: notification.message,
+        priority: '0',
+    });
+});
+
+test('a failing channel is retried with doubling delays until it succeeds', async () => {
+    failures.set('/flaky', { status: 503, remaining: 2 });
+    const notifier = createNotifier({ retryDelayMs: RETRY_DELAY_MS, channels: [{ type: 'webhook', url: `${baseUrl}/flaky` }] });
+    assert.deepEqual(await notifier.notify(notification), [{ channel: 'webhook', ok: true, attempts: 3 }]);
+
+    assert.equal(received.length, 3);
+    const [first, second, third] = received.map((request) => request.at);
+    assert.ok(second - first >= RETRY_DELAY_MS - 5, `first retry after ${second - first} ms`);
+    assert.ok(third - second >= 2 * RETRY_DELAY_MS - 5, `second retry after ${third - second} ms`);
+});
+
+test('channels fail independently once their retries are used up', async () => {
+    failures.set('/down', { status: 500, remaining: Infinity });
+    const notifier = createNotifier({
+        retryDelayMs: RETRY_DELAY_MS,
+        channels: [
+            { type: 'webhook', name: 'down', url: `${baseUrl}/down`, retries: 1 },
+            { type: 'slack', url: `${baseUrl}/slack` },
+        ],
+    });
+    assert.deepEqual(await notifier.notify(notification), [
+        { channel: 'down', ok: false, attempts: 2, error: `HTTP 500 from ${baseUrl}/down` },
+        { channel: 'slack', ok: true, attempts: 1 },
+    ]);
+    assert.equal(received.filter((request) => request.path === '/down').length, 2);
+});
+
+test('unknown and disabled channels', () => {
+    assert.throws(() => createNotifier({ channels: [{ type: 'fax' }] }), /Unknown notification channel type "fax"/);
+    assert.equal(createNotifier({ channels: [{ type: 'webhook', url: baseUrl, enabled: false }] }).enabled, false);
+});
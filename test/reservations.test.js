@@ -0,0 +1,29 @@
+/**
+ * Reservation keys: masked for artifact names, hashed for keys shared across runs.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeReservations } from '../src/reservations.js';
+
+const input = {
+    reservations: [
+        { confirmationNumber: 'ABC123', firstName: 'Jane', lastName: 'Roe', checkinOpensAt: '2030-01-01T12:00:00Z' },
+        { confirmationNumber: 'XYZ123', firstName: 'John', lastName: 'Doe', checkinOpensAt: '2030-01-01T12:00:00Z' },
+    ],
+};
+
+test('reservations sharing a masked key get different scopes', () => {
+    const [first, second] = normalizeReservations(input, { maskKeys: true });
+    assert.deepEqual([first.key, second.key], ['xxxx23', 'xxxx23-2']);
+    assert.notEqual(first.scope, second.scope);
+    assert.doesNotMatch(first.scope, /ABC123/i);
+});
+
+test('a reservation has the same scope in every run, masked or not', () => {
+    const masked = normalizeReservations(input, { maskKeys: true });
+    // A backup run listing the reservations the other way round, without redaction
+    const plain = normalizeReservations({ reservations: [...input.reservations].reverse() });
+    assert.equal(masked[0].scope, plain[1].scope);
+    assert.equal(masked[1].scope, plain[0].scope);
+});
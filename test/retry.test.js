@@ -0,0 +1,97 @@
+/**
+ * The post-submit retry loop, against the simulator's check-in API: the page
+ * is modelled as the classified answer to the last submit on a filled form.
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { classifyCheckinResponse, Outcome } from '../src/classifier.js';
+import { DEFAULT_RETRY_POLICY, RetryTrigger, retryTrigger, retryUntilFinal } from '../src/retry.js';
+import { CHECKIN_API_PATH, Scenario, startSimulator } from '../src/simulator.js';
+
+const POLICY = { ...DEFAULT_RETRY_POLICY, windowMs: 3000, initialDelayMs: 20, maxDelayMs: 100, jitterMs: 0, pendingResubmitMs: 100 };
+const FILLED_FORM = { url: 'http://simulator/air/check-in/', onCheckinPage: true, fieldCount: 3, emptyFields: 0 };
+
+let simulator;
+
+before(async () => {
+    simulator = await startSimulator({
+        errorCount: 1,
+        reservations: {
+            ABC123: { firstName: 'Jane', lastName: 'Roe' },
+            GONE99: { scenario: Scenario.NOT_FOUND },
+        },
+    });
+});
+
+after(() => simulator.close());
+
+// A check-in page: each submit replaces what it shows with the API's answer
+function checkinPage(recordLocator) {
+    let shown = null;
+    return {
+        submit: async () => {
+            const response = await fetch(`${simulator.url}${CHECKIN_API_PATH}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ recordLocator, firstName: 'Jane', lastName: 'Roe' }),
+            });
+            shown = classifyCheckinResponse({ status: response.status, body: await response.text() });
+        },
+        inspect: async () => ({
+            outcome: shown?.outcome ?? Outcome.UNKNOWN,
+            formState: shown?.passengers.length ? { ...FILLED_FORM, fieldCount: 0 } : FILLED_FORM,
+        }),
+    };
+}
+
+test('an unknown answer on the filled form is pending, not accepted', () => {
+    assert.equal(retryTrigger(Outcome.UNKNOWN, FILLED_FORM), RetryTrigger.PENDING);
+    assert.equal(retryTrigger(Outcome.UNKNOWN, { ...FILLED_FORM, emptyFields: 3 }), RetryTrigger.FORM_RESET);
+    assert.equal(retryTrigger(Outcome.UNKNOWN, { ...FILLED_FORM, onCheckinPage: false, fieldCount: 0 }), RetryTrigger.NAVIGATED_AWAY);
+    for (const outcome of [Outcome.SUCCESS, Outcome.ALREADY_CHECKED_IN, Outcome.RESERVATION_NOT_FOUND, Outcome.NAME_MISMATCH, Outcome.CANCELLED, Outcome.DOCUMENTS_REQUIRED]) {
+        assert.equal(retryTrigger(outcome, FILLED_FORM), null, outcome);
+    }
+});
+
+test('a server error on the first submit is resubmitted until checked in (errorCount: 1)', async () => {
+    const page = checkinPage('ABC123');
+    await page.submit();
+    assert.equal((await page.inspect()).outcome, Outcome.UNKNOWN);
+
+    const retried = await retryUntilFinal(POLICY, { inspect: page.inspect, resubmit: page.submit });
+
+    assert.equal(retried.final, true);
+    assert.equal(retried.outcome, Outcome.SUCCESS);
+    assert.deepEqual(retried.attempts.map(({ trigger, outcome }) => [trigger, outcome]), [[RetryTrigger.PENDING, Outcome.UNKNOWN]]);
+    // Not clicked again before the pending answer had time to arrive
+    assert.ok(retried.elapsedMs >= POLICY.pendingResubmitMs);
+    const checkIns = simulator.requests.filter(({ recordLocator }) => recordLocator === 'ABC123');
+    assert.deepEqual(checkIns.map(({ status }) => status), [503, 200]);
+});
+
+test('a final failure ends the retries at once', async () => {
+    const page = checkinPage('GONE99');
+    await page.submit();
+
+    const retried = await retryUntilFinal(POLICY, { inspect: page.inspect, resubmit: page.submit });
+
+    assert.equal(retried.final, true);
+    assert.equal(retried.outcome, Outcome.RESERVATION_NOT_FOUND);
+    assert.deepEqual(retried.attempts, []);
+});
+
+test('a page that never answers is retried until the window closes', async () => {
+    let clicks = 0;
+    const retried = await retryUntilFinal({ ...POLICY, windowMs: 400 }, {
+        inspect: async () => ({ outcome: Outcome.UNKNOWN, formState: FILLED_FORM }),
+        resubmit: async () => {
+            clicks++;
+        },
+    });
+
+    assert.equal(retried.final, false);
+    assert.equal(retried.lastTrigger, RetryTrigger.PENDING);
+    assert.ok(clicks >= 1 && clicks === retried.attempts.length);
+    assert.ok(retried.elapsedMs >= 400);
+});
@@ -0,0 +1,29 @@
+/**
+ * Opening instants derived from the departure time and origin airport.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeReservations } from '../src/reservations.js';
+import { deriveCheckinOpensAt, zonedTimeToUtc } from '../src/schedule.js';
+
+test('the opening is 24 hours before departure, at the origin', () => {
+    const derived = deriveCheckinOpensAt({ departureLocal: '2027-06-01T10:15', originAirport: 'DAL' });
+    assert.equal(derived.checkinOpensAt, '2027-05-31T15:15:00.000Z');
+    assert.equal(derived.timeZone, 'America/Chicago');
+    assert.equal(zonedTimeToUtc('2028-02-29T10:00', 'UTC'), Date.parse('2028-02-29T10:00:00Z'));
+});
+
+test('impossible departure times are refused instead of rolled over', () => {
+    for (const departureLocal of ['2027-02-29T10:00', '2027-04-31T10:00', '2027-13-01T10:00', '2027-06-00T10:00', '2027-06-01T24:00', '2027-06-01T10:60']) {
+        assert.throws(() => zonedTimeToUtc(departureLocal, 'America/Chicago'), /Invalid local date-time/, departureLocal);
+    }
+});
+
+test('an impossible departure time is reported on departureLocal', () => {
+    const [reservation] = normalizeReservations({
+        reservations: [{ confirmationNumber: 'ABC123', firstName: 'Jane', lastName: 'Roe', departureLocal: '2027-02-30T10:00', originAirport: 'DAL' }],
+    });
+    assert.equal(reservation.checkinOpensAt, null);
+    assert.deepEqual(reservation.errors.map(({ field, code }) => ({ field, code })), [{ field: 'reservations[0].departureLocal', code: 'format' }]);
+});
@@ -0,0 +1,67 @@
+/**
+ * Resolves the default selector profile against the saved check-in forms in
+ * fixtures/checkin-forms (see its README for the expected matchers).
+ *
+ * `locateFormFields()` runs in the page; here the page is jsdom. jsdom does no
+ * layout, so an element counts as rendered unless it or an ancestor is
+ * `display: none`, which is how the fixtures hide their decoys.
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { DEFAULT_SELECTOR_PROFILE, locateFormFields } from '../src/selector-profile.js';
+
+const FIXTURES = new URL('../fixtures/checkin-forms/', import.meta.url);
+
+async function locate(fixture) {
+    const dom = new JSDOM(await readFile(new URL(fixture, FIXTURES), 'utf8'));
+    const { window } = dom;
+    window.Element.prototype.getClientRects = function getClientRects() {
+        for (let element = this; element; element = element.parentElement) {
+            if (window.getComputedStyle(element).display === 'none') return [];
+        }
+        return [{}];
+    };
+    globalThis.document = window.document;
+    try {
+        return locateFormFields(DEFAULT_SELECTOR_PROFILE);
+    } finally {
+        delete globalThis.document;
+        window.close();
+    }
+}
+
+const viaOf = (located) => Object.fromEntries(Object.entries(located.fields).map(([field, { via }]) => [field, via]));
+
+const EXPECTED = {
+    'southwest-ids.html': ['id:confirmationNumber', 'id:passengerFirstName', 'id:passengerLastName'],
+    'reordered-labels-only.html': ['label:confirmation', 'label:first\\s*name', 'label:last\\s*name'],
+    'extra-inputs.html': ['aria:confirmation', 'aria:first\\s*name', 'aria:last\\s*name'],
+    'placeholder-only.html': ['placeholder:confirmation', 'placeholder:first\\s*name', 'placeholder:last\\s*name'],
+};
+
+for (const [fixture, [confirmationNumber, firstName, lastName]] of Object.entries(EXPECTED)) {
+    test(`default profile resolves ${fixture}`, async () => {
+        const located = await locate(fixture);
+        assert.deepEqual(located.errors, []);
+        assert.deepEqual(viaOf(located), { confirmationNumber, firstName, lastName });
+    });
+}
+
+test('default profile skips the hidden duplicate in placeholder-only.html', async () => {
+    const located = await locate('placeholder-only.html');
+    assert.doesNotMatch(located.fields.firstName.tag, /passengerFirstName/);
+});
+
+test('default profile refuses the ambiguous last name in ambiguous-last-name.html', async () => {
+    const located = await locate('ambiguous-last-name.html');
+    assert.deepEqual(viaOf(located), { confirmationNumber: 'label:confirmation', firstName: 'label:first\\s*name' });
+    assert.equal(located.errors.length, 1);
+    const [error] = located.errors;
+    assert.match(error, /^lastName is ambiguous/);
+    // Both candidates are named, so the form can be fixed from the log alone
+    assert.match(error, /id="p2"/);
+    assert.match(error, /id="p3"/);
+});
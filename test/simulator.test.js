@@ -0,0 +1,93 @@
+/**
+ * The simulator's check-in and trip APIs over HTTP: the opening instant,
+ * boarding positions, scenarios, and requests it must survive.
+ */
+
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, test } from 'node:test';
+import { CHECKIN_API_PATH, Scenario, startSimulator, TRIP_API_PATH } from '../src/simulator.js';
+
+let simulator;
+
+before(async () => {
+    simulator = await startSimulator({
+        clockSkewMs: 60000,
+        reservations: {
+            ABC123: { firstName: 'Jane', lastName: 'Roe', opensAt: Date.now() - 1000, flightNumber: '777', departureLocal: '2025-12-25T12:05' },
+            LATE01: { opensAt: Date.now() + 3600000 },
+            DONE01: { opensAt: Date.now() - 1000, scenario: Scenario.ALREADY_CHECKED_IN },
+            GONE99: { scenario: Scenario.NOT_FOUND },
+        },
+    });
+});
+
+after(() => simulator.close());
+
+const post = async (path, body) => {
+    const response = await fetch(`${simulator.url}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('too early before the opening instant', async () => {
+    const { status, body } = await post(CHECKIN_API_PATH, { recordLocator: 'LATE01' });
+    assert.equal(status, 400);
+    assert.match(body.message, /too early/);
+});
+
+test('after the opening, a boarding position that stays the same on resubmit', async () => {
+    const first = await post(CHECKIN_API_PATH, { recordLocator: 'abc123', firstName: 'Jane', lastName: 'Roe' });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.checkInConfirmationPage.travelers, [{ name: 'JANE ROE', boardingGroup: 'A', boardingPosition: 1 }]);
+    assert.deepEqual(first.body.checkInConfirmationPage.flights, [{ flightNumber: '777', gate: '14' }]);
+
+    const again = await post(CHECKIN_API_PATH, { recordLocator: 'ABC123', firstName: 'Jane', lastName: 'Roe' });
+    assert.match(again.body.message, /already checked in/);
+    assert.deepEqual(again.body.checkInConfirmationPage.travelers, first.body.checkInConfirmationPage.travelers);
+});
+
+test('scenarios and names', async () => {
+    assert.match((await post(CHECKIN_API_PATH, { recordLocator: 'DONE01' })).body.message, /already checked in/);
+    assert.equal((await post(CHECKIN_API_PATH, { recordLocator: 'GONE99' })).status, 404);
+    assert.equal((await post(CHECKIN_API_PATH, { recordLocator: 'ABC123', firstName: 'John', lastName: 'Roe' })).status, 400);
+});
+
+test('bodies that are not JSON objects are empty submissions', async () => {
+    for (const body of ['null', '[]', '"ABC123"', '{not json']) {
+        const { status, body: answer } = await post(CHECKIN_API_PATH, body);
+        assert.equal(status, 404, body);
+        assert.match(answer.message, /can't find a reservation/);
+        assert.equal((await post(TRIP_API_PATH, body)).status, 404, body);
+    }
+    assert.equal(simulator.requests.at(-1).recordLocator, null);
+});
+
+test('the trip page lists the flight', async () => {
+    const { status, body } = await post(TRIP_API_PATH, { recordLocator: 'ABC123', firstName: 'Jane', lastName: 'Roe' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.viewReservationViewPage.flights, [{
+        flightNumber: '777',
+        originAirport: 'DAL',
+        destinationAirport: 'HOU',
+        departureLocal: '2025-12-25T12:05',
+    }]);
+});
+
+test('the Date header follows the simulated clock', async () => {
+    const response = await fetch(simulator.url, { method: 'HEAD' });
+    const skewMs = new Date(response.headers.get('date')).getTime() - Date.now();
+    assert.ok(skewMs > 55000 && skewMs < 62000, `skew ${skewMs} ms`);
+});
+
+test('a client that aborts mid-body does not stop the simulator', async () => {
+    await new Promise((resolve) => {
+        const req = http.request(`${simulator.url}${CHECKIN_API_PATH}`, { method: 'POST', headers: { 'Content-Length': 1000 } });
+        req.on('error', () => resolve());
+        req.write('{"recordLocator":', () => setTimeout(() => req.destroy(), 50));
+    });
+    assert.equal((await post(CHECKIN_API_PATH, { recordLocator: 'LATE01' })).status, 400);
+});
@@ -0,0 +1,108 @@
+/**
+ * Time sync against local stand-ins: an NTP server on UDP and the simulator's
+ * `Date` header, each ahead of the local clock by a known offset.
+ */
+
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import { after, before, test } from 'node:test';
+import { startSimulator } from '../src/simulator.js';
+import { combineSamples, selectEstimate, syncDateHeader, syncNtp } from '../src/time-sync.js';
+
+// Seconds between the NTP epoch (1900) and the Unix epoch
+const NTP_EPOCH_OFFSET_S = 2208988800;
+
+/**
+ * An NTP server whose clock runs `offsetMs` ahead; `skewed` replies (by
+ * 0-based index) are off by another `outlierMs`.
+ */
+async function startNtpServer({ offsetMs, skewed = [], outlierMs = 0 }) {
+    const socket = dgram.createSocket('udp4');
+    let replies = 0;
+    socket.on('message', (message, remote) => {
+        const ms = Date.now() + offsetMs + (skewed.includes(replies++) ? outlierMs : 0);
+        const reply = Buffer.alloc(48);
+        reply[0] = 0x1C; // LI 0, version 3, server mode
+        reply.writeUInt32BE(Math.floor(ms / 1000) + NTP_EPOCH_OFFSET_S, 40);
+        reply.writeUInt32BE(Math.floor(((ms % 1000) / 1000) * 0x100000000), 44);
+        socket.send(reply, remote.port, remote.address);
+    });
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    return { server: `127.0.0.1:${socket.address().port}`, close: () => new Promise((resolve) => socket.close(resolve)) };
+}
+
+const within = (estimate, trueOffsetMs, slackMs = 2) => Math.abs(estimate.offsetMs - trueOffsetMs) <= estimate.uncertaintyMs + slackMs;
+
+let ntp;
+
+before(async () => {
+    ntp = await startNtpServer({ offsetMs: 2000, skewed: [1], outlierMs: 30000 });
+});
+
+after(() => ntp.close());
+
+test('combineSamples rejects an outlier and intersects the rest', () => {
+    const estimate = combineSamples([
+        { offsetMs: 100, errorMs: 10 },
+        { offsetMs: 104, errorMs: 10 },
+        { offsetMs: 98, errorMs: 4 },
+        { offsetMs: 900, errorMs: 10 },
+    ]);
+    // Intervals [90, 110], [94, 114], [94, 102]
+    assert.deepEqual(estimate, { offsetMs: 98, uncertaintyMs: 4, kept: 3, rejected: 1 });
+});
+
+test('combineSamples bounds disjoint samples by their spread', () => {
+    const estimate = combineSamples([
+        { offsetMs: 0, errorMs: 1 },
+        { offsetMs: 4, errorMs: 1 },
+    ]);
+    assert.equal(estimate.offsetMs, 2);
+    assert.equal(estimate.uncertaintyMs, 3);
+    assert.equal(combineSamples([]).uncertaintyMs, Infinity);
+});
+
+test('syncNtp drops the skewed reply and bounds the offset by the round trip', async () => {
+    const estimate = await syncNtp({ servers: [ntp.server], samplesPerServer: 5, timeoutMs: 500 });
+    assert.equal(estimate.ok, true);
+    assert.equal(estimate.samples.length, 5);
+    assert.equal(estimate.rejected, 1);
+    assert.equal(estimate.samples[1].rejected, true);
+    assert.ok(within(estimate, 2000), `${estimate.offsetMs} ± ${estimate.uncertaintyMs}`);
+    assert.ok(estimate.uncertaintyMs <= Math.max(...estimate.samples.map((sample) => sample.errorMs)));
+});
+
+test('syncNtp records a silent server once and moves on', async () => {
+    const silent = dgram.createSocket('udp4');
+    await new Promise((resolve) => silent.bind(0, '127.0.0.1', resolve));
+    try {
+        const estimate = await syncNtp({ servers: [`127.0.0.1:${silent.address().port}`, ntp.server], samplesPerServer: 2, timeoutMs: 200 });
+        assert.equal(estimate.errors.length, 1);
+        assert.match(estimate.errors[0].error, /Timeout/);
+        assert.equal(estimate.samples.length, 2);
+        assert.ok(within(estimate, 2000));
+    } finally {
+        silent.close();
+    }
+});
+
+test('syncDateHeader narrows the Date header offset well below one second', async () => {
+    const simulator = await startSimulator({ clockSkewMs: 1234 });
+    try {
+        const estimate = await syncDateHeader({ url: simulator.url, probes: 5, timeoutMs: 1000 });
+        assert.equal(estimate.ok, true);
+        assert.equal(estimate.errors.length, 0);
+        assert.ok(within(estimate, 1234), `${estimate.offsetMs} ± ${estimate.uncertaintyMs}`);
+        assert.ok(estimate.uncertaintyMs < 250, `uncertainty ${estimate.uncertaintyMs} ms`);
+    } finally {
+        await simulator.close();
+    }
+});
+
+test('selectEstimate picks the tightest successful estimate', () => {
+    const ntpEstimate = { source: 'ntp', ok: true, uncertaintyMs: 12 };
+    const southwest = { source: 'southwest', ok: true, uncertaintyMs: 8 };
+    const failed = { source: 'ntp', ok: false, uncertaintyMs: 1 };
+    assert.equal(selectEstimate(ntpEstimate, failed, southwest), southwest);
+    assert.equal(selectEstimate(failed, null), null);
+});
@@ -0,0 +1,90 @@
+/**
+ * Input validation: field paths, error codes and normalization.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+    FieldError,
+    InputValidationError,
+    normalizeName,
+    validateCheckinOpensAt,
+    validateConfirmationNumber,
+    validateInput,
+} from '../src/validation.js';
+
+const now = () => Date.parse('2026-01-01T00:00:00Z');
+const opensAt = (value) => validateCheckinOpensAt(value, 'checkinOpensAt', { now });
+
+const assertFieldError = (fn, field, code) => assert.throws(fn, (error) => error instanceof FieldError
+    && error.field === field && error.code === code);
+
+test('checkinOpensAt accepts zoned ISO 8601 timestamps', () => {
+    assert.equal(opensAt('2027-02-28T12:00:00Z'), Date.parse('2027-02-28T12:00:00Z'));
+    assert.equal(opensAt('2027-06-01T23:30-06:00'), Date.parse('2027-06-02T05:30:00Z'));
+    assert.equal(opensAt('2028-02-29T00:00:00.250+05:30'), Date.parse('2028-02-28T18:30:00.250Z'));
+});
+
+test('checkinOpensAt rejects impossible dates and times instead of rolling them over', () => {
+    for (const value of [
+        '2027-02-31T12:00:00Z',
+        '2027-02-29T12:00:00Z',
+        '2027-13-01T12:00:00Z',
+        '2027-04-31T12:00:00-05:00',
+        '2027-06-01T24:00:00Z',
+        '2027-06-01T12:60:00Z',
+        '2027-06-01T12:00:61Z',
+        '2027-06-01T12:00:00+24:00',
+    ]) {
+        assertFieldError(() => opensAt(value), 'checkinOpensAt', 'format');
+    }
+});
+
+test('checkinOpensAt needs a timezone and a future instant', () => {
+    assertFieldError(() => opensAt('2027-06-01T12:00:00'), 'checkinOpensAt', 'format');
+    assertFieldError(() => opensAt(1780000000000), 'checkinOpensAt', 'format');
+    assertFieldError(() => opensAt('2025-12-31T23:00:00Z'), 'checkinOpensAt', 'past');
+});
+
+test('confirmation numbers are upper-cased and must be six characters', () => {
+    assert.equal(validateConfirmationNumber(' abc123 ', 'confirmationNumber'), 'ABC123');
+    assertFieldError(() => validateConfirmationNumber('ABC12', 'reservations[1].confirmationNumber'), 'reservations[1].confirmationNumber', 'format');
+    assertFieldError(() => validateConfirmationNumber('', 'confirmationNumber'), 'confirmationNumber', 'required');
+});
+
+test('a follow-up leg may leave out its flights, but not give them as anything but a list', () => {
+    assert.doesNotThrow(() => validateInput({ leg: { leg: 2, legs: 2, parentRunId: 'run1' } }));
+    assert.throws(() => validateInput({ leg: { leg: 2, legs: 2, flights: '1234' } }), (error) => error instanceof InputValidationError
+        && error.errors.some(({ field, code }) => field === 'leg.flights' && code === 'type'));
+});
+
+test('names lose diacritics, apostrophes and hyphens and are upper-cased', () => {
+    assert.equal(normalizeName('José', 'firstName', { part: 'first' }), 'JOSE');
+    assert.equal(normalizeName('Zoë Ångström', 'lastName'), 'ZOE ANGSTROM');
+    assert.equal(normalizeName("O'Brien", 'lastName'), 'OBRIEN');
+    assert.equal(normalizeName('O’Brien', 'lastName'), 'OBRIEN');
+    assert.equal(normalizeName('Smith-Jones', 'lastName'), 'SMITHJONES');
+    assert.equal(normalizeName('  de la  Cruz ', 'lastName'), 'DE LA CRUZ');
+});
+
+test('name suffixes are stripped, but never the only token', () => {
+    assert.equal(normalizeName('Doe, Jr.', 'lastName'), 'DOE');
+    assert.equal(normalizeName('Doe Sr', 'lastName'), 'DOE');
+    assert.equal(normalizeName('Roe III Jr', 'lastName'), 'ROE');
+    assert.equal(normalizeName('V', 'lastName'), 'V');
+    assert.equal(normalizeName('Ivy', 'lastName'), 'IVY');
+});
+
+test('first names keep only the first token unless middle names are kept', () => {
+    assert.equal(normalizeName('Mary Ann', 'firstName', { part: 'first' }), 'MARY');
+    assert.equal(normalizeName('Mary Ann', 'firstName', { part: 'first', keepMiddleNames: true }), 'MARY ANN');
+    assert.equal(normalizeName('Mary Ann', 'lastName'), 'MARY ANN');
+});
+
+test('names must be given and made of letters', () => {
+    assertFieldError(() => normalizeName('', 'reservations[0].firstName', { part: 'first' }), 'reservations[0].firstName', 'required');
+    assertFieldError(() => normalizeName(null, 'lastName'), 'lastName', 'required');
+    assertFieldError(() => normalizeName('J0hn', 'firstName', { part: 'first' }), 'firstName', 'format');
+    assertFieldError(() => normalizeName('李', 'lastName'), 'lastName', 'format');
+    assertFieldError(() => normalizeName('Doe/Roe', 'lastName'), 'lastName', 'format');
+});